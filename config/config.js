@@ -10,18 +10,26 @@ const REQUIRED = [
   'ALLOWED_ORIGINS'
 ];
 
+const VISION_PROVIDER_MISSING =
+  'Missing vision provider credentials: set OPENAI_API_KEY (or ALTTEXT_OPENAI_API_KEY), ANTHROPIC_API_KEY, AZURE_OPENAI_API_KEY or OPENAI_COMPATIBLE_BASE_URL';
+
+// Any provider in the VISION_PROVIDERS chain can serve requests (see fresh-stack/lib/providers).
+function hasVisionProvider() {
+  return ['OPENAI_API_KEY', 'ALTTEXT_OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'AZURE_OPENAI_API_KEY', 'OPENAI_COMPATIBLE_BASE_URL']
+    .some((key) => Boolean(getEnv(key)));
+}
+
 function loadConfig() {
   if (isProduction()) {
     validateRequired(REQUIRED);
-    // Check for OpenAI API key (either name)
-    if (!getEnv('OPENAI_API_KEY') && !getEnv('ALTTEXT_OPENAI_API_KEY')) {
-      throw new Error('Missing required env var: OPENAI_API_KEY or ALTTEXT_OPENAI_API_KEY');
+    if (!hasVisionProvider()) {
+      throw new Error(VISION_PROVIDER_MISSING);
     }
   } else {
     try {
       validateRequired(REQUIRED);
-      if (!getEnv('OPENAI_API_KEY') && !getEnv('ALTTEXT_OPENAI_API_KEY')) {
-        throw new Error('Missing required env var: OPENAI_API_KEY or ALTTEXT_OPENAI_API_KEY');
+      if (!hasVisionProvider()) {
+        throw new Error(VISION_PROVIDER_MISSING);
       }
     } catch (err) {
       console.warn('[config] missing env (dev)', err.message);
@@ -32,16 +40,21 @@ function loadConfig() {
   const rateLimitGlobal = Number(getEnv('RATE_LIMIT_GLOBAL', 0));
   const jobConcurrency = Number(getEnv('JOB_CONCURRENCY', 2));
   const jobTtlSeconds = Number(getEnv('JOB_TTL_SECONDS', 60 * 60 * 24 * 7));
+  const jobMaxAttempts = Number(getEnv('JOB_MAX_ATTEMPTS', 3));
+  const jobVisibilityTimeoutMs = Number(getEnv('JOB_VISIBILITY_TIMEOUT_MS', 5 * 60 * 1000));
+  const jobRetryBaseMs = Number(getEnv('JOB_RETRY_BASE_MS', 5000));
+  // Format: "high:6,normal:3,low:1" (share of dequeues when all priorities are busy)
+  const jobPriorityWeights = (getEnv('JOB_PRIORITY_WEIGHTS', '') || '')
+    .split(',')
+    .map((pair) => pair.split(':').map((s) => s.trim()))
+    .filter(([name, weight]) => name && Number(weight) > 0)
+    .reduce((acc, [name, weight]) => ({ ...acc, [name]: Number(weight) }), {});
 
   return {
     supabaseUrl: getEnv('SUPABASE_URL'),
     supabaseServiceRoleKey: getEnv('SUPABASE_SERVICE_ROLE_KEY'),
     stripeSecretKey: getEnv('STRIPE_SECRET_KEY'),
-    stripePrices: {
-      pro: getEnv('ALTTEXT_AI_STRIPE_PRICE_PRO'),
-      agency: getEnv('ALTTEXT_AI_STRIPE_PRICE_AGENCY'),
-      credits: getEnv('ALTTEXT_AI_STRIPE_PRICE_CREDITS')
-    },
+    stripeWebhookSecret: getEnv('STRIPE_WEBHOOK_SECRET'),
     openAiKey: getEnv('OPENAI_API_KEY') || getEnv('ALTTEXT_OPENAI_API_KEY'),
     openAiModel: getEnv('OPENAI_MODEL', 'gpt-4o-mini'),
     allowedOrigins: (getEnv('ALLOWED_ORIGINS', '') || '')
@@ -57,7 +70,11 @@ function loadConfig() {
     },
     jobs: {
       concurrency: jobConcurrency,
-      ttlSeconds: jobTtlSeconds
+      ttlSeconds: jobTtlSeconds,
+      priorityWeights: jobPriorityWeights,
+      maxAttempts: jobMaxAttempts,
+      visibilityTimeoutMs: jobVisibilityTimeoutMs,
+      retryBaseMs: jobRetryBaseMs
     },
     isProd: isProduction(),
     isDev: isDevelopment()
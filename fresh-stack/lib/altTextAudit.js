@@ -0,0 +1,105 @@
+/**
+ * Alt text linting and scoring for POST /api/alt-text/audit.
+ * Rule checks run locally; the model review (lib/openai auditAltText) supplies
+ * accuracy, missing legible text and the image's purpose.
+ */
+
+const { isCharacterCounted } = require('./languages');
+
+const AUDIT_THRESHOLD = Number(process.env.ALT_AUDIT_THRESHOLD || 70);
+
+const GENERIC_ALTS = ['image', 'img', 'photo', 'picture', 'pic', 'graphic', 'icon', 'logo', 'banner', 'thumbnail', 'placeholder', 'untitled'];
+const REDUNDANT_PREFIX = /^(an?\s+)?(image|picture|photo|photograph|graphic|img)\s+(of|showing|shows)\b/i;
+const FILE_EXTENSION = /\.(jpe?g|png|gif|webp|avif|svg|bmp|tiff?|heic)$/i;
+const CAMERA_NAME = /^(img|dsc|dscn|dcim|pxl|photo|image|screenshot|screen shot)[\s_-]*\d+/i;
+
+const MAX_CHARS = 150;
+const MIN_WORDS = 3;
+const MAX_CJK_CHARS = 80;
+const MIN_CJK_CHARS = 4;
+
+// Points taken off the model's accuracy score for each issue.
+const PENALTIES = {
+  EMPTY_ALT: 100,
+  FILENAME_AS_ALT: 100,
+  GENERIC_ALT: 100,
+  DECORATIVE_WITH_ALT: 40,
+  MISMATCH: 0, // already reflected in accuracy
+  MISSING_TEXT: 20,
+  TOO_SHORT: 20,
+  TOO_LONG: 15,
+  REDUNDANT_PREFIX: 10
+};
+
+function issue(code, message) {
+  return { code, message };
+}
+
+function normalizeName(value = '') {
+  return value
+    .toLowerCase()
+    .replace(/\.[a-z0-9]+$/, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Model-free checks. `filename` is the image's file name when known.
+ */
+function lintAltText(altText, { filename, language } = {}) {
+  const alt = (altText || '').trim();
+  const issues = [];
+  if (!alt) return issues;
+
+  const bare = alt.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').trim();
+  if (FILE_EXTENSION.test(alt) || CAMERA_NAME.test(alt) || (filename && normalizeName(alt) === normalizeName(filename))) {
+    issues.push(issue('FILENAME_AS_ALT', 'Alt text is a file name'));
+  } else if (GENERIC_ALTS.includes(bare)) {
+    issues.push(issue('GENERIC_ALT', `"${alt}" does not describe the image`));
+  }
+
+  if (REDUNDANT_PREFIX.test(alt)) {
+    issues.push(issue('REDUNDANT_PREFIX', 'Screen readers already announce images; drop "image of" and similar'));
+  }
+
+  if (isCharacterCounted(language)) {
+    const length = [...alt].length;
+    if (length > MAX_CJK_CHARS) issues.push(issue('TOO_LONG', `Alt text is ${length} characters; keep it under ${MAX_CJK_CHARS}`));
+    else if (length < MIN_CJK_CHARS) issues.push(issue('TOO_SHORT', 'Alt text is too short to describe the image'));
+  } else {
+    const words = alt.split(/\s+/).length;
+    if (alt.length > MAX_CHARS) issues.push(issue('TOO_LONG', `Alt text is ${alt.length} characters; keep it under ${MAX_CHARS}`));
+    else if (words < MIN_WORDS && !issues.length) issues.push(issue('TOO_SHORT', 'Alt text is too short to describe the image'));
+  }
+  return issues;
+}
+
+/**
+ * Combine the rule checks with the model review into `{ score, issues }`.
+ */
+function scoreAltText(altText, review, options = {}) {
+  const alt = (altText || '').trim();
+  const decorative = review.classification?.type === 'decorative';
+  const issues = lintAltText(alt, options);
+
+  if (!alt && !decorative) issues.unshift(issue('EMPTY_ALT', 'Image conveys content but has no alt text'));
+  if (alt && decorative) issues.push(issue('DECORATIVE_WITH_ALT', 'Image looks decorative; alt="" lets screen readers skip it'));
+  if (alt && !decorative && review.accuracy < 50) {
+    issues.push(issue('MISMATCH', 'Alt text does not match the image content'));
+  }
+  if (alt && review.missingText) {
+    issues.push(issue('MISSING_TEXT', `Alt text leaves out legible text: "${review.missingText}"`));
+  }
+
+  // An empty alt on a decorative image is exactly right.
+  if (!alt && decorative) return { score: 100, issues };
+
+  const penalty = issues.reduce((sum, { code }) => sum + (PENALTIES[code] || 0), 0);
+  return { score: Math.max(0, Math.min(100, review.accuracy - penalty)), issues };
+}
+
+module.exports = {
+  AUDIT_THRESHOLD,
+  lintAltText,
+  scoreAltText
+};
@@ -0,0 +1,214 @@
+/**
+ * Server-side fetcher for image URLs.
+ * Remote images are downloaded here so they go through the same hashing,
+ * caching and validation path as uploaded base64, and so images the model
+ * provider cannot reach (staging sites, basic-auth URLs) still work.
+ */
+
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const MAX_BYTES = Number(process.env.IMAGE_FETCH_MAX_BYTES || 10 * 1024 * 1024);
+const TIMEOUT_MS = Number(process.env.IMAGE_FETCH_TIMEOUT_MS || 10000);
+const MAX_REDIRECTS = 3;
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges.
+const blockedRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv4'));
+// IPv6 also blocks the ranges that embed an IPv4 address (IPv4-compatible,
+// NAT64, Teredo and 6to4), since the embedded address can be a private one.
+[
+  ['::', 96],
+  ['64:ff9b::', 96],
+  ['2001::', 32],
+  ['2002::', 16],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv6'));
+
+function fetchError(code, message, status) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockedRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup used by the fetch agents (also used for job webhook deliveries).
+ * Checking addresses at connect time covers redirects and hostnames that
+ * re-resolve to an internal address.
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some(entry => isBlockedAddress(entry.address))) {
+      return callback(fetchError('IMAGE_URL_BLOCKED', `Host ${hostname} resolves to a private address`, 400));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * Reject non-http(s) schemes and literal private IPs before any request is made.
+ */
+function parseImageUrl(value) {
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch (e) {
+    throw fetchError('IMAGE_URL_BLOCKED', 'Image URL is not a valid URL', 400);
+  }
+  if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+    throw fetchError('IMAGE_URL_BLOCKED', 'Image URL must use http or https', 400);
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw fetchError('IMAGE_URL_BLOCKED', 'Image URL points to a private address', 400);
+  }
+  return parsed;
+}
+
+/**
+ * Identify the image format from its leading bytes; the Content-Type header is not trusted.
+ */
+function sniffImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'image/png';
+  const gif = buffer.subarray(0, 6).toString('ascii');
+  if (gif === 'GIF87a' || gif === 'GIF89a') return 'image/gif';
+  if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+function readBody(stream, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        stream.destroy();
+        reject(fetchError('IMAGE_TOO_LARGE', `Image exceeds the ${maxBytes} byte download limit`, 413));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+function toFetchError(err, timedOut) {
+  if (err.code === 'IMAGE_URL_BLOCKED' || err.cause?.code === 'IMAGE_URL_BLOCKED') {
+    return fetchError('IMAGE_URL_BLOCKED', err.cause?.message || err.message, 400);
+  }
+  if (err.status) return err;
+  if (timedOut) return fetchError('IMAGE_FETCH_FAILED', 'Timed out fetching image URL', 422);
+  return fetchError('IMAGE_FETCH_FAILED', `Could not fetch image URL: ${err.message}`, 422);
+}
+
+/**
+ * Download an image with SSRF protection, a size cap and an overall deadline.
+ * Throws errors with `code` and `status` (IMAGE_URL_BLOCKED, IMAGE_FETCH_FAILED,
+ * IMAGE_TOO_LARGE, UNSUPPORTED_IMAGE_TYPE).
+ */
+async function fetchRemoteImage(url, { maxBytes = MAX_BYTES, timeoutMs = TIMEOUT_MS } = {}) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  try {
+    let current = parseImageUrl(url);
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop += 1) {
+      const response = await axios.get(current.toString(), {
+        responseType: 'stream',
+        maxRedirects: 0,
+        proxy: false,
+        httpAgent,
+        httpsAgent,
+        signal: controller.signal,
+        validateStatus: () => true,
+        headers: { Accept: 'image/*' }
+      });
+
+      if (REDIRECT_STATUSES.includes(response.status) && response.headers.location) {
+        response.data.destroy();
+        current = parseImageUrl(new URL(response.headers.location, current).toString());
+        continue;
+      }
+      if (response.status < 200 || response.status >= 300) {
+        response.data.destroy();
+        throw fetchError('IMAGE_FETCH_FAILED', `Image URL responded with HTTP ${response.status}`, 422);
+      }
+      if (Number(response.headers['content-length']) > maxBytes) {
+        response.data.destroy();
+        throw fetchError('IMAGE_TOO_LARGE', `Image exceeds the ${maxBytes} byte download limit`, 413);
+      }
+
+      const buffer = await readBody(response.data, maxBytes);
+      const mimeType = sniffImageType(buffer);
+      if (!mimeType) {
+        throw fetchError('UNSUPPORTED_IMAGE_TYPE', 'Image URL did not return a JPEG, PNG, GIF or WebP image', 415);
+      }
+      return { buffer, base64: buffer.toString('base64'), mimeType, bytes: buffer.length, url: current.toString() };
+    }
+    throw fetchError('IMAGE_FETCH_FAILED', 'Image URL redirected too many times', 422);
+  } catch (err) {
+    throw toFetchError(err, timedOut);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Replace a URL-only image payload with its fetched bytes. Payloads that
+ * already carry base64 are returned unchanged.
+ */
+async function inlineRemoteImage(image = {}) {
+  if (!image.url || image.base64 || image.image_base64) return { image, fetched: false };
+  const fetched = await fetchRemoteImage(image.url);
+  return { image: { ...image, base64: fetched.base64, mime_type: fetched.mimeType }, fetched: true };
+}
+
+module.exports = {
+  fetchRemoteImage,
+  inlineRemoteImage,
+  sniffImageType,
+  isBlockedAddress,
+  parseImageUrl,
+  httpAgent,
+  httpsAgent
+};
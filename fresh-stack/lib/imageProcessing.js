@@ -0,0 +1,111 @@
+/**
+ * Server-side image normalization.
+ * Decodes the image, reads its real dimensions, downscales it to a max edge and
+ * re-encodes it before the model call, so clients do not have to resize.
+ */
+
+const sharp = require('sharp');
+const { stripDataUrl } = require('./validation');
+
+const MAX_EDGE = Number(process.env.IMAGE_MAX_EDGE || 512);
+const OUTPUT_FORMAT = process.env.IMAGE_OUTPUT_FORMAT === 'webp' ? 'webp' : 'jpeg';
+const OUTPUT_QUALITY = Number(process.env.IMAGE_OUTPUT_QUALITY || 80);
+// Refuse decompression bombs before any pixels are decoded.
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+const SUPPORTED_FORMATS = ['jpeg', 'png', 'gif', 'webp'];
+
+function imageError(code, message, status) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+/**
+ * Returns the payload with re-encoded base64, real dimensions and mime type,
+ * plus the original and normalized sizes. Throws INVALID_IMAGE (400) for data
+ * that does not decode and UNSUPPORTED_IMAGE_TYPE (415) for other formats.
+ */
+async function normalizeImage(image = {}, { maxEdge = MAX_EDGE, format = OUTPUT_FORMAT, quality = OUTPUT_QUALITY } = {}) {
+  const input = Buffer.from(stripDataUrl(image.base64 || image.image_base64 || ''), 'base64');
+
+  let metadata;
+  let output;
+  try {
+    const pipeline = sharp(input, { limitInputPixels: MAX_INPUT_PIXELS });
+    metadata = await pipeline.metadata();
+    if (!SUPPORTED_FORMATS.includes(metadata.format)) {
+      throw imageError('UNSUPPORTED_IMAGE_TYPE', 'Image must be a JPEG, PNG, GIF or WebP', 415);
+    }
+
+    // rotate() applies EXIF orientation so the model sees the image upright.
+    const resized = pipeline
+      .rotate()
+      .resize({ width: maxEdge, height: maxEdge, fit: 'inside', withoutEnlargement: true });
+    const encoded = format === 'webp'
+      ? resized.webp({ quality })
+      : resized.flatten({ background: '#ffffff' }).jpeg({ quality });
+    output = await encoded.toBuffer({ resolveWithObject: true });
+  } catch (err) {
+    if (err.code === 'UNSUPPORTED_IMAGE_TYPE') throw err;
+    throw imageError('INVALID_IMAGE', 'Image data could not be decoded', 400);
+  }
+
+  // Orientations 5-8 are stored rotated by 90 degrees.
+  const swapped = metadata.orientation >= 5;
+  const { data, info } = output;
+  const { image_base64: _raw, ...rest } = image;
+  return {
+    image: {
+      ...rest,
+      base64: data.toString('base64'),
+      mime_type: `image/${info.format}`,
+      width: info.width,
+      height: info.height
+    },
+    sizes: {
+      original: {
+        width: swapped ? metadata.height : metadata.width,
+        height: swapped ? metadata.width : metadata.height,
+        bytes: input.length,
+        format: metadata.format
+      },
+      normalized: { width: info.width, height: info.height, bytes: info.size, format: info.format }
+    }
+  };
+}
+
+/**
+ * 64-bit difference hash (dHash) of the decoded image as 16 hex characters.
+ * Resized and re-encoded copies of one upload land within a few bits of each
+ * other. Throws INVALID_IMAGE (400) for data that does not decode.
+ */
+async function perceptualHash(image = {}) {
+  const input = Buffer.from(stripDataUrl(image.base64 || image.image_base64 || ''), 'base64');
+  let pixels;
+  try {
+    pixels = await sharp(input, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .flatten({ background: '#ffffff' })
+      .greyscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+  } catch (err) {
+    throw imageError('INVALID_IMAGE', 'Image data could not be decoded', 400);
+  }
+
+  // One bit per horizontally adjacent pair: is the left pixel brighter?
+  let hash = 0n;
+  for (let y = 0; y < 8; y += 1) {
+    for (let x = 0; x < 8; x += 1) {
+      hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+module.exports = {
+  normalizeImage,
+  perceptualHash
+};
@@ -0,0 +1,82 @@
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+function channelFor(jobId) {
+  return `alttext:job:${jobId}:events`;
+}
+
+/**
+ * Counts-only view of a job record; full results are fetched on completion.
+ */
+function summarizeJob(record = {}) {
+  return {
+    status: record.status,
+    total: record.total,
+    completed: record.completed,
+    failed: record.failed,
+    progress: record.progress,
+    credits_used: record.credits_used
+  };
+}
+
+/**
+ * Fans job events out to every API instance. With Redis each job gets its own
+ * pub/sub channel, subscribed only while a local stream is listening; without
+ * Redis events stay in-process.
+ */
+function createJobEventBus({ redis }) {
+  const local = new EventEmitter();
+  local.setMaxListeners(0);
+  let subscriber = null;
+
+  function getSubscriber() {
+    if (subscriber) return subscriber;
+    subscriber = redis.duplicate();
+    subscriber.on('error', (err) => logger.error('[jobEvents] subscriber error', err.message));
+    subscriber.on('message', (channel, message) => {
+      try {
+        const { jobId, event, job } = JSON.parse(message);
+        local.emit(jobId, event, job);
+      } catch (e) {
+        logger.warn('[jobEvents] dropped malformed message', { channel });
+      }
+    });
+    return subscriber;
+  }
+
+  async function publish(jobId, event, record) {
+    const message = { jobId, event: { type: event.type, item: event.item }, job: summarizeJob(record) };
+    if (redis) {
+      await redis.publish(channelFor(jobId), JSON.stringify(message));
+    } else {
+      local.emit(jobId, message.event, message.job);
+    }
+  }
+
+  /**
+   * Listen for events on one job. Resolves once the subscription is active and
+   * returns an unsubscribe function.
+   */
+  async function subscribe(jobId, listener) {
+    local.on(jobId, listener);
+    if (redis && local.listenerCount(jobId) === 1) {
+      await getSubscriber().subscribe(channelFor(jobId));
+    }
+    return async () => {
+      local.off(jobId, listener);
+      if (redis && local.listenerCount(jobId) === 0) {
+        await getSubscriber().unsubscribe(channelFor(jobId)).catch(() => {});
+      }
+    };
+  }
+
+  return {
+    publish,
+    subscribe
+  };
+}
+
+module.exports = {
+  createJobEventBus,
+  summarizeJob
+};
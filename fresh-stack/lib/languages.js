@@ -0,0 +1,56 @@
+/**
+ * Target-language handling for alt text generation.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+const MAX_LANGUAGES = 10;
+// Scripts written without spaces between words, so length guidance is in characters.
+const CHARACTER_COUNTED = ['zh', 'ja', 'ko', 'yue', 'th', 'lo', 'km', 'my'];
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * Canonicalize a BCP-47 tag or list of tags (e.g. "de-de" -> "de-DE"),
+ * dropping duplicates. Returns `{ languages }` or `{ error }`.
+ */
+function normalizeLanguages(value) {
+  const requested = value == null ? [DEFAULT_LANGUAGE] : [].concat(value);
+  if (!requested.length) return { error: 'language must not be empty' };
+  if (requested.length > MAX_LANGUAGES) return { error: `At most ${MAX_LANGUAGES} languages per request` };
+
+  let languages;
+  try {
+    languages = Intl.getCanonicalLocales(requested);
+  } catch (e) {
+    return { error: `Invalid BCP-47 language tag: ${e.message}` };
+  }
+  return { languages };
+}
+
+function primarySubtag(language = DEFAULT_LANGUAGE) {
+  return language.split('-')[0].toLowerCase();
+}
+
+function isCharacterCounted(language) {
+  return CHARACTER_COUNTED.includes(primarySubtag(language));
+}
+
+function isEnglish(language) {
+  return primarySubtag(language) === 'en';
+}
+
+function languageName(language) {
+  try {
+    return displayNames.of(language) || language;
+  } catch (e) {
+    return language;
+  }
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  normalizeLanguages,
+  isCharacterCounted,
+  isEnglish,
+  languageName
+};
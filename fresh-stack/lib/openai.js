@@ -1,139 +1,344 @@
-const axios = require('axios');
+const crypto = require('crypto');
+const { generateWithFailover, loadProviderChain } = require('./providers');
+const { DEFAULT_LANGUAGE, isCharacterCounted, isEnglish, languageName } = require('./languages');
 
-function buildPrompt(context = {}) {
-  const lines = [
-    'Write a concise, specific alt text for the image.',
-    'Rules:',
-    '- 10-16 words, under ~110 characters.',
+// Bump whenever prompt wording or the reply format changes.
+const PROMPT_VERSION = 1;
+
+/**
+ * Short fingerprint of the prompt version and the configured provider chain.
+ * Result cache keys include it, so switching prompts or models is never served
+ * results from the old setup.
+ */
+function cacheVersion() {
+  const chain = loadProviderChain().map(provider => `${provider.name}:${provider.model}`).join(',');
+  return crypto.createHash('sha256').update(`${PROMPT_VERSION}|${chain}`).digest('hex').slice(0, 8);
+}
+
+function lengthRule(language, profile = {}) {
+  // Word counts mean nothing in scripts written without spaces.
+  if (isCharacterCounted(language)) {
+    return profile.max_chars
+      ? `- At most ${profile.max_chars} characters; one short phrase or sentence.`
+      : '- Roughly 20-50 characters; one short phrase or sentence.';
+  }
+  const { min_words: min, max_words: max, max_chars: maxChars } = profile;
+  if (!min && !max && !maxChars) return '- 10-16 words, under ~110 characters.';
+
+  const parts = [];
+  if (min && max) parts.push(`${min}-${max} words`);
+  else if (max) parts.push(`at most ${max} words`);
+  else if (min) parts.push(`at least ${min} words`);
+  if (maxChars) parts.push(`under ${maxChars} characters`);
+  const rule = parts.join(', ');
+  return `- ${rule[0].toUpperCase()}${rule.slice(1)}.`;
+}
+
+function keywordRule(profile = {}) {
+  const keywords = (profile.keywords || []).join(', ');
+  switch (profile.keyword_policy) {
+    case 'avoid':
+      return '- Do not add keywords for SEO; describe only what is visible.';
+    case 'required':
+      return keywords
+        ? `- Include at least one of these keywords naturally: ${keywords}.`
+        : '- Include at least one relevant keyword from context/filename.';
+    default:
+      return keywords
+        ? `- Use 1-2 relevant keywords naturally, preferring: ${keywords}.`
+        : '- Use 1-2 relevant keywords from context/filename naturally.';
+  }
+}
+
+const OUTPUT_TYPES = ['alt', 'long_description', 'caption', 'title'];
+
+// What each extra output should contain, plus its share of the token budget.
+const OUTPUT_GUIDANCE = {
+  long_description: {
+    text: 'a long description for readers who cannot see the image. For charts, infographics and diagrams cover the structure, the data, key trends and all legible text; otherwise 2-4 sentences.',
+    maxTokens: 400
+  },
+  caption: { text: 'one sentence suitable for display under the image.', maxTokens: 80 },
+  title: { text: 'a short title of 3-8 words without trailing punctuation.', maxTokens: 30 }
+};
+
+// WCAG image purposes; decorative images should get alt="".
+const IMAGE_ROLES = ['decorative', 'informative', 'functional', 'text_heavy', 'complex'];
+
+const CLASSIFICATION_GUIDANCE = [
+  'classification: one of "decorative", "informative", "functional", "text_heavy", "complex".',
+  '- decorative: spacers, dividers, background flourishes, or icons next to text that already says the same thing.',
+  '- functional: the only content of a link or button; alt should name the action or destination.',
+  '- text_heavy: mostly text (quote cards, scanned pages); alt should contain that text.',
+  '- complex: charts, diagrams, maps and infographics that need a long description.',
+  '- informative: any other image that conveys content.',
+  '',
+  'confidence: a number from 0 to 1 for the classification.'
+];
+
+/**
+ * `profile` is a stored style profile (services/styleProfiles) whose rules
+ * replace the defaults for length, tone and keywords. Asking for more than
+ * `outputs: ['alt']`, or to `classify` the image, switches to a single JSON
+ * object keyed by field.
+ */
+function buildPrompt(context = {}, { language = DEFAULT_LANGUAGE, profile = null, outputs = ['alt'], classify = false } = {}) {
+  const english = isEnglish(language);
+  const structured = classify || isStructured(outputs);
+  const altRules = [
+    lengthRule(language, profile || {}),
     '- Mention subjects, action, setting, colors; include any legible text verbatim.',
-    '- Use 1-2 relevant keywords from context/filename naturally.',
-    '- No filler like "image of" or "picture of".',
+    keywordRule(profile || {}),
+    english
+      ? '- No filler like "image of" or "picture of".'
+      : '- No filler like "image of" or "picture of" (or their equivalents).',
   ];
+  const styleRules = [];
+  if (profile?.tone) styleRules.push(`- Tone: ${profile.tone}.`);
+  if (profile?.banned_words?.length) styleRules.push(`- Never use these words: ${profile.banned_words.join(', ')}.`);
+  if (!english) {
+    styleRules.push(structured
+      ? `- Write every field in ${languageName(language)} (${language}); keep legible text in its original language.`
+      : `- Write the alt text in ${languageName(language)} (${language}); keep legible text in its original language.`);
+  }
+
+  const lines = [];
+  if (!structured) {
+    lines.push('Write a concise, specific alt text for the image.', 'Rules:', ...altRules, ...styleRules);
+  } else {
+    lines.push('Write the following for the image.');
+    if (outputs.includes('alt')) {
+      lines.push('', 'alt: a concise, specific alt text. Rules:', ...altRules);
+    }
+    outputs
+      .filter(type => type !== 'alt')
+      .forEach(type => lines.push('', `${type}: ${OUTPUT_GUIDANCE[type].text}`));
+    if (classify) lines.push('', ...CLASSIFICATION_GUIDANCE);
+    if (styleRules.length) lines.push('', 'All fields:', ...styleRules);
+  }
+  if (profile?.instructions) {
+    lines.push('');
+    lines.push('Additional instructions:');
+    lines.push(profile.instructions);
+  }
 
+  lines.push(...contextLines(context));
+
+  lines.push('');
+  const keys = outputs.map(type => `"${type}"`).join(', ');
+  if (!structured) lines.push('Return only the alt text.');
+  else if (classify) lines.push(`Return only a JSON object with the string keys ${keys}, "classification" and the number "confidence".`);
+  else lines.push(`Return only a JSON object with the string keys ${keys}.`);
+  return lines.join('\n');
+}
+
+function contextLines(context = {}) {
   const hints = [];
   if (context.title) hints.push(`Title: ${context.title}`);
   if (context.caption) hints.push(`Caption: ${context.caption}`);
   if (context.pageTitle) hints.push(`Page: ${context.pageTitle}`);
   if (context.filename) hints.push(`File: ${context.filename}`);
   if (context.altTextSuggestion) hints.push(`User suggestion: ${context.altTextSuggestion}`);
+  if (context.linkTarget) hints.push(`Link target (the image is inside this link): ${context.linkTarget}`);
+  if (context.adjacentText) hints.push(`Adjacent text: ${context.adjacentText}`);
+  return hints.length ? ['', 'Context:', ...hints] : [];
+}
 
-  if (hints.length) {
-    lines.push('');
-    lines.push('Context:');
-    lines.push(...hints);
-  }
-
-  lines.push('');
-  lines.push('Return only the alt text.');
-  return lines.join('\n');
+function isStructured(outputs) {
+  return !(outputs.length === 1 && outputs[0] === 'alt');
 }
 
-async function generateAltText({ image, context }) {
-  const apiKey = process.env.ALTTEXT_OPENAI_API_KEY || process.env.OPENAI_API_KEY;
-  // Prefer a vision-capable model; fall back to gpt-4o-mini if not available.
-  const preferredModel = process.env.OPENAI_MODEL || 'gpt-4o';
-  const fallbackModel = 'gpt-4o-mini';
-  let modelUsed = preferredModel;
+/**
+ * Pull the requested fields out of a JSON reply; throws when any is missing.
+ */
+function parseReply(text, { outputs, classify }) {
+  const data = JSON.parse(text.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  const missing = outputs.filter(type => typeof data?.[type] !== 'string' || !data[type].trim());
+  if (missing.length) throw new Error(`missing ${missing.join(', ')}`);
+  if (classify && !IMAGE_ROLES.includes(data.classification)) throw new Error('missing classification');
 
-  const prompt = buildPrompt(context);
-  const imageUrl = image.base64
-    ? `data:${image.mime_type};base64,${image.base64}`
-    : image.url;
+  const confidence = Number(data.confidence);
+  return {
+    outputs: Object.fromEntries(outputs.map(type => [type, data[type].trim()])),
+    classification: classify
+      ? { type: data.classification, confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : null }
+      : null
+  };
+}
 
-  if (!apiKey) {
-    return {
-      altText: fallbackAltText(context),
-      usage: null,
-      meta: { usedFallback: true, reason: 'Missing OpenAI API key' }
-    };
-  }
+const SYSTEM_PROMPT = 'You are an accessibility assistant that writes excellent alternative text.';
 
-  try {
-    let response;
-    try {
-      response = await axios.post(
-        'https://api.openai.com/v1/chat/completions',
-        {
-          model: modelUsed,
-          temperature: 0.2,
-          max_tokens: 50,
-          messages: [
-            { role: 'system', content: 'You are an accessibility assistant that writes excellent alternative text.' },
-            {
-              role: 'user',
-              content: [
-                { type: 'text', text: prompt },
-                { type: 'image_url', image_url: { url: imageUrl, detail: 'low' } }
-              ]
-            }
-          ]
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 60000
-        }
-      );
-    } catch (firstError) {
-      const msg = firstError?.response?.data?.error?.message || '';
-      const modelMissing = /model.+does not exist/i.test(msg) || /You must provide a model parameter/.test(msg);
-      if (modelMissing && modelUsed !== fallbackModel) {
-        modelUsed = fallbackModel;
-        response = await axios.post(
-          'https://api.openai.com/v1/chat/completions',
-          {
-            model: modelUsed,
-            temperature: 0.2,
-            max_tokens: 50,
-            messages: [
-              { role: 'system', content: 'You are an accessibility assistant that writes excellent alternative text.' },
-              {
-                role: 'user',
-                content: [
-                  { type: 'text', text: prompt },
-                  { type: 'image_url', image_url: { url: imageUrl, detail: 'low' } }
-                ]
-              }
-            ]
-          },
-          {
-            headers: {
-              Authorization: `Bearer ${apiKey}`,
-              'Content-Type': 'application/json'
-            },
-            timeout: 60000
-          }
-        );
-      } else {
-        throw firstError;
-      }
-    }
+function generationError(cause) {
+  const err = new Error(cause?.message || 'Alt text generation failed');
+  err.code = 'GENERATION_FAILED';
+  err.status = 502;
+  // Outages, timeouts and rate limits are worth retrying; rejected requests and missing config are not.
+  err.retryable = Boolean(cause?.retryable);
+  return err;
+}
 
-    const choice = response.data?.choices?.[0];
-    const altText = choice?.message?.content?.trim();
+/**
+ * Generate alt text through the configured provider chain (see lib/providers).
+ * With several `outputs` the same call returns them all in `outputs`, and
+ * `classify` adds `classification: { type, confidence }` (see IMAGE_ROLES); a
+ * reply that is not the expected JSON moves on to the next provider.
+ * `onToken` streams plain alt text as it is generated (ignored for JSON replies);
+ * `signal` aborts the provider call.
+ * Throws GENERATION_FAILED (with `retryable`) when every provider fails, unless
+ * the caller opts into `allowFallback`, in which case text derived from the
+ * context is returned with `meta.usedFallback: true` when there is any; that
+ * text is not translated into `language` and only covers `alt`.
+ */
+async function generateAltText({
+  image,
+  context,
+  language = DEFAULT_LANGUAGE,
+  profile = null,
+  outputs = ['alt'],
+  classify = false,
+  allowFallback = false,
+  onToken = null,
+  signal = null
+}) {
+  const structured = classify || isStructured(outputs);
+  const prompt = buildPrompt(context, { language, profile, outputs, classify });
+  // Non-Latin scripts take noticeably more tokens for the same text; long profiles need room too.
+  const altTokens = Math.max(
+    isEnglish(language) ? 50 : 100,
+    (profile?.max_words || 0) * 3,
+    Math.ceil((profile?.max_chars || 0) / 2)
+  );
+  const maxTokens = outputs.reduce(
+    (total, type) => total + (type === 'alt' ? altTokens : OUTPUT_GUIDANCE[type].maxTokens * (isEnglish(language) ? 1 : 2)),
+    classify ? 30 : 0
+  );
+  const startedAt = Date.now();
 
+  try {
+    const result = await generateWithFailover({
+      image,
+      prompt,
+      options: { system: SYSTEM_PROMPT, maxTokens, temperature: 0.2, detail: 'low', json: structured, signal },
+      parse: structured ? text => parseReply(text, { outputs, classify }) : null,
+      onToken: structured ? null : onToken
+    });
+    const generated = structured ? result.parsed.outputs : { alt: result.text };
     return {
-      altText: altText || fallbackAltText(context),
-      usage: response.data?.usage || null,
-      meta: { usedFallback: !altText || modelUsed === fallbackModel, modelUsed }
+      altText: generated.alt ?? null,
+      outputs: generated,
+      classification: structured ? result.parsed.classification : null,
+      usage: result.usage,
+      meta: {
+        language,
+        usedFallback: false,
+        modelUsed: result.model,
+        provider: result.provider,
+        generation_time_ms: Date.now() - startedAt
+      }
     };
   } catch (error) {
-    const message = error?.response?.data?.error?.message || error.message || 'OpenAI request failed';
+    const fallback = allowFallback && outputs.includes('alt') ? fallbackAltText(context) : '';
+    if (!fallback) throw generationError(error);
     return {
-      altText: fallbackAltText(context),
+      altText: fallback,
+      outputs: Object.fromEntries(outputs.map(type => [type, type === 'alt' ? fallback : null])),
+      classification: null,
       usage: null,
-      meta: { usedFallback: true, reason: message }
+      meta: { usedFallback: true, reason: error.message }
     };
   }
 }
 
+function buildAuditPrompt(altText, context = {}, language = DEFAULT_LANGUAGE) {
+  return [
+    'Review the existing alt text of this image for a screen reader user.',
+    `Existing alt text: ${JSON.stringify(altText)}`,
+    ...(isEnglish(language)
+      ? []
+      : [`The alt text should be written in ${languageName(language)} (${language}); score it lower when it is not.`]),
+    '',
+    'accuracy: 0-100, how accurately and completely it conveys what matters in the image (0 when it describes something else; score an empty alt by whether the image needs one).',
+    '',
+    'missing_text: legible text in the image that the alt text leaves out, or "" when there is none or it does not matter.',
+    '',
+    ...CLASSIFICATION_GUIDANCE,
+    ...contextLines(context),
+    '',
+    'Return only a JSON object with the number "accuracy", the string "missing_text", the string "classification" and the number "confidence".'
+  ].join('\n');
+}
+
+function parseAudit(text) {
+  const data = JSON.parse(text.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  const accuracy = Number(data?.accuracy);
+  if (!Number.isFinite(accuracy)) throw new Error('missing accuracy');
+  if (!IMAGE_ROLES.includes(data.classification)) throw new Error('missing classification');
+  const confidence = Number(data.confidence);
+  return {
+    accuracy: Math.round(Math.min(Math.max(accuracy, 0), 100)),
+    missingText: typeof data.missing_text === 'string' ? data.missing_text.trim() : '',
+    classification: {
+      type: data.classification,
+      confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : null
+    }
+  };
+}
+
+/**
+ * Ask the provider chain how well existing alt text fits the image.
+ * Resolves to `{ accuracy, missingText, classification, usage, meta }`;
+ * throws GENERATION_FAILED like generateAltText, without a fallback.
+ * Alt text not written in `language` scores lower.
+ */
+async function auditAltText({ image, altText, context, language = DEFAULT_LANGUAGE }) {
+  const startedAt = Date.now();
+  let result;
+  try {
+    result = await generateWithFailover({
+      image,
+      prompt: buildAuditPrompt(altText, context, language),
+      options: { system: SYSTEM_PROMPT, maxTokens: 150, temperature: 0, detail: 'low', json: true },
+      parse: parseAudit
+    });
+  } catch (error) {
+    throw generationError(error);
+  }
+  return {
+    ...result.parsed,
+    usage: result.usage,
+    meta: { modelUsed: result.model, provider: result.provider, generation_time_ms: Date.now() - startedAt }
+  };
+}
+
+function humanizeFilename(filename = '') {
+  return filename
+    .replace(/\.[a-z0-9]+$/i, '')
+    .replace(/[-_]+/g, ' ')
+    .replace(/\b\d+x\d+\b|\bscaled\b|\be\d{10,}\b/gi, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Best-effort alt text from what the caller already knows about the image.
+ */
 function fallbackAltText(context = {}) {
-  const base = context.title || context.caption || context.pageTitle || 'Image';
-  return `${base}: concise descriptive alt text placeholder`;
+  return (
+    context.altTextSuggestion ||
+    context.caption ||
+    context.title ||
+    humanizeFilename(context.filename || '') ||
+    ''
+  ).trim();
 }
 
 module.exports = {
-  generateAltText
+  PROMPT_VERSION,
+  OUTPUT_TYPES,
+  IMAGE_ROLES,
+  buildPrompt,
+  cacheVersion,
+  generateAltText,
+  auditAltText,
+  humanizeFilename
 };
@@ -0,0 +1,132 @@
+/**
+ * Near-duplicate lookup for the alt text cache.
+ * Maps each tenant's perceptual hashes (see imageProcessing.perceptualHash) to
+ * the exact hash of the image whose result is cached, so resized and
+ * re-encoded copies of one upload can reuse it.
+ */
+
+const logger = require('./logger');
+
+const HASH_BITS = 64;
+// Hashes at most this many bits apart count as the same image.
+const PHASH_MAX_DISTANCE = Math.min(Math.max(Number(process.env.PHASH_MAX_DISTANCE || 4), 0), 10);
+const MEMORY_LIMIT = 5000;
+// Most recent hashes kept (and read) per band.
+const BAND_LIMIT = 500;
+
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Split the hash into `count` bit ranges. Two hashes within count - 1 bits of
+ * each other agree on at least one range, so only hashes sharing a range with
+ * the query need comparing.
+ */
+function bandsOf(hash, count) {
+  const bits = BigInt(`0x${hash}`).toString(2).padStart(HASH_BITS, '0');
+  const bands = [];
+  for (let i = 0; i < count; i += 1) {
+    const start = Math.floor((i * HASH_BITS) / count);
+    const end = Math.floor(((i + 1) * HASH_BITS) / count);
+    bands.push(`${i}:${bits.slice(start, end)}`);
+  }
+  return bands;
+}
+
+/**
+ * Entries are scoped by tenant and cache version (see openai.cacheVersion) and
+ * expire after ttlSeconds, like the results they point to. With Redis each band
+ * value is a sorted set of `phash:key` members scored by when they were added,
+ * holding the BAND_LIMIT most recent; without Redis each tenant keeps its most
+ * recent MEMORY_LIMIT hashes and is scanned in full.
+ */
+function createPerceptualIndex({ redis, maxDistance = PHASH_MAX_DISTANCE, ttlSeconds = 60 * 60 * 24 * 7 }) {
+  const memory = new Map();
+  const bandCount = maxDistance + 1;
+
+  // The band layout is part of the key, so changing the distance starts a fresh index.
+  function bandKey(tenant, version, band) {
+    return `alttext:phash:${tenant}:${version}:${bandCount}:${band}`;
+  }
+
+  async function candidatesFor(tenant, version, hash) {
+    if (redis) {
+      const since = Date.now() - ttlSeconds * 1000;
+      const sets = await Promise.all(bandsOf(hash, bandCount).map(
+        band => redis.zrevrangebyscore(bandKey(tenant, version, band), '+inf', since, 'LIMIT', 0, BAND_LIMIT)
+      ));
+      // Oldest first, so ties go to the earliest indexed image as in memory.
+      return sets.flatMap(members => members.reverse()).map((member) => {
+        const [candidate, key] = member.split(':');
+        return { hash: candidate, key };
+      });
+    }
+    const now = Date.now();
+    return [...(memory.get(`${tenant}:${version}`) || new Map())]
+      .filter(([, entry]) => entry.expiresAt > now)
+      .map(([candidate, entry]) => ({ hash: candidate, key: entry.key }));
+  }
+
+  /**
+   * Closest indexed image within maxDistance as `{ key, distance }`, or null.
+   */
+  async function find(tenant, version, hash) {
+    let candidates;
+    try {
+      candidates = await candidatesFor(tenant, version, hash);
+    } catch (e) {
+      logger.warn('[perceptualIndex] Lookup failed', { error: e.message });
+      return null;
+    }
+
+    let best = null;
+    for (const candidate of candidates) {
+      const distance = hammingDistance(hash, candidate.hash);
+      if (distance <= maxDistance && (!best || distance < best.distance)) {
+        best = { key: candidate.key, distance };
+      }
+    }
+    return best;
+  }
+
+  async function add(tenant, version, hash, key) {
+    const now = Date.now();
+    if (redis) {
+      const multi = redis.multi();
+      for (const band of bandsOf(hash, bandCount)) {
+        const indexKey = bandKey(tenant, version, band);
+        multi.zadd(indexKey, now, `${hash}:${key}`);
+        multi.zremrangebyscore(indexKey, '-inf', now - ttlSeconds * 1000);
+        multi.zremrangebyrank(indexKey, 0, -BAND_LIMIT - 1);
+        multi.expire(indexKey, ttlSeconds);
+      }
+      await multi.exec().catch((e) => logger.warn('[perceptualIndex] Write failed', { error: e.message }));
+      return;
+    }
+
+    const scope = `${tenant}:${version}`;
+    if (!memory.has(scope)) memory.set(scope, new Map());
+    const entries = memory.get(scope);
+    entries.delete(hash);
+    entries.set(hash, { key, expiresAt: now + ttlSeconds * 1000 });
+    if (entries.size > MEMORY_LIMIT) entries.delete(entries.keys().next().value);
+  }
+
+  return {
+    find,
+    add
+  };
+}
+
+module.exports = {
+  PHASH_MAX_DISTANCE,
+  hammingDistance,
+  createPerceptualIndex
+};
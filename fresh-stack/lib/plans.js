@@ -0,0 +1,139 @@
+/**
+ * Plan catalog: monthly credits, site limits, rate limits, prices, Stripe price
+ * IDs and feature flags of every plan, plus the one-time credit packs on sale.
+ * Read from config/plans.json, or from PLAN_CATALOG_PATH, at startup and again
+ * by reloadPlanCatalog, so plans are added or changed by editing the file.
+ * `ALTTEXT_AI_STRIPE_PRICE_<ID>` overrides a plan's or pack's `stripe_price_id`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const logger = require('./logger');
+
+const DEFAULT_CATALOG_PATH = path.join(__dirname, '../../config/plans.json');
+
+const planSchema = z.object({
+  id: z.string().regex(/^[a-z0-9_-]+$/),
+  name: z.string(),
+  credits: z.number().int().nonnegative(),
+  // null = unlimited
+  max_sites: z.number().int().positive().nullable().default(1),
+  rate_limit_per_minute: z.number().int().positive().default(60),
+  price: z.number().nonnegative().default(0),
+  currency: z.string().default('usd'),
+  interval: z.enum(['month', 'year']).default('month'),
+  stripe_price_id: z.string().nullable().default(null),
+  trial_days: z.number().int().nonnegative().default(0),
+  scope: z.enum(['site', 'shared']).default('site'),
+  // Listed by GET /billing/plans
+  public: z.boolean().default(true),
+  flags: z.record(z.boolean()).default({}),
+  features: z.array(z.string()).default([])
+});
+
+// Credit packs are bought once and never act as a license's plan.
+const packSchema = z.object({
+  id: z.string().regex(/^[a-z0-9_-]+$/),
+  name: z.string(),
+  credits: z.number().int().positive(),
+  price: z.number().nonnegative().default(0),
+  currency: z.string().default('usd'),
+  stripe_price_id: z.string().nullable().default(null),
+  // Listed by GET /billing/plans
+  public: z.boolean().default(true),
+  features: z.array(z.string()).default([])
+});
+
+const catalogSchema = z.object({
+  default_plan: z.string().default('free'),
+  plans: z.array(planSchema).min(1),
+  packs: z.array(packSchema).default([])
+}).superRefine((catalog, ctx) => {
+  const ids = [...catalog.plans, ...catalog.packs].map(entry => entry.id);
+  if (new Set(ids).size !== ids.length) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Plan and pack ids must be unique' });
+  }
+  if (!catalog.plans.some(plan => plan.id === catalog.default_plan)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `default_plan "${catalog.default_plan}" is not in plans` });
+  }
+});
+
+/**
+ * Read and validate a catalog file. Throws on a missing or invalid file, so a
+ * broken catalog stops the server at startup.
+ */
+function loadPlanCatalog(file = process.env.PLAN_CATALOG_PATH || DEFAULT_CATALOG_PATH, env = process.env) {
+  const parsed = catalogSchema.safeParse(JSON.parse(fs.readFileSync(file, 'utf8')));
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(issue => `${issue.path.join('.') || 'catalog'}: ${issue.message}`);
+    throw new Error(`Invalid plan catalog ${file}: ${issues.join('; ')}`);
+  }
+  const priced = entry => ({
+    ...entry,
+    stripe_price_id: env[`ALTTEXT_AI_STRIPE_PRICE_${entry.id.toUpperCase()}`] || entry.stripe_price_id
+  });
+  return {
+    defaultPlan: parsed.data.default_plan,
+    plans: parsed.data.plans.map(plan => ({ ...priced(plan), type: 'plan' })),
+    packs: parsed.data.packs.map(pack => ({ ...priced(pack), type: 'pack', interval: 'one-time' }))
+  };
+}
+
+let catalog = loadPlanCatalog();
+
+/**
+ * Re-read the catalog (on SIGHUP, see server.js) so edits apply without a
+ * restart. An invalid file is logged and the current catalog kept.
+ */
+function reloadPlanCatalog(file, env) {
+  try {
+    catalog = loadPlanCatalog(file, env);
+  } catch (e) {
+    logger.error('[plans] Plan catalog reload failed', { error: e.message });
+    return false;
+  }
+  logger.info('[plans] Plan catalog reloaded', { plans: catalog.plans.length, packs: catalog.packs.length });
+  return true;
+}
+
+function listPlans() {
+  return catalog.plans;
+}
+
+function listPacks() {
+  return catalog.packs;
+}
+
+/**
+ * The plan with this id; unknown ids (and none) get the default plan.
+ */
+function getPlan(id) {
+  return catalog.plans.find(plan => plan.id === id)
+    || catalog.plans.find(plan => plan.id === catalog.defaultPlan);
+}
+
+function findPlanByPrice(priceId) {
+  if (!priceId) return null;
+  return catalog.plans.find(plan => plan.stripe_price_id === priceId) || null;
+}
+
+function findPackByPrice(priceId) {
+  if (!priceId) return null;
+  return catalog.packs.find(pack => pack.stripe_price_id === priceId) || null;
+}
+
+function hasFeature(planId, flag) {
+  return getPlan(planId).flags[flag] === true;
+}
+
+module.exports = {
+  loadPlanCatalog,
+  reloadPlanCatalog,
+  listPlans,
+  listPacks,
+  getPlan,
+  findPlanByPrice,
+  findPackByPrice,
+  hasFeature
+};
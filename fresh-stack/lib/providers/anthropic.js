@@ -0,0 +1,126 @@
+/**
+ * Anthropic Messages API provider.
+ */
+
+const axios = require('axios');
+const { providerError } = require('./errors');
+const { createStreamDeadline, readEventStream } = require('./eventStream');
+
+const TIMEOUT_MS = 60000;
+const API_VERSION = '2023-06-01';
+
+function imageSource(image) {
+  if (image.base64) {
+    return { type: 'base64', media_type: image.mime_type, data: image.base64 };
+  }
+  return { type: 'url', url: image.url };
+}
+
+function mapUsage(inputTokens, outputTokens) {
+  return { prompt_tokens: inputTokens, completion_tokens: outputTokens, total_tokens: (inputTokens || 0) + (outputTokens || 0) };
+}
+
+function createAnthropicProvider({ apiKey, model }) {
+  function requestBody({ image, prompt, options }) {
+    return {
+      model,
+      max_tokens: options.maxTokens || 50,
+      temperature: options.temperature ?? 0.2,
+      ...(options.system ? { system: options.system } : {}),
+      messages: [
+        {
+          role: 'user',
+          content: [
+            { type: 'image', source: imageSource(image) },
+            { type: 'text', text: prompt }
+          ]
+        }
+      ]
+    };
+  }
+
+  function requestConfig(options, extra = {}) {
+    return {
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': API_VERSION,
+        'Content-Type': 'application/json'
+      },
+      timeout: TIMEOUT_MS,
+      ...(options.signal ? { signal: options.signal } : {}),
+      ...extra
+    };
+  }
+
+  async function generate({ image, prompt, options = {} }) {
+    let response;
+    try {
+      response = await axios.post(
+        'https://api.anthropic.com/v1/messages',
+        requestBody({ image, prompt, options }),
+        requestConfig(options)
+      );
+    } catch (err) {
+      throw providerError('anthropic', err);
+    }
+
+    const data = response.data || {};
+    const text = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('')
+      .trim();
+    return {
+      text,
+      usage: data.usage ? mapUsage(data.usage.input_tokens, data.usage.output_tokens) : null,
+      model: data.model || model
+    };
+  }
+
+  /**
+   * Like generate, but calls `onToken(text)` for each text delta as it arrives.
+   * A stream that stalls or runs past its deadline is aborted as a timeout.
+   */
+  async function stream({ image, prompt, options = {}, onToken }) {
+    let text = '';
+    let inputTokens;
+    let outputTokens;
+    let responseModel = model;
+    const deadline = createStreamDeadline({ signal: options.signal });
+    try {
+      const response = await axios.post(
+        'https://api.anthropic.com/v1/messages',
+        { ...requestBody({ image, prompt, options }), stream: true },
+        requestConfig(options, { responseType: 'stream', signal: deadline.signal })
+      );
+      await readEventStream(response.data, ({ event, data }) => {
+        const payload = JSON.parse(data);
+        if (event === 'error') throw new Error(payload.error?.message || 'Stream error');
+        if (event === 'message_start') {
+          responseModel = payload.message?.model || responseModel;
+          inputTokens = payload.message?.usage?.input_tokens;
+        } else if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+          text += payload.delta.text;
+          onToken(payload.delta.text);
+        } else if (event === 'message_delta') {
+          outputTokens = payload.usage?.output_tokens;
+        }
+      }, deadline);
+    } catch (err) {
+      throw providerError('anthropic', deadline.error || err);
+    } finally {
+      deadline.clear();
+    }
+    return {
+      text: text.trim(),
+      usage: inputTokens !== undefined || outputTokens !== undefined ? mapUsage(inputTokens, outputTokens) : null,
+      model: responseModel
+    };
+  }
+
+  return { name: 'anthropic', model, generate, stream };
+}
+
+module.exports = {
+  createAnthropicProvider
+};
@@ -0,0 +1,138 @@
+/**
+ * Providers that speak the OpenAI chat completions format: OpenAI itself,
+ * Azure OpenAI deployments and OpenAI-compatible servers (local models).
+ */
+
+const axios = require('axios');
+const { providerError } = require('./errors');
+const { createStreamDeadline, readEventStream } = require('./eventStream');
+
+const TIMEOUT_MS = 60000;
+
+function imageUrlFor(image) {
+  return image.base64 ? `data:${image.mime_type};base64,${image.base64}` : image.url;
+}
+
+// `jsonMode` and `streamUsage` are off for compatible servers, not all of which
+// accept response_format or stream_options.
+function createChatCompletionsProvider({ name, url, headers, model, jsonMode = false, streamUsage = false }) {
+  function requestBody({ image, prompt, options }) {
+    return {
+      model,
+      temperature: options.temperature ?? 0.2,
+      max_tokens: options.maxTokens || 50,
+      ...(options.json && jsonMode ? { response_format: { type: 'json_object' } } : {}),
+      messages: [
+        ...(options.system ? [{ role: 'system', content: options.system }] : []),
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt },
+            { type: 'image_url', image_url: { url: imageUrlFor(image), detail: options.detail || 'low' } }
+          ]
+        }
+      ]
+    };
+  }
+
+  function requestConfig(options, extra = {}) {
+    return {
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      timeout: TIMEOUT_MS,
+      ...(options.signal ? { signal: options.signal } : {}),
+      ...extra
+    };
+  }
+
+  async function generate({ image, prompt, options = {} }) {
+    let response;
+    try {
+      response = await axios.post(url, requestBody({ image, prompt, options }), requestConfig(options));
+    } catch (err) {
+      throw providerError(name, err);
+    }
+
+    const text = response.data?.choices?.[0]?.message?.content?.trim() || '';
+    return { text, usage: response.data?.usage || null, model: response.data?.model || model };
+  }
+
+  /**
+   * Like generate, but calls `onToken(text)` for each chunk as it arrives.
+   * A stream that stalls or runs past its deadline is aborted as a timeout.
+   */
+  async function stream({ image, prompt, options = {}, onToken }) {
+    let text = '';
+    let usage = null;
+    let responseModel = model;
+    const deadline = createStreamDeadline({ signal: options.signal });
+    try {
+      const response = await axios.post(
+        url,
+        {
+          ...requestBody({ image, prompt, options }),
+          stream: true,
+          ...(streamUsage ? { stream_options: { include_usage: true } } : {})
+        },
+        requestConfig(options, { responseType: 'stream', signal: deadline.signal })
+      );
+      await readEventStream(response.data, ({ data }) => {
+        if (data === '[DONE]') return;
+        const chunk = JSON.parse(data);
+        if (chunk.error) throw new Error(chunk.error.message || 'Stream error');
+        if (chunk.model) responseModel = chunk.model;
+        if (chunk.usage) usage = chunk.usage;
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+      }, deadline);
+    } catch (err) {
+      throw providerError(name, deadline.error || err);
+    } finally {
+      deadline.clear();
+    }
+    return { text: text.trim(), usage, model: responseModel };
+  }
+
+  return { name, model, generate, stream };
+}
+
+function createOpenAIProvider({ apiKey, model }) {
+  return createChatCompletionsProvider({
+    name: 'openai',
+    url: 'https://api.openai.com/v1/chat/completions',
+    headers: { Authorization: `Bearer ${apiKey}` },
+    model,
+    jsonMode: true,
+    streamUsage: true
+  });
+}
+
+function createAzureOpenAIProvider({ endpoint, apiKey, deployment, apiVersion }) {
+  const base = endpoint.replace(/\/+$/, '');
+  return createChatCompletionsProvider({
+    name: 'azure',
+    url: `${base}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${apiVersion}`,
+    headers: { 'api-key': apiKey },
+    model: deployment,
+    // No streamUsage: stream_options needs a newer api-version than the default.
+    jsonMode: true
+  });
+}
+
+function createCompatibleProvider({ baseUrl, apiKey, model }) {
+  return createChatCompletionsProvider({
+    name: 'compatible',
+    url: `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    model
+  });
+}
+
+module.exports = {
+  createChatCompletionsProvider,
+  createOpenAIProvider,
+  createAzureOpenAIProvider,
+  createCompatibleProvider
+};
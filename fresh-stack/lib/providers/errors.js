@@ -0,0 +1,18 @@
+/**
+ * Normalized provider failure. `retryable` marks outages, timeouts and rate
+ * limits; `status` is the upstream HTTP status when there was one.
+ */
+function providerError(provider, err) {
+  const status = err?.response?.status || null;
+  const upstream = err?.response?.data?.error;
+  const message = (typeof upstream === 'string' ? upstream : upstream?.message) || err?.message || 'Provider request failed';
+  const wrapped = new Error(`${provider}: ${message}`);
+  wrapped.provider = provider;
+  wrapped.status = status;
+  wrapped.retryable = !status || status === 408 || status === 429 || status >= 500;
+  return wrapped;
+}
+
+module.exports = {
+  providerError
+};
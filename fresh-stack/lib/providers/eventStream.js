@@ -0,0 +1,121 @@
+const STREAM_IDLE_TIMEOUT_MS = 20000;
+const STREAM_TOTAL_TIMEOUT_MS = 60000;
+
+/**
+ * Deadlines for a streamed request, which the request timeout stops covering
+ * once headers arrive. `signal` aborts when the caller's signal does, when no
+ * data arrives for `idleMs` or when `totalMs` has passed; `error` is then the
+ * (retryable) timeout. `touch()` restarts the idle timer, `clear()` stops both.
+ */
+function createStreamDeadline({ signal, idleMs = STREAM_IDLE_TIMEOUT_MS, totalMs = STREAM_TOTAL_TIMEOUT_MS } = {}) {
+  const controller = new AbortController();
+  const deadline = { signal: controller.signal, error: null, touch, clear };
+  let idleTimer = null;
+
+  function expire(message) {
+    deadline.error = Object.assign(new Error(message), { code: 'ETIMEDOUT' });
+    clear();
+    controller.abort(deadline.error);
+  }
+
+  function onAbort() {
+    clear();
+    controller.abort(signal.reason);
+  }
+
+  function touch() {
+    if (controller.signal.aborted) return;
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => expire(`stream idle for ${idleMs}ms`), idleMs);
+  }
+
+  function clear() {
+    clearTimeout(idleTimer);
+    clearTimeout(totalTimer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+
+  const totalTimer = setTimeout(() => expire(`stream exceeded ${totalMs}ms`), totalMs);
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener('abort', onAbort);
+  touch();
+  return deadline;
+}
+
+/**
+ * Minimal server-sent events reader for streamed provider responses.
+ * Calls `onEvent({ event, data })` for every complete event; resolves when the
+ * stream ends and rejects if it errors, `onEvent` throws or `deadline` (from
+ * createStreamDeadline) aborts. Each chunk restarts the deadline's idle timer.
+ */
+function readEventStream(stream, onEvent, deadline = null) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let event = 'message';
+    let data = [];
+    let failed = false;
+
+    function onAbort() {
+      fail(deadline.error || deadline.signal.reason || new Error('Stream aborted'));
+    }
+
+    function fail(err) {
+      if (failed) return;
+      failed = true;
+      deadline?.signal.removeEventListener('abort', onAbort);
+      stream.destroy();
+      reject(err);
+    }
+
+    function handleLine(rawLine) {
+      const line = rawLine.replace(/\r$/, '');
+      if (!line) {
+        if (data.length) onEvent({ event, data: data.join('\n') });
+        event = 'message';
+        data = [];
+        return;
+      }
+      if (line.startsWith(':')) return;
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'event') event = value;
+      else if (field === 'data') data.push(value);
+    }
+
+    if (deadline?.signal.aborted) return onAbort();
+    deadline?.signal.addEventListener('abort', onAbort);
+
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      if (failed) return;
+      deadline?.touch();
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      try {
+        lines.forEach(handleLine);
+      } catch (err) {
+        fail(err);
+      }
+    });
+    stream.on('end', () => {
+      if (failed) return;
+      try {
+        if (buffer) handleLine(buffer);
+        handleLine('');
+        failed = true;
+        deadline?.signal.removeEventListener('abort', onAbort);
+        resolve();
+      } catch (err) {
+        fail(err);
+      }
+    });
+    stream.on('error', fail);
+  });
+}
+
+module.exports = {
+  createStreamDeadline,
+  readEventStream
+};
@@ -0,0 +1,153 @@
+/**
+ * Vision provider registry and failover chain.
+ *
+ * Every provider implements `generate({ image, prompt, options })` and resolves
+ * to `{ text, usage, model }`; `stream({ ..., onToken })` does the same while
+ * relaying text as it arrives. The chain comes from VISION_PROVIDERS, an ordered
+ * comma-separated list of `provider[:model]` entries, e.g.
+ * `openai,anthropic,compatible:llava`. Providers without credentials are skipped.
+ */
+
+const logger = require('../logger');
+const { createOpenAIProvider, createAzureOpenAIProvider, createCompatibleProvider } = require('./chatCompletions');
+const { createAnthropicProvider } = require('./anthropic');
+
+const DEFAULT_CHAIN = 'openai,openai:gpt-4o-mini';
+// Auth and unknown-model errors are specific to one vendor, so the next one may still work.
+const FAILOVER_STATUSES = [401, 403, 404];
+
+function createProvider(name, model, env) {
+  switch (name) {
+    case 'openai': {
+      const apiKey = env.ALTTEXT_OPENAI_API_KEY || env.OPENAI_API_KEY;
+      if (!apiKey) return null;
+      return createOpenAIProvider({ apiKey, model: model || env.OPENAI_MODEL || 'gpt-4o' });
+    }
+    case 'anthropic': {
+      if (!env.ANTHROPIC_API_KEY) return null;
+      return createAnthropicProvider({ apiKey: env.ANTHROPIC_API_KEY, model: model || env.ANTHROPIC_MODEL || 'claude-sonnet-4-5' });
+    }
+    case 'azure': {
+      const deployment = model || env.AZURE_OPENAI_DEPLOYMENT;
+      if (!env.AZURE_OPENAI_ENDPOINT || !env.AZURE_OPENAI_API_KEY || !deployment) return null;
+      return createAzureOpenAIProvider({
+        endpoint: env.AZURE_OPENAI_ENDPOINT,
+        apiKey: env.AZURE_OPENAI_API_KEY,
+        deployment,
+        apiVersion: env.AZURE_OPENAI_API_VERSION || '2024-06-01'
+      });
+    }
+    case 'compatible': {
+      const compatibleModel = model || env.OPENAI_COMPATIBLE_MODEL;
+      if (!env.OPENAI_COMPATIBLE_BASE_URL || !compatibleModel) return null;
+      return createCompatibleProvider({
+        baseUrl: env.OPENAI_COMPATIBLE_BASE_URL,
+        apiKey: env.OPENAI_COMPATIBLE_API_KEY,
+        model: compatibleModel
+      });
+    }
+    default:
+      logger.warn('[providers] Unknown vision provider in VISION_PROVIDERS', { name });
+      return null;
+  }
+}
+
+/**
+ * Build the ordered provider chain from the environment.
+ */
+function loadProviderChain(env = process.env) {
+  const seen = new Set();
+  return (env.VISION_PROVIDERS || DEFAULT_CHAIN)
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, ...model] = entry.split(':');
+      return createProvider(name.trim().toLowerCase(), model.join(':').trim() || null, env);
+    })
+    .filter((provider) => {
+      if (!provider) return false;
+      const key = `${provider.name}:${provider.model}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+function shouldFailover(err) {
+  return err.retryable || FAILOVER_STATUSES.includes(err.status);
+}
+
+/**
+ * Try each provider in order until one returns text. Outages, timeouts, rate
+ * limits and vendor-specific auth/model errors fall through to the next
+ * provider; anything else (e.g. a rejected request) stops the chain.
+ * `parse`, when given, turns the text into `parsed`; a reply it rejects counts
+ * as a retryable failure of that provider.
+ * `onToken`, when given, streams the text. Once a provider has relayed any of
+ * it, its failure ends the chain, since the caller has already shown that text.
+ */
+async function generateWithFailover({ image, prompt, options = {}, parse = null, onToken = null }, providers = loadProviderChain()) {
+  if (!providers.length) {
+    const err = new Error('No vision provider configured');
+    err.retryable = false;
+    throw err;
+  }
+
+  let lastError;
+  for (const provider of providers) {
+    let streamed = false;
+    try {
+      let result;
+      if (onToken && provider.stream) {
+        result = await provider.stream({
+          image,
+          prompt,
+          options,
+          onToken: (text) => {
+            streamed = true;
+            onToken(text);
+          }
+        });
+      } else {
+        result = await provider.generate({ image, prompt, options });
+        if (onToken && result.text) {
+          streamed = true;
+          onToken(result.text);
+        }
+      }
+      if (!result.text) {
+        const empty = new Error(`${provider.name}: empty response`);
+        empty.provider = provider.name;
+        empty.retryable = true;
+        throw empty;
+      }
+      if (parse) {
+        try {
+          return { ...result, parsed: parse(result.text), provider: provider.name };
+        } catch (e) {
+          const invalid = new Error(`${provider.name}: unexpected response (${e.message})`);
+          invalid.provider = provider.name;
+          invalid.retryable = true;
+          throw invalid;
+        }
+      }
+      return { ...result, provider: provider.name };
+    } catch (err) {
+      lastError = err;
+      logger.warn('[providers] Vision provider failed', {
+        provider: provider.name,
+        model: provider.model,
+        status: err.status,
+        error: err.message
+      });
+      if (streamed || options.signal?.aborted || !shouldFailover(err)) break;
+    }
+  }
+  throw lastError;
+}
+
+module.exports = {
+  loadProviderChain,
+  generateWithFailover
+};
@@ -1,19 +1,197 @@
 const crypto = require('crypto');
 const logger = require('./logger');
+const { DEFAULT_LANGUAGE } = require('./languages');
 
-function createQueue({ redis, jobHandler, concurrency = 2, ttlSeconds = 60 * 60 * 24 * 7, queueKey = 'alttext:queue' }) {
+const PRIORITIES = ['high', 'normal', 'low'];
+const DEFAULT_PRIORITY_WEIGHTS = { high: 6, normal: 3, low: 1 };
+
+// Each priority keeps one job list per owner plus a rotation list of owners.
+// Enqueue adds the owner to the rotation the first time it has pending work.
+const ENQUEUE_SCRIPT = `
+redis.call('LPUSH', KEYS[1], ARGV[2])
+if redis.call('SADD', KEYS[3], ARGV[1]) == 1 then
+  redis.call('LPUSH', KEYS[2], ARGV[1])
+end
+return 1
+`;
+
+// Every fixed key reaches the scripts below through KEYS. The per-owner job
+// lists cannot: DEQUEUE learns the owner from the rotation and RECOVER from the
+// payload, so those list names are built inside the script from ARGV[1], the
+// queue's base key. The base key is a hash tag (`{alttext:queue}`), which puts
+// every key of the queue in one Redis Cluster slot, so the scripts also run
+// on a cluster.
+
+// Walks the priorities in the order given, rotating through owners so every
+// owner with pending work gets a turn before any owner gets a second one.
+// The popped payload is leased into the processing set until its visibility
+// deadline and the job's delivery count is bumped.
+// KEYS: attempts, processing, then rotation and owner set of each priority in
+// ARGV order. ARGV: queue key, deadline, priorities.
+const DEQUEUE_SCRIPT = `
+local prefix = ARGV[1]
+local deadline = ARGV[2]
+for i = 3, #ARGV do
+  local rotation = KEYS[(i - 3) * 2 + 3]
+  local members = KEYS[(i - 3) * 2 + 4]
+  local count = redis.call('LLEN', rotation)
+  for _ = 1, count do
+    local owner = redis.call('RPOPLPUSH', rotation, rotation)
+    local payload = redis.call('RPOP', prefix .. ':' .. ARGV[i] .. ':owner:' .. owner)
+    if payload then
+      local job = cjson.decode(payload)
+      local attempts = redis.call('HINCRBY', KEYS[1], job.jobId, 1)
+      redis.call('ZADD', KEYS[2], deadline, payload)
+      return { payload, attempts }
+    end
+    redis.call('LREM', rotation, 0, owner)
+    redis.call('SREM', members, owner)
+  end
+end
+return false
+`;
+
+// Returns leases past their visibility deadline to the delayed set, then moves
+// delayed jobs that are due back onto their owner's queue.
+// KEYS: processing, delayed, then rotation and owner set of each priority in
+// ARGV order. ARGV: queue key, now, priorities.
+const RECOVER_SCRIPT = `
+local prefix = ARGV[1]
+local now = ARGV[2]
+local slots = {}
+for i = 3, #ARGV do
+  slots[ARGV[i]] = (i - 3) * 2 + 3
+end
+local expired = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', now, 'LIMIT', 0, 100)
+for _, payload in ipairs(expired) do
+  redis.call('ZREM', KEYS[1], payload)
+  redis.call('ZADD', KEYS[2], now, payload)
+end
+local due = redis.call('ZRANGEBYSCORE', KEYS[2], '-inf', now, 'LIMIT', 0, 100)
+for _, payload in ipairs(due) do
+  redis.call('ZREM', KEYS[2], payload)
+  local job = cjson.decode(payload)
+  local slot = slots[job.priority]
+  redis.call('LPUSH', prefix .. ':' .. job.priority .. ':owner:' .. job.owner, payload)
+  if redis.call('SADD', KEYS[slot + 1], job.owner) == 1 then
+    redis.call('LPUSH', KEYS[slot], job.owner)
+  end
+end
+return #expired
+`;
+
+// Releases a lease the worker still holds: either schedules a retry or
+// dead-letters the job. Returns 0 if the lease was already reclaimed.
+const SETTLE_SCRIPT = `
+if redis.call('ZREM', KEYS[1], ARGV[1]) == 0 then return 0 end
+if ARGV[2] == 'dead' then
+  redis.call('LPUSH', KEYS[3], ARGV[3])
+  redis.call('LTRIM', KEYS[3], 0, tonumber(ARGV[4]) - 1)
+  redis.call('HDEL', KEYS[4], ARGV[5])
+else
+  redis.call('ZADD', KEYS[2], ARGV[3], ARGV[1])
+end
+return 1
+`;
+
+/**
+ * Smooth weighted round-robin over priorities. Returns the priority order to
+ * try for the next dequeue: the scheduled priority first, then the rest so idle
+ * capacity is never wasted. Every weight is at least 1 so low never starves.
+ */
+function createPriorityScheduler(weights = DEFAULT_PRIORITY_WEIGHTS) {
+  const effective = {};
+  for (const priority of PRIORITIES) {
+    effective[priority] = Math.max(1, Number(weights[priority]) || DEFAULT_PRIORITY_WEIGHTS[priority]);
+  }
+  const total = PRIORITIES.reduce((sum, p) => sum + effective[p], 0);
+  const current = { high: 0, normal: 0, low: 0 };
+
+  return function nextOrder() {
+    let best = PRIORITIES[0];
+    for (const priority of PRIORITIES) {
+      current[priority] += effective[priority];
+      if (current[priority] > current[best]) best = priority;
+    }
+    current[best] -= total;
+    return [best, ...PRIORITIES.filter(p => p !== best)];
+  };
+}
+
+const FINISHED_STATUSES = ['completed', 'partial', 'failed', 'cancelled'];
+
+// Job list cursors are the last job's index score and id, base64url-encoded.
+function encodeCursor({ score, jobId }) {
+  return Buffer.from(`${score}:${jobId}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  const [score, jobId] = Buffer.from(cursor, 'base64url').toString().split(':');
+  return Number.isFinite(Number(score)) && jobId ? { score: Number(score), jobId } : null;
+}
+
+function normalizePriority(priority) {
+  return PRIORITIES.includes(priority) ? priority : 'normal';
+}
+
+function createQueue({
+  redis,
+  jobHandler,
+  concurrency = 2,
+  ttlSeconds = 60 * 60 * 24 * 7,
+  queueKey = 'alttext:queue',
+  priorityWeights = DEFAULT_PRIORITY_WEIGHTS,
+  pollIntervalMs = 1000,
+  maxAttempts = 3,
+  visibilityTimeoutMs = 5 * 60 * 1000,
+  retryBaseMs = 5000,
+  maxDeadLetters = 1000
+}) {
   const jobStore = new Map();
-  const jobQueue = [];
+  const memoryQueues = { high: new Map(), normal: new Map(), low: new Map() };
+  const memoryDeadLetters = [];
+  const jobControls = new Map();
+  const jobListeners = new Set();
+  const jobIndex = new Map();
+  const parkedJobs = new Map();
+  // Hash tag shared by every key the scripts touch; see the note above DEQUEUE_SCRIPT.
+  const baseKey = `{${queueKey}}`;
+  const processingKey = `${baseKey}:processing`;
+  const delayedKey = `${baseKey}:delayed`;
+  const deadKey = `${baseKey}:dead`;
+  const attemptsKey = `${baseKey}:attempts`;
+  const nextPriorityOrder = createPriorityScheduler(priorityWeights);
   let activeWorkers = 0;
   let redisWorkersStarted = false;
+  let redisWorkersStopping = false;
+  const redisWorkers = [];
+  let lastRecoveryAt = 0;
+  let lastMemoryPruneAt = 0;
+
+  /**
+   * Subscribe to job events passed to setJobRecord, e.g. `item_completed`,
+   * `item_failed`, `paused` and `completed`. Returns an unsubscribe function.
+   */
+  function onJobEvent(listener) {
+    jobListeners.add(listener);
+    return () => jobListeners.delete(listener);
+  }
 
-  async function setJobRecord(jobId, record) {
+  async function setJobRecord(jobId, record, event) {
     record.updatedAt = new Date().toISOString();
     if (redis) {
       await redis.set(`alttext:job:${jobId}`, JSON.stringify(record), 'EX', ttlSeconds);
     } else {
       jobStore.set(jobId, record);
     }
+    if (event) {
+      for (const listener of jobListeners) {
+        Promise.resolve()
+          .then(() => listener(jobId, event, record))
+          .catch(err => logger.error('[jobs] job event listener failed', { jobId, error: err.message }));
+      }
+    }
   }
 
   async function getJobRecord(jobId) {
@@ -24,45 +202,307 @@ function createQueue({ redis, jobHandler, concurrency = 2, ttlSeconds = 60 * 60
     return jobStore.get(jobId) || null;
   }
 
+  // Cancel/pause requests live outside the job record so the worker's record
+  // writes cannot overwrite them.
+  async function setJobControl(jobId, action) {
+    if (redis) {
+      if (action) {
+        await redis.set(`alttext:job:${jobId}:control`, action, 'EX', ttlSeconds);
+      } else {
+        await redis.del(`alttext:job:${jobId}:control`);
+      }
+    } else if (action) {
+      jobControls.set(jobId, action);
+    } else {
+      jobControls.delete(jobId);
+    }
+  }
+
+  async function getJobControl(jobId) {
+    if (redis) return redis.get(`alttext:job:${jobId}:control`);
+    return jobControls.get(jobId) || null;
+  }
+
+  /**
+   * Called by the worker when it pauses: keeps the payload so resume can
+   * re-enqueue it. Processed items are skipped on resume.
+   */
+  async function parkJob(job) {
+    const { attempts: _attempts, ...payload } = job;
+    if (redis) {
+      await redis.set(`alttext:job:${job.jobId}:parked`, JSON.stringify(payload), 'EX', ttlSeconds);
+    } else {
+      parkedJobs.set(job.jobId, payload);
+    }
+  }
+
+  async function takeParkedJob(jobId) {
+    if (redis) {
+      const key = `alttext:job:${jobId}:parked`;
+      const [[, val]] = await redis.multi().get(key).del(key).exec();
+      return val ? JSON.parse(val) : null;
+    }
+    const payload = parkedJobs.get(jobId) || null;
+    parkedJobs.delete(jobId);
+    return payload;
+  }
+
+  function finishCancelled(record) {
+    record.status = 'cancelled';
+    record.cancelled = Math.max(record.total - record.completed - record.failed, 0);
+    record.cancelledAt = new Date().toISOString();
+    return record;
+  }
+
+  /**
+   * Request cancellation. A paused job is cancelled immediately; a queued or
+   * running job is stopped by the worker before its next item.
+   */
+  async function cancelJob(jobId) {
+    const record = await getJobRecord(jobId);
+    if (!record || FINISHED_STATUSES.includes(record.status)) return record;
+    await setJobControl(jobId, 'cancel');
+    if (record.status === 'paused') {
+      await takeParkedJob(jobId);
+      await setJobControl(jobId, null);
+      await setJobRecord(jobId, finishCancelled(record), { type: 'completed' });
+    }
+    return record;
+  }
+
+  async function pauseJob(jobId) {
+    const record = await getJobRecord(jobId);
+    if (!record || FINISHED_STATUSES.includes(record.status) || record.status === 'paused') return record;
+    if (!(await getJobControl(jobId))) await setJobControl(jobId, 'pause');
+    return record;
+  }
+
+  /**
+   * Resume a paused job, or withdraw a pause the worker has not reached yet.
+   */
+  async function resumeJob(jobId) {
+    const record = await getJobRecord(jobId);
+    if (!record) return null;
+    if ((await getJobControl(jobId)) === 'pause') {
+      await setJobControl(jobId, null);
+    }
+    if (record.status !== 'paused') return record;
+
+    const job = await takeParkedJob(jobId);
+    if (!job) return record;
+    record.status = 'queued';
+    delete record.pausedAt;
+    await setJobRecord(jobId, record);
+    await enqueueJob(job);
+    return record;
+  }
+
+  // Owner rotation list and owner set of each priority, in the given order.
+  function rotationKeys(priorities) {
+    return priorities.flatMap(priority => [`${baseKey}:${priority}:owners`, `${baseKey}:${priority}:owners:set`]);
+  }
+
+  function jobOwner(job) {
+    return job.licenseKey || job.siteKey || 'anonymous';
+  }
+
   async function enqueueJob(job) {
+    const queued = { ...job, priority: normalizePriority(job.priority), owner: jobOwner(job) };
     if (redis) {
-      await redis.lpush(queueKey, JSON.stringify(job));
+      const base = `${baseKey}:${queued.priority}`;
+      await redis.eval(
+        ENQUEUE_SCRIPT,
+        3,
+        `${base}:owner:${queued.owner}`,
+        `${base}:owners`,
+        `${base}:owners:set`,
+        queued.owner,
+        JSON.stringify(queued)
+      );
       startRedisWorkers();
     } else {
-      jobQueue.push(job);
+      const byOwner = memoryQueues[queued.priority];
+      if (!byOwner.has(queued.owner)) byOwner.set(queued.owner, []);
+      byOwner.get(queued.owner).push(queued);
       processQueueInMemory();
     }
   }
 
+  function retryDelay(attempts) {
+    return retryBaseMs * 2 ** (attempts - 1);
+  }
+
+  async function markDeadLettered(jobId, message) {
+    const record = await getJobRecord(jobId);
+    if (!record) return;
+    record.status = 'failed';
+    record.errors = record.errors || [];
+    record.errors.push({ id: null, code: 'JOB_DEAD_LETTERED', message });
+    await setJobRecord(jobId, record, { type: 'completed' });
+  }
+
+  function shiftInMemory() {
+    for (const priority of nextPriorityOrder()) {
+      const byOwner = memoryQueues[priority];
+      for (const [owner, jobs] of byOwner) {
+        const job = jobs.shift();
+        // Re-insert to move this owner to the back of the rotation.
+        byOwner.delete(owner);
+        if (jobs.length) byOwner.set(owner, jobs);
+        if (job) return job;
+      }
+    }
+    return null;
+  }
+
+  function pendingInMemory() {
+    return PRIORITIES.some(p => memoryQueues[p].size > 0);
+  }
+
   async function processQueueInMemory() {
     if (activeWorkers >= concurrency) return;
-    const next = jobQueue.shift();
+    const next = shiftInMemory();
     if (!next) return;
     activeWorkers += 1;
+    const attempts = (next.attempts || 0) + 1;
     try {
-      await jobHandler(next);
+      await jobHandler({ ...next, attempts });
+    } catch (err) {
+      logger.error('[jobs] job failed', { jobId: next.jobId, attempts, error: err.message });
+      if (attempts < maxAttempts) {
+        const timer = setTimeout(() => enqueueJob({ ...next, attempts }), retryDelay(attempts));
+        timer.unref?.();
+      } else {
+        memoryDeadLetters.unshift({
+          jobId: next.jobId,
+          job: { ...next, attempts },
+          error: err.message,
+          attempts,
+          failedAt: new Date().toISOString()
+        });
+        memoryDeadLetters.splice(maxDeadLetters);
+        await markDeadLettered(next.jobId, err.message).catch(() => {});
+      }
     } finally {
       activeWorkers -= 1;
-      if (jobQueue.length) processQueueInMemory();
+      if (pendingInMemory()) processQueueInMemory();
     }
   }
 
   function startRedisWorkers() {
     if (redisWorkersStarted || !redis) return;
     redisWorkersStarted = true;
+    redisWorkersStopping = false;
+    migrateLegacyQueue().catch(err => logger.error('[jobs] legacy queue migration failed', err.message));
     for (let i = 0; i < concurrency; i += 1) {
-      redisWorkerLoop();
+      redisWorkers.push(redisWorkerLoop());
+    }
+  }
+
+  /**
+   * Stop the Redis workers once their current job is done, e.g. on shutdown.
+   * Unfinished jobs stay queued for the next process.
+   */
+  async function stopRedisWorkers() {
+    redisWorkersStopping = true;
+    await Promise.all(redisWorkers.splice(0));
+    redisWorkersStarted = false;
+  }
+
+  // Jobs queued before priority queues existed sit on the single `queueKey` list.
+  async function migrateLegacyQueue() {
+    if ((await redis.type(queueKey)) !== 'list') return;
+    let payload = await redis.rpop(queueKey);
+    while (payload) {
+      await enqueueJob(JSON.parse(payload));
+      payload = await redis.rpop(queueKey);
+    }
+  }
+
+  async function recoverRedisJobs() {
+    const now = Date.now();
+    if (now - lastRecoveryAt < pollIntervalMs) return;
+    lastRecoveryAt = now;
+    const reclaimed = await redis.eval(
+      RECOVER_SCRIPT,
+      2 + PRIORITIES.length * 2,
+      processingKey,
+      delayedKey,
+      ...rotationKeys(PRIORITIES),
+      baseKey,
+      now,
+      ...PRIORITIES
+    );
+    if (reclaimed) {
+      logger.warn('[jobs] reclaimed jobs past visibility timeout', { count: reclaimed });
+    }
+  }
+
+  async function settleRedisJob(job, payload, attempts, message) {
+    if (attempts < maxAttempts) {
+      await redis.eval(SETTLE_SCRIPT, 4, processingKey, delayedKey, deadKey, attemptsKey,
+        payload, 'retry', Date.now() + retryDelay(attempts));
+      return;
+    }
+    const entry = JSON.stringify({
+      jobId: job.jobId,
+      job,
+      error: message,
+      attempts,
+      failedAt: new Date().toISOString()
+    });
+    const settled = await redis.eval(SETTLE_SCRIPT, 4, processingKey, delayedKey, deadKey, attemptsKey,
+      payload, 'dead', entry, maxDeadLetters, job.jobId);
+    if (settled) await markDeadLettered(job.jobId, message);
+  }
+
+  async function runRedisJob(payload, attempts) {
+    const job = JSON.parse(payload);
+    if (attempts > maxAttempts) {
+      // The lease expired on the final attempt, e.g. the worker crashed mid-job.
+      await settleRedisJob(job, payload, attempts, `Gave up after ${maxAttempts} attempts (visibility timeout)`);
+      return;
+    }
+
+    // Keep extending the lease while the handler is still working.
+    const heartbeat = setInterval(() => {
+      redis.zadd(processingKey, 'XX', Date.now() + visibilityTimeoutMs, payload).catch(() => {});
+    }, Math.max(1000, Math.floor(visibilityTimeoutMs / 3)));
+    heartbeat.unref?.();
+
+    try {
+      await jobHandler({ ...job, attempts });
+      await redis.zrem(processingKey, payload);
+      await redis.hdel(attemptsKey, job.jobId);
+    } catch (err) {
+      logger.error('[jobs] job failed', { jobId: job.jobId, attempts, error: err.message });
+      await settleRedisJob(job, payload, attempts, err.message);
+    } finally {
+      clearInterval(heartbeat);
     }
   }
 
   async function redisWorkerLoop() {
-    while (true) {
+    while (!redisWorkersStopping) {
       try {
-        const res = await redis.brpop(queueKey, 5);
-        if (!res) continue;
-        const [, payload] = res;
-        const job = JSON.parse(payload);
-        await jobHandler(job);
+        await recoverRedisJobs();
+        const order = nextPriorityOrder();
+        const res = await redis.eval(
+          DEQUEUE_SCRIPT,
+          2 + order.length * 2,
+          attemptsKey,
+          processingKey,
+          ...rotationKeys(order),
+          baseKey,
+          Date.now() + visibilityTimeoutMs,
+          ...order
+        );
+        if (!res) {
+          await new Promise(r => setTimeout(r, pollIntervalMs));
+          continue;
+        }
+        const [payload, attempts] = res;
+        await runRedisJob(payload, Number(attempts));
       } catch (err) {
         logger.error('[jobs] worker error', err.message);
         await new Promise(r => setTimeout(r, 500));
@@ -70,20 +510,191 @@ function createQueue({ redis, jobHandler, concurrency = 2, ttlSeconds = 60 * 60
     }
   }
 
-  async function createJob(items, context, siteKey) {
-    const jobId = crypto.randomUUID();
+  async function listDeadLetters({ limit = 50 } = {}) {
+    if (redis) {
+      const entries = await redis.lrange(deadKey, 0, limit - 1);
+      return entries.map(entry => JSON.parse(entry));
+    }
+    return memoryDeadLetters.slice(0, limit);
+  }
+
+  async function findDeadLetter(jobId) {
+    if (redis) {
+      const entries = await redis.lrange(deadKey, 0, -1);
+      const raw = entries.find(entry => JSON.parse(entry).jobId === jobId);
+      return raw ? { raw, entry: JSON.parse(raw) } : null;
+    }
+    const entry = memoryDeadLetters.find(e => e.jobId === jobId);
+    return entry ? { raw: null, entry } : null;
+  }
+
+  async function getDeadLetter(jobId) {
+    const found = await findDeadLetter(jobId);
+    return found ? found.entry : null;
+  }
+
+  /**
+   * Put a dead-lettered job back on its queue with a fresh attempt budget.
+   * Items already recorded on the job are not processed again.
+   */
+  async function replayDeadLetter(jobId) {
+    const found = await findDeadLetter(jobId);
+    if (!found) return null;
+    if (redis) {
+      const removed = await redis.lrem(deadKey, 1, found.raw);
+      if (!removed) return null;
+      await redis.hdel(attemptsKey, jobId);
+    } else {
+      memoryDeadLetters.splice(memoryDeadLetters.indexOf(found.entry), 1);
+    }
+
+    const record = await getJobRecord(jobId);
+    if (record) {
+      record.status = 'queued';
+      await setJobRecord(jobId, record);
+    }
+    const { attempts: _attempts, ...job } = found.entry.job;
+    await enqueueJob(job);
+    return found.entry;
+  }
+
+  function indexKey(licenseId, siteKey) {
+    return `alttext:jobs:index:${licenseId || 'none'}:${siteKey || 'default'}`;
+  }
+
+  // Per license/site index of job ids scored by creation time, pruned to the record TTL.
+  async function indexJob(jobId, { licenseId, siteKey, createdAt }) {
+    const key = indexKey(licenseId, siteKey);
+    const score = Date.parse(createdAt);
+    if (redis) {
+      await redis
+        .multi()
+        .zadd(key, score, jobId)
+        .zremrangebyscore(key, '-inf', Date.now() - ttlSeconds * 1000)
+        .expire(key, ttlSeconds)
+        .exec();
+    } else {
+      pruneMemoryJobs();
+      const entries = jobIndex.get(key) || [];
+      entries.push({ jobId, score });
+      jobIndex.set(key, entries);
+    }
+  }
+
+  // Without Redis nothing expires, so jobs older than the record TTL are dropped
+  // from the index and the in-memory stores here (at most once a minute).
+  function pruneMemoryJobs(now = Date.now()) {
+    if (now - lastMemoryPruneAt < 60_000) return;
+    lastMemoryPruneAt = now;
+    const cutoff = now - ttlSeconds * 1000;
+    for (const [key, entries] of jobIndex) {
+      const kept = [];
+      for (const entry of entries) {
+        if (entry.score >= cutoff) {
+          kept.push(entry);
+          continue;
+        }
+        jobStore.delete(entry.jobId);
+        jobControls.delete(entry.jobId);
+        parkedJobs.delete(entry.jobId);
+      }
+      if (kept.length) jobIndex.set(key, kept);
+      else jobIndex.delete(key);
+    }
+  }
+
+  // Newest first; same-millisecond ties are ordered by job id descending.
+  async function readIndex(key, { maxScore, minScore, count, offset }) {
+    if (redis) {
+      const flat = await redis.zrevrangebyscore(key, maxScore, minScore, 'WITHSCORES', 'LIMIT', offset, count);
+      const entries = [];
+      for (let i = 0; i < flat.length; i += 2) entries.push({ jobId: flat[i], score: Number(flat[i + 1]) });
+      return entries;
+    }
+    return (jobIndex.get(key) || [])
+      .filter(e => e.score <= maxScore && e.score >= minScore)
+      .sort((a, b) => b.score - a.score || (a.jobId < b.jobId ? 1 : -1))
+      .slice(offset, offset + count);
+  }
+
+  async function getJobRecords(jobIds) {
+    if (!jobIds.length) return [];
+    if (redis) {
+      const values = await redis.mget(jobIds.map(id => `alttext:job:${id}`));
+      return values.map(val => (val ? JSON.parse(val) : null));
+    }
+    return jobIds.map(id => jobStore.get(id) || null);
+  }
+
+  /**
+   * List jobs for one license/site, newest first, with optional status and
+   * created-at filters. Returns `{ jobs, nextCursor }`.
+   */
+  async function listJobs({ licenseId, siteKey, statuses, createdAfter, createdBefore, cursor, limit = 20 }) {
+    const key = indexKey(licenseId, siteKey);
+    const after = decodeCursor(cursor);
+    const minScore = createdAfter ? Date.parse(createdAfter) : 0;
+    let maxScore = createdBefore ? Date.parse(createdBefore) : Date.now() + 60_000;
+    if (after) maxScore = Math.min(maxScore, after.score);
+
+    const jobs = [];
+    let last = null;
+    let offset = 0;
+    const batchSize = Math.max(limit * 2, 50);
+    while (jobs.length < limit) {
+      const entries = await readIndex(key, { maxScore, minScore, count: batchSize, offset });
+      if (!entries.length) return { jobs, nextCursor: null };
+      offset += entries.length;
+
+      const fresh = after
+        ? entries.filter(e => e.score < after.score || (e.score === after.score && e.jobId < after.jobId))
+        : entries;
+      const records = await getJobRecords(fresh.map(e => e.jobId));
+      for (let i = 0; i < fresh.length && jobs.length < limit; i += 1) {
+        const record = records[i];
+        last = fresh[i];
+        if (!record) continue;
+        if (statuses && !statuses.includes(record.status)) continue;
+        jobs.push({ jobId: fresh[i].jobId, ...record });
+      }
+      if (entries.length < batchSize && jobs.length < limit) return { jobs, nextCursor: null };
+    }
+    return { jobs, nextCursor: last ? encodeCursor(last) : null };
+  }
+
+  async function createJob({
+    jobId = crypto.randomUUID(),
+    items,
+    context = {},
+    siteKey,
+    licenseKey,
+    licenseId = null,
+    priority = 'normal',
+    languages = [DEFAULT_LANGUAGE]
+  }) {
+    const jobPriority = normalizePriority(priority);
+    const createdAt = new Date().toISOString();
     const jobRecord = {
       status: 'queued',
+      priority: jobPriority,
+      licenseId,
+      siteKey: siteKey || 'default',
       results: [],
       errors: [],
       total: items.length,
+      languages,
       completed: 0,
       failed: 0,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
+      credits_used: 0,
+      credits_released: 0,
+      credits_unbilled: 0,
+      progress: 0,
+      createdAt,
+      updatedAt: createdAt
     };
     await setJobRecord(jobId, jobRecord);
-    await enqueueJob({ jobId, items, context, siteKey });
+    await indexJob(jobId, { licenseId, siteKey: jobRecord.siteKey, createdAt });
+    await enqueueJob({ jobId, items, context, languages, siteKey, licenseKey, priority: jobPriority });
     return jobId;
   }
 
@@ -91,8 +702,20 @@ function createQueue({ redis, jobHandler, concurrency = 2, ttlSeconds = 60 * 60
     createJob,
     getJobRecord,
     setJobRecord,
-    startRedisWorkers
+    listJobs,
+    onJobEvent,
+    startRedisWorkers,
+    stopRedisWorkers,
+    getJobControl,
+    setJobControl,
+    parkJob,
+    cancelJob,
+    pauseJob,
+    resumeJob,
+    listDeadLetters,
+    getDeadLetter,
+    replayDeadLetter
   };
 }
 
-module.exports = { createQueue };
+module.exports = { createQueue, createPriorityScheduler, decodeCursor, PRIORITIES, FINISHED_STATUSES };
@@ -0,0 +1,146 @@
+/**
+ * Alt text result cache, scoped per tenant (a license, or a site without one).
+ * Redis entries expire after ttlSeconds and are indexed by tenant, site and
+ * image hash so they can be purged. Without Redis an in-memory LRU holds up to
+ * maxEntries results.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const CACHE_TTL_SECONDS = Number(process.env.CACHE_TTL_SECONDS || 60 * 60 * 24 * 7);
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES || 5000);
+
+// Cached results belong to one license (or, without one, one site) and are never shared.
+function tenantFor({ licenseKey, siteKey }) {
+  const owner = licenseKey ? `license:${licenseKey}` : `site:${siteKey}`;
+  return crypto.createHash('sha256').update(owner).digest('hex').slice(0, 16);
+}
+
+function createResultCache({ redis, maxEntries = CACHE_MAX_ENTRIES, ttlSeconds = CACHE_TTL_SECONDS } = {}) {
+  const memory = new Map();
+  const memoryStats = new Map();
+
+  const entryKey = key => `alttext:cache:${key}`;
+  const indexKey = (tenant, scope) => `alttext:cache:index:${tenant}${scope ? `:${scope}` : ''}`;
+  const statsKey = tenant => `alttext:cache:stats:${tenant}`;
+
+  async function get(key) {
+    if (redis) {
+      try {
+        const cached = await redis.get(entryKey(key));
+        return cached ? JSON.parse(cached) : null;
+      } catch (e) {
+        // ignore cache errors
+        return null;
+      }
+    }
+
+    const entry = memory.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      memory.delete(key);
+      return null;
+    }
+    // Re-insert so the Map's insertion order tracks recency.
+    memory.delete(key);
+    memory.set(key, entry);
+    return entry.payload;
+  }
+
+  /**
+   * Store a result; `tenant`, `site` and `hash` index it for purge().
+   */
+  function set(key, payload, { tenant, site, hash }) {
+    if (redis) {
+      const multi = redis.multi().set(entryKey(key), JSON.stringify(payload), 'EX', ttlSeconds);
+      for (const index of [indexKey(tenant), indexKey(tenant, `site:${site}`), indexKey(tenant, `hash:${hash}`)]) {
+        multi.sadd(index, key).expire(index, ttlSeconds);
+      }
+      multi.exec().catch((e) => logger.warn('[resultCache] Write failed', { error: e.message }));
+      return;
+    }
+
+    memory.delete(key);
+    memory.set(key, { payload, tenant, site, hash, expiresAt: Date.now() + ttlSeconds * 1000 });
+    while (memory.size > maxEntries) memory.delete(memory.keys().next().value);
+  }
+
+  /**
+   * Delete a tenant's results: all of them, or only one site's and/or one
+   * image's (`hash`). Resolves to the number of results removed.
+   */
+  async function purge(tenant, { site, hash } = {}) {
+    if (redis) {
+      const scopes = [hash && `hash:${hash}`, site && `site:${site}`].filter(Boolean);
+      const keys = scopes.length
+        ? await redis.sinter(...scopes.map(scope => indexKey(tenant, scope)))
+        : await redis.smembers(indexKey(tenant));
+      // Index entries for purged results are left to expire; deleting a missing key is a no-op.
+      return keys.length ? redis.del(...keys.map(entryKey)) : 0;
+    }
+
+    let deleted = 0;
+    for (const [key, entry] of memory) {
+      if (entry.tenant === tenant && (!site || entry.site === site) && (!hash || entry.hash === hash)) {
+        memory.delete(key);
+        deleted += 1;
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * Count one lookup as `exact`, `perceptual` (near-duplicate hit) or `miss`.
+   */
+  function recordLookup(tenant, outcome) {
+    if (redis) {
+      redis.hincrby(statsKey(tenant), outcome, 1).catch(() => {});
+      return;
+    }
+    const counts = memoryStats.get(tenant) || {};
+    counts[outcome] = (counts[outcome] || 0) + 1;
+    memoryStats.set(tenant, counts);
+  }
+
+  async function stats(tenant) {
+    let counts = memoryStats.get(tenant) || {};
+    if (redis) {
+      try {
+        counts = (await redis.hgetall(statsKey(tenant))) || {};
+      } catch (e) {
+        logger.warn('[resultCache] Stats read failed', { error: e.message });
+      }
+    }
+
+    const exact = Number(counts.exact || 0);
+    const perceptual = Number(counts.perceptual || 0);
+    const misses = Number(counts.miss || 0);
+    const hits = exact + perceptual;
+    return {
+      hits,
+      misses,
+      exact_hits: exact,
+      perceptual_hits: perceptual,
+      hit_rate: hits + misses ? Math.round((hits / (hits + misses)) * 1000) / 1000 : 0
+    };
+  }
+
+  return {
+    get,
+    set,
+    purge,
+    recordLookup,
+    stats,
+    get size() {
+      return memory.size;
+    }
+  };
+}
+
+module.exports = {
+  CACHE_TTL_SECONDS,
+  CACHE_MAX_ENTRIES,
+  tenantFor,
+  createResultCache
+};
@@ -10,19 +10,42 @@ function getStripe() {
   return stripeClient;
 }
 
-async function createCheckoutSession({ priceId, successUrl, cancelUrl, customerEmail, metadata }) {
+/**
+ * `mode` is 'subscription' for plans and 'payment' for one-time credit packs.
+ * `metadata` is copied onto the subscription or payment intent as well, so
+ * their webhook events can be traced back to the license.
+ */
+async function createCheckoutSession({
+  priceId,
+  mode = 'subscription',
+  successUrl,
+  cancelUrl,
+  customerId,
+  customerEmail,
+  clientReferenceId,
+  metadata
+}) {
   const stripe = getStripe();
   if (!stripe) throw new Error('Stripe not configured');
   return stripe.checkout.sessions.create({
-    mode: 'subscription',
+    mode,
     line_items: [{ price: priceId, quantity: 1 }],
     success_url: successUrl,
     cancel_url: cancelUrl,
-    customer_email: customerEmail,
-    metadata
+    // Stripe accepts either an existing customer or an email for a new one.
+    ...(customerId ? { customer: customerId } : { customer_email: customerEmail }),
+    client_reference_id: clientReferenceId,
+    metadata,
+    ...(mode === 'payment' ? { payment_intent_data: { metadata } } : { subscription_data: { metadata } })
   });
 }
 
+async function createCustomer({ email, metadata }) {
+  const stripe = getStripe();
+  if (!stripe) throw new Error('Stripe not configured');
+  return stripe.customers.create({ email, metadata });
+}
+
 async function createPortalSession({ customerId, returnUrl }) {
   const stripe = getStripe();
   if (!stripe) throw new Error('Stripe not configured');
@@ -41,6 +64,7 @@ function verifyWebhookSignature({ payload, signature, secret }) {
 module.exports = {
   getStripe,
   createCheckoutSession,
+  createCustomer,
   createPortalSession,
   verifyWebhookSignature
 };
@@ -8,7 +8,12 @@ function stripDataUrl(value = '') {
   return value;
 }
 
-function validateImagePayload(image = {}) {
+/**
+ * Validate an image payload. `processed` marks bytes the server decoded and
+ * re-encoded itself (real dimensions, already downscaled); the dimension and
+ * size heuristics only guard payloads that skipped that step.
+ */
+function validateImagePayload(image = {}, { processed = false } = {}) {
   const errors = [];
   const warnings = [];
 
@@ -17,7 +22,7 @@ function validateImagePayload(image = {}) {
   const hasUrl = Boolean(image.url);
 
   if (!hasBase64 && !hasUrl) {
-    errors.push('Provide either base64/image_base64 or a public https image URL.');
+    errors.push('Provide either base64/image_base64 or an image URL.');
     return { errors, warnings, normalized: null };
   }
 
@@ -30,18 +35,18 @@ function validateImagePayload(image = {}) {
   // Dimensions help keep token usage predictable; we warn if missing.
   const width = Number(image.width) || Number(image.reportedWidth) || null;
   const height = Number(image.height) || Number(image.reportedHeight) || null;
-  if (!width || !height) {
+  if (!processed && (!width || !height)) {
     warnings.push('Width and height are missing; include them to keep token costs predictable.');
   }
 
   // Check if image exceeds 512px (optimal for cost savings)
   const maxDimension = Math.max(width || 0, height || 0);
-  if (maxDimension > 512) {
+  if (!processed && maxDimension > 512) {
     warnings.push(`Image is ${width}x${height} (max ${maxDimension}px). Resize to 512px max for 50% token savings with no quality loss for alt text.`);
   }
 
   // Analyze size expectations when base64 is present.
-  if (hasBase64) {
+  if (hasBase64 && !processed) {
     const base64Length = rawBase64.length;
     const decodedBytes = Math.round(base64Length * 0.75);
     const base64SizeKB = Math.round(decodedBytes / 1024);
@@ -83,11 +88,6 @@ function validateImagePayload(image = {}) {
     }
   }
 
-  // If URL is present but not https, warn.
-  if (hasUrl && !String(image.url).startsWith('https://')) {
-    warnings.push('Image URL should be https to be fetchable by the model.');
-  }
-
   const normalized = {
     base64: hasBase64 ? rawBase64 : null,
     url: hasUrl ? image.url : null,
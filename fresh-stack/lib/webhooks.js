@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('./logger');
+const { httpAgent, httpsAgent } = require('./imageFetch');
+
+const WEBHOOK_EVENTS = ['job.completed', 'job.item'];
+// Pending retries as a ZSET scored by due time, so they survive restarts.
+const RETRY_KEY = 'alttext:webhooks:retries';
+const RETRY_BATCH = 50;
+
+/**
+ * Signature header value: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`.
+ * Receivers recompute the HMAC with their secret and reject stale timestamps.
+ */
+function signWebhookPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function isRetryableStatus(status) {
+  return !status || status >= 500 || status === 408 || status === 429;
+}
+
+/**
+ * Delivers signed job callbacks with retry/backoff and keeps a per-job delivery log.
+ * Webhook config (url, secret, events) is stored per job, so any instance that
+ * emits a job event can deliver it. With Redis, retries are scheduled there and
+ * sent by whichever instance runs startRetryWorker().
+ */
+function createWebhookDispatcher({
+  redis,
+  ttlSeconds = 60 * 60 * 24 * 7,
+  maxAttempts = 5,
+  retryBaseMs = 2000,
+  timeoutMs = 10000,
+  maxLogEntries = 100,
+  retryPollMs = 1000
+}) {
+  const configs = new Map();
+  const deliveryLogs = new Map();
+
+  async function register(jobId, { url, secret, events = ['job.completed'] }) {
+    const config = { url, secret, events };
+    if (redis) {
+      await redis.set(`alttext:job:${jobId}:webhook`, JSON.stringify(config), 'EX', ttlSeconds);
+    } else {
+      configs.set(jobId, config);
+    }
+  }
+
+  async function getConfig(jobId) {
+    if (redis) {
+      const val = await redis.get(`alttext:job:${jobId}:webhook`);
+      return val ? JSON.parse(val) : null;
+    }
+    return configs.get(jobId) || null;
+  }
+
+  async function logDelivery(jobId, entry) {
+    if (redis) {
+      const key = `alttext:job:${jobId}:webhooks`;
+      await redis
+        .multi()
+        .lpush(key, JSON.stringify(entry))
+        .ltrim(key, 0, maxLogEntries - 1)
+        .expire(key, ttlSeconds)
+        .exec();
+    } else {
+      const log = deliveryLogs.get(jobId) || [];
+      log.unshift(entry);
+      log.splice(maxLogEntries);
+      deliveryLogs.set(jobId, log);
+    }
+  }
+
+  async function getDeliveries(jobId) {
+    if (redis) {
+      const entries = await redis.lrange(`alttext:job:${jobId}:webhooks`, 0, -1);
+      return entries.map(entry => JSON.parse(entry));
+    }
+    return deliveryLogs.get(jobId) || [];
+  }
+
+  async function attemptDelivery({ jobId, config, event, body, deliveryId, attempt }) {
+    let status = null;
+    let error = null;
+    try {
+      const response = await axios.post(config.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'AltText-AI-Webhooks/1.0',
+          'X-AltText-Event': event,
+          'X-AltText-Delivery': deliveryId,
+          'X-AltText-Signature': signWebhookPayload(body, config.secret)
+        },
+        timeout: timeoutMs,
+        maxRedirects: 0,
+        // Refuse hosts that resolve to loopback, private or link-local addresses
+        proxy: false,
+        httpAgent,
+        httpsAgent,
+        validateStatus: () => true
+      });
+      status = response.status;
+      if (status < 200 || status >= 300) error = `HTTP ${status}`;
+    } catch (err) {
+      error = err.message;
+    }
+
+    const delivered = !error;
+    const willRetry = !delivered && attempt < maxAttempts && isRetryableStatus(status);
+    await logDelivery(jobId, {
+      delivery_id: deliveryId,
+      event,
+      url: config.url,
+      attempt,
+      status: delivered ? 'delivered' : willRetry ? 'retrying' : 'failed',
+      http_status: status,
+      error,
+      at: new Date().toISOString()
+    }).catch(err => logger.error('[webhooks] failed to log delivery', { jobId, error: err.message }));
+
+    if (willRetry) {
+      await scheduleRetry({ jobId, event, body, deliveryId, attempt: attempt + 1 }, retryBaseMs * 2 ** (attempt - 1))
+        .catch(err => logger.error('[webhooks] failed to schedule retry', { jobId, error: err.message }));
+    } else if (!delivered) {
+      logger.warn('[webhooks] delivery failed', { jobId, event, url: config.url, error });
+    }
+  }
+
+  async function scheduleRetry(retry, delayMs) {
+    if (redis) {
+      await redis.zadd(RETRY_KEY, Date.now() + delayMs, JSON.stringify(retry));
+      return;
+    }
+    const timer = setTimeout(() => {
+      sendRetry(retry).catch(err => logger.error('[webhooks] retry failed', { jobId: retry.jobId, error: err.message }));
+    }, delayMs);
+    timer.unref?.();
+  }
+
+  // The config is read again, so a retry is dropped once the job's webhook has expired.
+  async function sendRetry(retry) {
+    const config = await getConfig(retry.jobId);
+    if (!config) return;
+    await attemptDelivery({ ...retry, config });
+  }
+
+  /**
+   * Send the retries that are due. Each is removed from the schedule before it
+   * is sent, so only one instance sends it. Resolves to the number sent.
+   */
+  async function runDueRetries(now = Date.now()) {
+    if (!redis) return 0;
+    const due = await redis.zrangebyscore(RETRY_KEY, '-inf', now, 'LIMIT', 0, RETRY_BATCH);
+    let sent = 0;
+    for (const member of due) {
+      if (await redis.zrem(RETRY_KEY, member) !== 1) continue;
+      const retry = JSON.parse(member);
+      await sendRetry(retry).catch(err => logger.error('[webhooks] retry failed', { jobId: retry.jobId, error: err.message }));
+      sent += 1;
+    }
+    return sent;
+  }
+
+  /**
+   * Poll Redis for due retries. Returns a function that stops polling.
+   */
+  function startRetryWorker() {
+    if (!redis) return () => {};
+    let running = false;
+    const timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await runDueRetries();
+      } catch (err) {
+        logger.warn('[webhooks] retry poll failed', { error: err.message });
+      } finally {
+        running = false;
+      }
+    }, retryPollMs);
+    timer.unref?.();
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Queue job event listener: `completed` maps to `job.completed`, item events
+   * to `job.item` for consumers that subscribed to streaming updates.
+   */
+  async function handleJobEvent(jobId, jobEvent, record) {
+    const event = jobEvent.type === 'completed'
+      ? 'job.completed'
+      : ['item_completed', 'item_failed'].includes(jobEvent.type) ? 'job.item' : null;
+    if (!event) return;
+
+    const config = await getConfig(jobId);
+    if (!config || !config.events.includes(event)) return;
+
+    const body = JSON.stringify({
+      event,
+      jobId,
+      item: jobEvent.item,
+      job: record,
+      sent_at: new Date().toISOString()
+    });
+    await attemptDelivery({ jobId, config, event, body, deliveryId: crypto.randomUUID(), attempt: 1 });
+  }
+
+  return {
+    register,
+    getDeliveries,
+    handleJobEvent,
+    runDueRetries,
+    startRetryWorker
+  };
+}
+
+module.exports = {
+  createWebhookDispatcher,
+  signWebhookPayload,
+  WEBHOOK_EVENTS
+};
@@ -3,19 +3,14 @@
  * Uses Redis if available, otherwise in-memory fallback.
  */
 
-const PLAN_LIMITS = {
-  free: 60,
-  pro: 120,
-  agency: 240
-};
+const { getPlan } = require('../lib/plans');
 
 function rateLimitMiddleware({ redis, perSiteOverride, globalOverride }) {
   const windowMs = 60_000;
   const memoryBuckets = new Map();
 
   return async function rateLimit(req, res, next) {
-    const plan = req.license?.plan || 'free';
-    const limit = perSiteOverride || PLAN_LIMITS[plan] || PLAN_LIMITS.free;
+    const limit = perSiteOverride || getPlan(req.license?.plan).rate_limit_per_minute;
     const globalLimit = globalOverride || 0;
     const key = req.license?.license_key || req.header('X-License-Key') || 'anon';
     const bucketKey = `ratelimit:${key}:${Math.floor(Date.now() / windowMs)}`;
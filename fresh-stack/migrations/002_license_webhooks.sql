@@ -0,0 +1,5 @@
+-- Fresh-Stack v2.0 - Per-license job webhooks
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS webhook_url TEXT;
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS webhook_secret VARCHAR(255);
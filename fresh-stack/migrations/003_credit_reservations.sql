@@ -0,0 +1,68 @@
+-- Fresh-Stack v2.0 - Credit reservations for batch jobs
+-- Run this in Supabase SQL Editor
+
+-- Credits held for queued/running jobs. The outstanding hold is
+-- credits_reserved - credits_consumed - credits_released.
+CREATE TABLE IF NOT EXISTS credit_reservations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  license_key VARCHAR(255) NOT NULL REFERENCES licenses(license_key) ON DELETE CASCADE,
+  site_hash VARCHAR(255),
+  job_id VARCHAR(255) UNIQUE NOT NULL,
+
+  credits_reserved INTEGER NOT NULL,
+  credits_consumed INTEGER NOT NULL DEFAULT 0,
+  credits_released INTEGER NOT NULL DEFAULT 0,
+
+  -- 'active' while the job runs, 'settled' once it ends
+  status VARCHAR(50) NOT NULL DEFAULT 'active',
+  -- Holds of jobs that vanish (e.g. expired job records) stop counting here
+  expires_at TIMESTAMPTZ NOT NULL,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_reservation_status CHECK (status IN ('active', 'settled'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_reservations_license_status ON credit_reservations(license_key, status);
+
+-- Check-and-hold in one transaction. The license row lock serialises concurrent
+-- reservations so two jobs cannot both claim the same remaining credits.
+CREATE OR REPLACE FUNCTION reserve_credits(
+  p_license_key VARCHAR,
+  p_site_hash VARCHAR,
+  p_job_id VARCHAR,
+  p_credits INTEGER,
+  p_period_start TIMESTAMPTZ,
+  p_limit INTEGER,
+  p_expires_at TIMESTAMPTZ
+)
+RETURNS TABLE (ok BOOLEAN, used_credits INTEGER, held_credits INTEGER)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_used INTEGER;
+  v_held INTEGER;
+BEGIN
+  PERFORM 1 FROM licenses WHERE license_key = p_license_key FOR UPDATE;
+
+  SELECT COALESCE(qs.total_credits_used, 0) INTO v_used
+  FROM quota_summaries qs
+  WHERE qs.license_key = p_license_key AND qs.period_start = p_period_start;
+  v_used := COALESCE(v_used, 0);
+
+  SELECT COALESCE(SUM(cr.credits_reserved - cr.credits_consumed - cr.credits_released), 0) INTO v_held
+  FROM credit_reservations cr
+  WHERE cr.license_key = p_license_key AND cr.status = 'active' AND cr.expires_at > NOW();
+
+  IF v_used + v_held + p_credits > p_limit THEN
+    RETURN QUERY SELECT FALSE, v_used, v_held;
+    RETURN;
+  END IF;
+
+  INSERT INTO credit_reservations (license_key, site_hash, job_id, credits_reserved, expires_at)
+  VALUES (p_license_key, p_site_hash, p_job_id, p_credits, p_expires_at);
+
+  RETURN QUERY SELECT TRUE, v_used, v_held + p_credits;
+END;
+$$;
@@ -0,0 +1,11 @@
+-- Fresh-Stack v2.0 - Usage log outcome columns
+-- Run this in Supabase SQL Editor
+
+-- Failed generations are logged with status 'error' and credits_used 0;
+-- opt-in heuristic fallbacks with status 'fallback'.
+ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS status VARCHAR(50) NOT NULL DEFAULT 'success';
+ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS error_message TEXT;
+ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS endpoint VARCHAR(100);
+ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS plugin_version VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_usage_logs_status ON usage_logs(status);
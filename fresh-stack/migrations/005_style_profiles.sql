@@ -0,0 +1,31 @@
+-- Fresh-Stack v2.0 - Alt text style profiles
+-- Run this in Supabase SQL Editor
+
+-- Prompt rules a license can select per request. site_hash NULL makes the
+-- profile available to every site on the license.
+CREATE TABLE IF NOT EXISTS style_profiles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  license_key VARCHAR(255) NOT NULL REFERENCES licenses(license_key) ON DELETE CASCADE,
+  site_hash VARCHAR(255),
+  name VARCHAR(100) NOT NULL,
+
+  -- Length bounds; words for spaced scripts, max_chars applies everywhere
+  min_words INTEGER,
+  max_words INTEGER,
+  max_chars INTEGER,
+
+  tone VARCHAR(100),
+  -- 'avoid', 'natural' (default rules) or 'required'
+  keyword_policy VARCHAR(50) NOT NULL DEFAULT 'natural',
+  keywords TEXT[] NOT NULL DEFAULT '{}',
+  banned_words TEXT[] NOT NULL DEFAULT '{}',
+  instructions TEXT,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_style_keyword_policy CHECK (keyword_policy IN ('avoid', 'natural', 'required')),
+  CONSTRAINT chk_style_word_bounds CHECK (min_words IS NULL OR max_words IS NULL OR min_words <= max_words)
+);
+
+CREATE INDEX IF NOT EXISTS idx_style_profiles_license_site ON style_profiles(license_key, site_hash);
@@ -0,0 +1,116 @@
+-- Fresh-Stack v2.0 - Purchased credit packs
+-- Run this in Supabase SQL Editor
+
+-- One-time credit purchases, drawn down once the monthly allowance is used up.
+-- expires_at NULL means the pack never expires.
+CREATE TABLE IF NOT EXISTS credits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  license_key VARCHAR(255) NOT NULL REFERENCES licenses(license_key) ON DELETE CASCADE,
+
+  credits_purchased INTEGER NOT NULL,
+  credits_remaining INTEGER NOT NULL,
+  price_paid INTEGER,
+
+  stripe_payment_intent_id VARCHAR(255),
+  stripe_charge_id VARCHAR(255),
+
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMPTZ,
+
+  status VARCHAR(50) NOT NULL DEFAULT 'active',
+
+  CONSTRAINT chk_credits_status CHECK (status IN ('active', 'used', 'expired', 'refunded')),
+  CONSTRAINT chk_credits_remaining CHECK (credits_remaining >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_credits_license_status ON credits(license_key, status);
+
+-- Draw p_credits from active packs, soonest-expiring first and non-expiring
+-- last. The pack rows are locked, so concurrent draws cannot spend the same
+-- credits. Returns how many of p_credits the packs covered.
+CREATE OR REPLACE FUNCTION consume_pack_credits(
+  p_license_key VARCHAR,
+  p_credits INTEGER
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_left INTEGER := p_credits;
+  v_take INTEGER;
+  v_pack RECORD;
+BEGIN
+  FOR v_pack IN
+    SELECT id, credits_remaining
+    FROM credits
+    WHERE license_key = p_license_key
+      AND status = 'active'
+      AND credits_remaining > 0
+      AND (expires_at IS NULL OR expires_at > NOW())
+    ORDER BY expires_at ASC NULLS LAST, created_at ASC
+    FOR UPDATE
+  LOOP
+    EXIT WHEN v_left <= 0;
+    v_take := LEAST(v_left, v_pack.credits_remaining);
+    UPDATE credits
+    SET credits_remaining = credits_remaining - v_take,
+        status = CASE WHEN credits_remaining - v_take = 0 THEN 'used' ELSE status END,
+        used_at = CASE WHEN credits_remaining - v_take = 0 THEN NOW() ELSE used_at END
+    WHERE id = v_pack.id;
+    v_left := v_left - v_take;
+  END LOOP;
+
+  RETURN p_credits - v_left;
+END;
+$$;
+
+-- Job holds may now run past the monthly allowance into pack credits.
+DROP FUNCTION IF EXISTS reserve_credits(VARCHAR, VARCHAR, VARCHAR, INTEGER, TIMESTAMPTZ, INTEGER, TIMESTAMPTZ);
+
+CREATE OR REPLACE FUNCTION reserve_credits(
+  p_license_key VARCHAR,
+  p_site_hash VARCHAR,
+  p_job_id VARCHAR,
+  p_credits INTEGER,
+  p_period_start TIMESTAMPTZ,
+  p_limit INTEGER,
+  p_expires_at TIMESTAMPTZ
+)
+RETURNS TABLE (ok BOOLEAN, used_credits INTEGER, held_credits INTEGER, pack_credits INTEGER)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_used INTEGER;
+  v_held INTEGER;
+  v_packs INTEGER;
+BEGIN
+  PERFORM 1 FROM licenses WHERE license_key = p_license_key FOR UPDATE;
+
+  SELECT COALESCE(qs.total_credits_used, 0) INTO v_used
+  FROM quota_summaries qs
+  WHERE qs.license_key = p_license_key AND qs.period_start = p_period_start;
+  v_used := COALESCE(v_used, 0);
+
+  SELECT COALESCE(SUM(cr.credits_reserved - cr.credits_consumed - cr.credits_released), 0) INTO v_held
+  FROM credit_reservations cr
+  WHERE cr.license_key = p_license_key AND cr.status = 'active' AND cr.expires_at > NOW();
+
+  SELECT COALESCE(SUM(c.credits_remaining), 0) INTO v_packs
+  FROM credits c
+  WHERE c.license_key = p_license_key
+    AND c.status = 'active'
+    AND (c.expires_at IS NULL OR c.expires_at > NOW());
+
+  -- Usage past the allowance has already been drawn from the packs.
+  IF GREATEST(p_limit - v_used, 0) + v_packs - v_held < p_credits THEN
+    RETURN QUERY SELECT FALSE, v_used, v_held, v_packs;
+    RETURN;
+  END IF;
+
+  INSERT INTO credit_reservations (license_key, site_hash, job_id, credits_reserved, expires_at)
+  VALUES (p_license_key, p_site_hash, p_job_id, p_credits, p_expires_at);
+
+  RETURN QUERY SELECT TRUE, v_used, v_held + p_credits, v_packs;
+END;
+$$;
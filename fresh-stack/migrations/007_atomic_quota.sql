@@ -0,0 +1,131 @@
+-- Fresh-Stack v2.0 - Atomic quota debits and refunds
+-- Run this in Supabase SQL Editor
+
+-- Add p_credits to the period's summary (total and site_usage) and draw the
+-- part past p_limit from credit packs, all under the license row lock so
+-- concurrent debits never lose an increment. With p_enforce the debit is
+-- refused when usage, job holds and pack balances leave fewer than p_credits.
+CREATE OR REPLACE FUNCTION debit_credits(
+  p_license_key VARCHAR,
+  p_site_hash VARCHAR,
+  p_credits INTEGER,
+  p_period_start TIMESTAMPTZ,
+  p_period_end TIMESTAMPTZ,
+  p_limit INTEGER,
+  p_enforce BOOLEAN DEFAULT TRUE
+)
+RETURNS TABLE (ok BOOLEAN, used_credits INTEGER, held_credits INTEGER, pack_credits INTEGER)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_site VARCHAR := COALESCE(p_site_hash, 'unknown');
+  v_used INTEGER;
+  v_held INTEGER;
+  v_packs INTEGER;
+  v_drawn INTEGER;
+BEGIN
+  PERFORM 1 FROM licenses WHERE license_key = p_license_key FOR UPDATE;
+
+  SELECT COALESCE(qs.total_credits_used, 0) INTO v_used
+  FROM quota_summaries qs
+  WHERE qs.license_key = p_license_key AND qs.period_start = p_period_start;
+  v_used := COALESCE(v_used, 0);
+
+  SELECT COALESCE(SUM(cr.credits_reserved - cr.credits_consumed - cr.credits_released), 0) INTO v_held
+  FROM credit_reservations cr
+  WHERE cr.license_key = p_license_key AND cr.status = 'active' AND cr.expires_at > NOW();
+
+  SELECT COALESCE(SUM(c.credits_remaining), 0) INTO v_packs
+  FROM credits c
+  WHERE c.license_key = p_license_key
+    AND c.status = 'active'
+    AND (c.expires_at IS NULL OR c.expires_at > NOW());
+
+  IF p_enforce AND GREATEST(p_limit - v_used, 0) + v_packs - v_held < p_credits THEN
+    RETURN QUERY SELECT FALSE, v_used, v_held, v_packs;
+    RETURN;
+  END IF;
+
+  INSERT INTO quota_summaries (license_key, period_start, period_end, total_credits_used, total_limit, site_usage)
+  VALUES (p_license_key, p_period_start, p_period_end, p_credits, p_limit, jsonb_build_object(v_site, p_credits))
+  ON CONFLICT (license_key, period_start) DO UPDATE SET
+    total_credits_used = quota_summaries.total_credits_used + p_credits,
+    site_usage = COALESCE(quota_summaries.site_usage, '{}'::jsonb)
+      || jsonb_build_object(v_site, COALESCE((quota_summaries.site_usage->>v_site)::INTEGER, 0) + p_credits),
+    updated_at = NOW();
+
+  -- Only the credits that cross the allowance come out of the packs.
+  v_drawn := consume_pack_credits(
+    p_license_key,
+    GREATEST(v_used + p_credits - p_limit, 0) - GREATEST(v_used - p_limit, 0)
+  );
+
+  RETURN QUERY SELECT TRUE, v_used + p_credits, v_held, v_packs - v_drawn;
+END;
+$$;
+
+-- Undo (part of) a debit_credits call whose model call failed. Credits the
+-- debit drew from packs go back to them, soonest-expiring first, which is the
+-- order they were drawn in. Returns the credits refunded.
+CREATE OR REPLACE FUNCTION refund_credits(
+  p_license_key VARCHAR,
+  p_site_hash VARCHAR,
+  p_credits INTEGER,
+  p_period_start TIMESTAMPTZ,
+  p_limit INTEGER
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_site VARCHAR := COALESCE(p_site_hash, 'unknown');
+  v_used INTEGER;
+  v_refund INTEGER;
+  v_left INTEGER;
+  v_give INTEGER;
+  v_pack RECORD;
+BEGIN
+  PERFORM 1 FROM licenses WHERE license_key = p_license_key FOR UPDATE;
+
+  SELECT qs.total_credits_used INTO v_used
+  FROM quota_summaries qs
+  WHERE qs.license_key = p_license_key AND qs.period_start = p_period_start;
+  IF v_used IS NULL THEN
+    RETURN 0;
+  END IF;
+
+  v_refund := LEAST(p_credits, v_used);
+  UPDATE quota_summaries
+  SET total_credits_used = total_credits_used - v_refund,
+      site_usage = CASE
+        WHEN site_usage ? v_site
+          THEN site_usage || jsonb_build_object(v_site, GREATEST((site_usage->>v_site)::INTEGER - v_refund, 0))
+        ELSE site_usage
+      END,
+      updated_at = NOW()
+  WHERE license_key = p_license_key AND period_start = p_period_start;
+
+  v_left := GREATEST(v_used - p_limit, 0) - GREATEST(v_used - v_refund - p_limit, 0);
+  FOR v_pack IN
+    SELECT id, credits_purchased - credits_remaining AS room
+    FROM credits
+    WHERE license_key = p_license_key
+      AND status IN ('active', 'used')
+      AND credits_remaining < credits_purchased
+      AND (expires_at IS NULL OR expires_at > NOW())
+    ORDER BY expires_at ASC NULLS LAST, created_at ASC
+    FOR UPDATE
+  LOOP
+    EXIT WHEN v_left <= 0;
+    v_give := LEAST(v_left, v_pack.room);
+    UPDATE credits
+    SET credits_remaining = credits_remaining + v_give,
+        status = 'active',
+        used_at = NULL
+    WHERE id = v_pack.id;
+    v_left := v_left - v_give;
+  END LOOP;
+
+  RETURN v_refund;
+END;
+$$;
@@ -0,0 +1,51 @@
+-- Fresh-Stack v2.0 - Stripe webhook event log
+-- Run this in Supabase SQL Editor
+
+-- One row per Stripe event id. Stripe delivers events at least once, so a row
+-- that is processed (or ignored) makes later deliveries of the event no-ops.
+CREATE TABLE IF NOT EXISTS stripe_events (
+  id VARCHAR(255) PRIMARY KEY, -- Stripe event id (evt_...)
+  type VARCHAR(100) NOT NULL,
+  license_key VARCHAR(255),
+
+  -- 'processing' while a delivery is handled, then 'processed', 'ignored' or 'failed'
+  status VARCHAR(50) NOT NULL DEFAULT 'processing',
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 1,
+  payload JSONB,
+
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ,
+
+  CONSTRAINT chk_stripe_event_status CHECK (status IN ('processing', 'processed', 'ignored', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_license ON stripe_events(license_key);
+
+-- Claim an event for processing. A new event, a failed one and one whose
+-- delivery stalled for p_stale_after (e.g. the process crashed) are claimed;
+-- anything else is a duplicate delivery and returns FALSE.
+CREATE OR REPLACE FUNCTION claim_stripe_event(
+  p_event_id VARCHAR,
+  p_type VARCHAR,
+  p_payload JSONB,
+  p_stale_after INTERVAL DEFAULT INTERVAL '5 minutes'
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO stripe_events (id, type, payload)
+  VALUES (p_event_id, p_type, p_payload)
+  ON CONFLICT (id) DO UPDATE SET
+    status = 'processing',
+    error = NULL,
+    attempts = stripe_events.attempts + 1,
+    updated_at = NOW()
+  WHERE stripe_events.status = 'failed'
+    OR (stripe_events.status = 'processing' AND stripe_events.updated_at < NOW() - p_stale_after);
+
+  RETURN FOUND;
+END;
+$$;
@@ -0,0 +1,6 @@
+-- Fresh-Stack v2.0 - Plans come from the plan catalog (config/plans.json)
+-- Run this in Supabase SQL Editor
+
+-- Plan ids are no longer a fixed list, so catalog plans such as 'business'
+-- can be stored without a schema change.
+ALTER TABLE licenses DROP CONSTRAINT IF EXISTS chk_plan_type;
@@ -2,38 +2,169 @@ const express = require('express');
 const crypto = require('crypto');
 const { z } = require('zod');
 const { validateImagePayload } = require('../lib/validation');
-const { generateAltText } = require('../lib/openai');
-const { enforceQuota } = require('../services/quota');
+const { inlineRemoteImage } = require('../lib/imageFetch');
+const { normalizeImage, perceptualHash } = require('../lib/imageProcessing');
+const { createPerceptualIndex } = require('../lib/perceptualIndex');
+const { CACHE_TTL_SECONDS, tenantFor } = require('../lib/resultCache');
+const { generateAltText, auditAltText, cacheVersion, OUTPUT_TYPES } = require('../lib/openai');
+const { AUDIT_THRESHOLD, scoreAltText } = require('../lib/altTextAudit');
+const { normalizeLanguages } = require('../lib/languages');
+const { enforceQuota, debitCredits, refundCredits } = require('../services/quota');
 const { recordUsage } = require('../services/usage');
+const { getStyleProfile } = require('../services/styleProfiles');
 const { extractUserInfo } = require('../middleware/auth');
 
 function hashPayload(base64) {
   return crypto.createHash('md5').update(base64).digest('hex');
 }
 
+// `version` covers the prompt and provider chain. Styled results include the
+// profile's updated_at, so editing a profile skips old entries.
+function cacheKeyFor(hash, { tenant, version, language, profile, outputs }) {
+  let key = `${tenant}:${version}:${hash}:${language}`;
+  if (profile) key += `:style:${profile.id}:${Date.parse(profile.updated_at) || 0}`;
+  if (outputs.join() !== 'alt') key += `:out:${outputs.join(',')}`;
+  return key;
+}
+
+function mapLanguages(languages, valueFor) {
+  return Object.fromEntries(languages.map(language => [language, valueFor(language)]));
+}
+
+// Entries cached before `outputs` existed only hold altText.
+function outputsOf(result) {
+  if (!result) return null;
+  return result.outputs || { alt: result.altText ?? null };
+}
+
+// Per-language outputs are only listed when more than one language was requested.
+function outputsByLanguage(languages, results) {
+  return languages.length > 1
+    ? { outputs_by_language: mapLanguages(languages, language => outputsOf(results[language])) }
+    : {};
+}
+
+// Decorative images should be skipped by screen readers, so they get alt="".
+function classificationFields(result) {
+  const classification = result?.classification || null;
+  return {
+    classification,
+    recommended_alt: classification?.type === 'decorative' ? '' : (result?.altText ?? null)
+  };
+}
+
+/**
+ * Switch the response to server-sent events: `token` events while the model
+ * writes, then one `done` (the regular response body) or `error` event.
+ * `signal` aborts the model call when the client goes away.
+ */
+function openEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  const send = (event, data) => {
+    if (res.writableEnded || controller.signal.aborted) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const finish = (event, data) => {
+    send(event, data);
+    if (!res.writableEnded) res.end();
+  };
+  return {
+    signal: controller.signal,
+    send,
+    done: body => finish('done', body),
+    fail: body => finish('error', body)
+  };
+}
+
+function wantsStream(req) {
+  return req.query.stream === '1' || (req.header('Accept') || '').includes('text/event-stream');
+}
+
+function quotaFailure(err) {
+  return {
+    error: err.code || 'QUOTA_EXCEEDED',
+    message: err.message,
+    code: err.code || 'QUOTA_EXCEEDED',
+    credits_used: err.payload?.credits_used,
+    total_limit: err.payload?.total_limit,
+    reset_date: err.payload?.reset_date
+  };
+}
+
+function generationFailure(err) {
+  return {
+    error: 'GENERATION_FAILED',
+    message: err.retryable
+      ? 'Alt text generation is temporarily unavailable. Please retry.'
+      : 'Alt text generation failed.',
+    code: 'GENERATION_FAILED',
+    retryable: Boolean(err.retryable)
+  };
+}
+
+const imageSchema = z
+  .object({
+    base64: z.string().optional(),
+    image_base64: z.string().optional(),
+    url: z.string().url().optional(),
+    width: z.number().optional(),
+    height: z.number().optional(),
+    mime_type: z.string().optional(),
+    filename: z.string().optional()
+  })
+  .refine(
+    data => Boolean(data.base64 || data.image_base64 || data.url),
+    'Send base64/image_base64 or url.'
+  );
+
+const contextSchema = z.object({
+  title: z.string().optional(),
+  caption: z.string().optional(),
+  pageTitle: z.string().optional(),
+  altTextSuggestion: z.string().optional(),
+  // Where the image sits, used to spot functional and decorative images.
+  linkTarget: z.string().optional(),
+  adjacentText: z.string().optional()
+});
+
 const requestSchema = z.object({
-  image: z
-    .object({
-      base64: z.string().optional(),
-      image_base64: z.string().optional(),
-      url: z.string().url().optional(),
-      width: z.number().optional(),
-      height: z.number().optional(),
-      mime_type: z.string().optional(),
-      filename: z.string().optional()
-    })
-    .refine(
-      data => Boolean(data.base64 || data.image_base64 || data.url),
-      'Send base64/image_base64 or url.'
-    ),
-  context: z
-    .object({
-      title: z.string().optional(),
-      caption: z.string().optional(),
-      pageTitle: z.string().optional(),
-      altTextSuggestion: z.string().optional()
-    })
-    .optional()
+  image: imageSchema,
+  context: contextSchema.optional(),
+  // BCP-47 tag, or a list of tags to get one alt text (and one credit) per language.
+  language: z.union([z.string(), z.array(z.string())]).optional(),
+  // Stored style profile (see /api/style-profiles) to apply instead of the default rules.
+  profile_id: z.string().optional(),
+  // Extra texts generated in the same model call; each output type costs a credit.
+  outputs: z.array(z.enum(OUTPUT_TYPES)).min(1).optional(),
+  // Opt in to context-derived text (unbilled, uncached) when every provider fails.
+  allow_fallback: z.boolean().optional()
+});
+
+const purgeSchema = z.object({
+  // MD5 of the image's base64 data, as returned in `image_hash`.
+  hash: z.string().regex(/^[a-f0-9]{32}$/, 'hash must be an MD5 hex digest').optional(),
+  site: z.string().min(1).optional()
+});
+
+const auditSchema = z.object({
+  image: imageSchema,
+  // The alt attribute as it is today; "" for an empty alt.
+  alt: z.string().max(2000),
+  context: contextSchema.optional(),
+  language: z.string().optional(),
+  // Suggest a replacement when the score is below this.
+  threshold: z.number().int().min(0).max(100).optional()
 });
 
 function createAltTextRouter({
@@ -44,6 +175,7 @@ function createAltTextRouter({
   getSiteFromHeaders
 }) {
   const router = express.Router();
+  const perceptualIndex = createPerceptualIndex({ redis, ttlSeconds: CACHE_TTL_SECONDS });
 
   router.post('/', async (req, res) => {
     const parsed = requestSchema.safeParse(req.body);
@@ -51,25 +183,42 @@ function createAltTextRouter({
       return res.status(400).json({ error: 'INVALID_REQUEST', message: 'Invalid payload', details: parsed.error.flatten() });
     }
 
-    const { image, context = {} } = parsed.data;
+    const { image, context = {}, allow_fallback: allowFallback = false } = parsed.data;
+    const { languages, error: languageError } = normalizeLanguages(parsed.data.language);
+    if (languageError) {
+      return res.status(400).json({ error: 'INVALID_LANGUAGE', message: languageError, code: 'INVALID_LANGUAGE' });
+    }
+    // Canonical order, so ["title", "alt"] and ["alt", "title"] share a cache entry.
+    const outputs = OUTPUT_TYPES.filter(type => (parsed.data.outputs || ['alt']).includes(type));
+    // Streaming relays plain alt text, so it covers one language and skips classification.
+    const stream = wantsStream(req);
+    if (stream && (languages.length > 1 || outputs.join() !== 'alt')) {
+      return res.status(400).json({
+        error: 'INVALID_REQUEST',
+        message: 'Streaming supports a single language and the alt output only',
+        code: 'INVALID_REQUEST'
+      });
+    }
     const siteKey = req.header('X-Site-Key') || 'default';
     // Get license key from header OR from JWT-authenticated user
     const licenseKey = req.header('X-License-Key') || req.license?.license_key;
     const userInfo = extractUserInfo(req);
     const bypassCache = req.header('X-Bypass-Cache') === 'true' || req.query.no_cache === '1';
 
-    // Quota enforcement
+    let profile = null;
+    if (parsed.data.profile_id) {
+      const result = await getStyleProfile(supabase, { licenseKey, siteHash: siteKey, profileId: parsed.data.profile_id });
+      if (result.error) {
+        return res.status(result.status || 400).json({ error: result.error, message: result.message, code: result.error });
+      }
+      profile = result.profile;
+    }
+
+    // Quick quota check before any work; the binding check-and-debit runs right before the model call.
     try {
-      await enforceQuota(supabase, { licenseKey, siteHash: siteKey, creditsNeeded: 1 });
+      await enforceQuota(supabase, { licenseKey, siteHash: siteKey, creditsNeeded: languages.length * outputs.length });
     } catch (err) {
-      return res.status(err.status || 402).json({
-        error: err.code || 'QUOTA_EXCEEDED',
-        message: err.message,
-        code: err.code || 'QUOTA_EXCEEDED',
-        credits_used: err.payload?.credits_used,
-        total_limit: err.payload?.total_limit,
-        reset_date: err.payload?.reset_date
-      });
+      return res.status(err.status || 402).json(quotaFailure(err));
     }
 
     // Rate limit per site/license
@@ -81,93 +230,401 @@ function createAltTextRouter({
       });
     }
 
-    // Deduplication via hash
-    const base64Data = image.base64 || image.image_base64 || '';
+    // URL images are downloaded here so they share the upload path from hashing onwards.
+    let source;
+    try {
+      ({ image: source } = await inlineRemoteImage(image));
+    } catch (err) {
+      return res.status(err.status || 422).json({
+        error: err.code || 'IMAGE_FETCH_FAILED',
+        message: err.message,
+        code: err.code || 'IMAGE_FETCH_FAILED'
+      });
+    }
+
+    // Deduplication via hash; each language is cached separately.
+    const base64Data = source.base64 || source.image_base64 || '';
     const cacheKey = base64Data ? hashPayload(base64Data) : null;
+    const tenant = tenantFor({ licenseKey, siteKey });
+    const version = cacheVersion();
+    const keyFor = (hash, language) => cacheKeyFor(hash, { tenant, version, language, profile, outputs });
+    // Entries without classification (older or streamed) are regenerated rather than served without it.
+    const usable = cached => Boolean(cached && cached.classification !== undefined && (stream || !cached.streamed));
+    const cachedResults = {};
     if (cacheKey && !bypassCache) {
-      if (redis) {
-        try {
-          const cached = await redis.get(`alttext:cache:${cacheKey}`);
-          if (cached) {
-            const parsed = JSON.parse(cached);
-            return res.json({ ...parsed, cached: true });
-          }
-        } catch (e) {
-          // ignore cache errors
+      for (const language of languages) {
+        const cached = await resultCache.get(keyFor(cacheKey, language));
+        if (usable(cached)) cachedResults[language] = cached;
+      }
+    }
+
+    // Resized or re-encoded copies of an image this tenant already paid for reuse its result.
+    let phash = null;
+    let perceptualMatch = null;
+    if (cacheKey && !bypassCache && languages.some(language => !cachedResults[language])) {
+      try {
+        phash = await perceptualHash(source);
+      } catch (e) {
+        // normalizeImage reports images that do not decode
+      }
+      if (phash) perceptualMatch = await perceptualIndex.find(tenant, version, phash);
+      if (perceptualMatch?.key === cacheKey) perceptualMatch = null;
+      if (perceptualMatch) {
+        for (const language of languages.filter(language => !cachedResults[language])) {
+          const cached = await resultCache.get(keyFor(perceptualMatch.key, language));
+          if (usable(cached)) cachedResults[language] = { ...cached, match: 'perceptual' };
         }
-      } else if (resultCache.has(cacheKey)) {
-        const cached = resultCache.get(cacheKey);
-        return res.json({ ...cached, cached: true });
       }
     }
 
-    const { errors, warnings, normalized } = validateImagePayload(image);
+    const pending = languages.filter(language => !cachedResults[language]);
+    if (cacheKey && !bypassCache) {
+      const perceptual = languages.some(language => cachedResults[language]?.match === 'perceptual');
+      resultCache.recordLookup(tenant, pending.length ? 'miss' : perceptual ? 'perceptual' : 'exact');
+    }
+
+    let events = null;
+    const reply = (body) => {
+      if (!stream) return res.json(body);
+      if (!events) events = openEventStream(res);
+      return events.done(body);
+    };
+
+    if (!pending.length) {
+      const { streamed: _streamed, match: _match, ...primary } = cachedResults[languages[0]];
+      const perceptual = languages.some(language => cachedResults[language].match === 'perceptual');
+      return reply({
+        ...primary,
+        language: languages[0],
+        alt_texts: mapLanguages(languages, language => cachedResults[language].altText),
+        outputs: outputsOf(primary),
+        ...outputsByLanguage(languages, cachedResults),
+        ...classificationFields(primary),
+        image_hash: cacheKey,
+        cached: true,
+        match: perceptual ? 'perceptual' : 'exact',
+        ...(perceptual ? { match_distance: perceptualMatch.distance } : {})
+      });
+    }
+
+    // Decode, downscale and re-encode before the model call; the real sizes are reported back.
+    let prepared;
+    try {
+      prepared = await normalizeImage(source);
+    } catch (err) {
+      return res.status(err.status || 400).json({
+        error: err.code || 'INVALID_IMAGE',
+        message: err.message,
+        code: err.code || 'INVALID_IMAGE'
+      });
+    }
+
+    const { errors, warnings, normalized } = validateImagePayload(prepared.image, { processed: true });
     if (errors.length) {
       return res.status(400).json({ error: 'INVALID_REQUEST', errors, warnings });
     }
 
-    const { altText, usage, meta } = await generateAltText({
-      image: normalized,
-      context: { ...context, filename: normalized.filename }
-    });
-
-    // Record usage/credits
     const logger = require('../lib/logger');
-    logger.info('[altText] Recording usage', {
-      licenseKey: licenseKey ? `${licenseKey.substring(0, 8)}...` : 'missing',
-      siteKey,
-      userId: userInfo.user_id,
-      creditsUsed: 1
-    });
-    
-    const usageResult = await recordUsage(supabase, {
+    const usageBase = {
       licenseKey,
       siteHash: siteKey,
       userId: userInfo.user_id,
       userEmail: userInfo.user_email,
       pluginVersion: userInfo.plugin_version,
-      creditsUsed: 1,
-      promptTokens: usage?.prompt_tokens,
-      completionTokens: usage?.completion_tokens,
-      totalTokens: usage?.total_tokens,
       cached: false,
-      modelUsed: meta?.modelUsed,
-      generationTimeMs: meta?.generation_time_ms,
       imageUrl: normalized.url,
       imageFilename: normalized.filename,
-      endpoint: 'api/alt-text',
-      status: 'success'
-    });
-    
-    if (usageResult.error) {
-      logger.error('[altText] Failed to record usage', { error: usageResult.error });
-    } else {
-      logger.info('[altText] Usage recorded successfully');
+      endpoint: 'api/alt-text'
+    };
+
+    // Debit up front so concurrent requests cannot overspend; unused credits are refunded below.
+    let debit;
+    try {
+      debit = await debitCredits(supabase, { licenseKey, siteHash: siteKey, credits: pending.length * outputs.length });
+    } catch (err) {
+      return res.status(err.status || 402).json(quotaFailure(err));
     }
 
-    if (cacheKey && !bypassCache) {
-      const payload = { altText, warnings, usage, meta };
-      if (redis) {
-        redis.set(`alttext:cache:${cacheKey}`, JSON.stringify(payload), 'EX', 60 * 60 * 24 * 7).catch(() => {});
+    if (stream) events = openEventStream(res);
+
+    // One model call per language; each is billed, logged and cached on its own.
+    const outcomes = await Promise.all(pending.map(async (language) => {
+      try {
+        const generated = await generateAltText({
+          image: normalized,
+          context: { ...context, filename: normalized.filename },
+          language,
+          profile,
+          outputs,
+          classify: !stream,
+          allowFallback,
+          ...(events ? { onToken: text => events.send('token', { text }), signal: events.signal } : {})
+        });
+        return { language, ...generated };
+      } catch (err) {
+        // Failed generations are logged for support but never billed or cached.
+        logger.warn('[altText] Generation failed', { siteKey, language, retryable: err.retryable, error: err.message });
+        await recordUsage(supabase, { ...usageBase, creditsUsed: 0, status: 'error', errorMessage: err.message });
+        return { language, error: err };
+      }
+    }));
+
+    // Failed and fallback languages are not billed.
+    const billed = outcomes.filter(outcome => !outcome.error && !outcome.meta?.usedFallback).length * outputs.length;
+    if (debit.credits > billed) await refundCredits(supabase, debit, debit.credits - billed);
+
+    const generatedResults = outcomes.filter(outcome => !outcome.error);
+    if (!generatedResults.length && !Object.keys(cachedResults).length) {
+      const err = outcomes[0].error;
+      if (events) return events.fail(generationFailure(err));
+      return res.status(err.status || 502).json(generationFailure(err));
+    }
+
+    let creditsUsed = 0;
+    let cachedAny = false;
+    for (const { language, altText, outputs: texts, classification, usage, meta } of generatedResults) {
+      const usedFallback = Boolean(meta?.usedFallback);
+      const credits = usedFallback ? 0 : outputs.length;
+      creditsUsed += credits;
+
+      // Record usage/credits
+      logger.info('[altText] Recording usage', {
+        licenseKey: licenseKey ? `${licenseKey.substring(0, 8)}...` : 'missing',
+        siteKey,
+        userId: userInfo.user_id,
+        language,
+        creditsUsed: credits
+      });
+
+      const usageResult = await recordUsage(supabase, {
+        ...usageBase,
+        creditsUsed: credits,
+        promptTokens: usage?.prompt_tokens,
+        completionTokens: usage?.completion_tokens,
+        totalTokens: usage?.total_tokens,
+        modelUsed: meta?.modelUsed,
+        generationTimeMs: meta?.generation_time_ms,
+        status: usedFallback ? 'fallback' : 'success',
+        errorMessage: usedFallback ? meta?.reason : null,
+        debited: true
+      });
+
+      if (usageResult.error) {
+        logger.error('[altText] Failed to record usage', { error: usageResult.error });
       } else {
-        resultCache.set(cacheKey, payload);
+        logger.info('[altText] Usage recorded successfully');
+      }
+
+      if (cacheKey && !bypassCache && !usedFallback) {
+        cachedAny = true;
+        resultCache.set(keyFor(cacheKey, language), {
+          altText,
+          outputs: texts,
+          classification: classification || null,
+          warnings,
+          usage,
+          meta,
+          image: prepared.sizes,
+          ...(stream ? { streamed: true } : {})
+        }, { tenant, site: siteKey, hash: cacheKey });
       }
     }
 
-    res.json({
-      altText,
-      credits_used: 1,
-      credits_remaining: usage?.credits_remaining,
+    if (cachedAny && phash) perceptualIndex.add(tenant, version, phash, cacheKey);
+
+    const results = { ...cachedResults };
+    generatedResults.forEach((result) => {
+      results[result.language] = result;
+    });
+    const failures = outcomes.filter(outcome => outcome.error);
+    const primary = results[languages[0]] || {};
+    const tokens = field => generatedResults.reduce((sum, result) => sum + (result.usage?.[field] || 0), 0);
+
+    reply({
+      altText: primary.altText ?? null,
+      language: languages[0],
+      alt_texts: mapLanguages(languages, language => results[language]?.altText ?? null),
+      outputs: outputsOf(results[languages[0]]),
+      ...outputsByLanguage(languages, results),
+      ...classificationFields(results[languages[0]]),
+      credits_used: creditsUsed,
+      credits_remaining: primary.usage?.credits_remaining,
       usage: {
-        prompt_tokens: usage?.prompt_tokens,
-        completion_tokens: usage?.completion_tokens,
-        total_tokens: usage?.total_tokens
+        prompt_tokens: tokens('prompt_tokens'),
+        completion_tokens: tokens('completion_tokens'),
+        total_tokens: tokens('total_tokens')
       },
       meta: {
-        modelUsed: meta?.modelUsed,
+        modelUsed: generatedResults[0]?.meta?.modelUsed,
         cached: false,
-        generation_time_ms: meta?.generation_time_ms
+        generation_time_ms: Math.max(...generatedResults.map(result => result.meta?.generation_time_ms || 0), 0),
+        usedFallback: generatedResults.some(result => Boolean(result.meta?.usedFallback))
+      },
+      image: prepared.sizes,
+      ...(cacheKey ? { image_hash: cacheKey } : {}),
+      ...(failures.length
+        ? {
+            errors: failures.map(({ language, error }) => ({
+              language,
+              ...generationFailure(error)
+            }))
+          }
+        : {})
+    });
+  });
+
+  // Purge cached results for this license: one image (`hash`), one site, or everything.
+  router.delete('/cache', async (req, res) => {
+    const parsed = purgeSchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'INVALID_REQUEST', message: 'Invalid query', details: parsed.error.flatten() });
+    }
+
+    const { hash, site } = parsed.data;
+    const siteKey = req.header('X-Site-Key') || 'default';
+    const licenseKey = req.header('X-License-Key') || req.license?.license_key;
+    try {
+      const deleted = await resultCache.purge(tenantFor({ licenseKey, siteKey }), { hash, site });
+      return res.json({ deleted, scope: hash ? 'hash' : site ? 'site' : 'license' });
+    } catch (err) {
+      const logger = require('../lib/logger');
+      logger.error('[altText] Cache purge failed', { siteKey, error: err.message });
+      return res.status(500).json({ error: 'SERVER_ERROR', message: 'Cache purge failed', code: 'SERVER_ERROR' });
+    }
+  });
+
+  // Score existing alt text and suggest a replacement when it falls short.
+  router.post('/audit', async (req, res) => {
+    const parsed = auditSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'INVALID_REQUEST', message: 'Invalid payload', details: parsed.error.flatten() });
+    }
+
+    const { image, alt, context = {}, threshold = AUDIT_THRESHOLD } = parsed.data;
+    const { languages, error: languageError } = normalizeLanguages(parsed.data.language);
+    if (languageError) {
+      return res.status(400).json({ error: 'INVALID_LANGUAGE', message: languageError, code: 'INVALID_LANGUAGE' });
+    }
+    const [language] = languages;
+    const siteKey = req.header('X-Site-Key') || 'default';
+    const licenseKey = req.header('X-License-Key') || req.license?.license_key;
+    const userInfo = extractUserInfo(req);
+
+    try {
+      await enforceQuota(supabase, { licenseKey, siteHash: siteKey, creditsNeeded: 1 });
+    } catch (err) {
+      return res.status(err.status || 402).json(quotaFailure(err));
+    }
+
+    if (!(await checkRateLimit(siteKey))) {
+      return res.status(429).json({
+        error: 'RATE_LIMIT_EXCEEDED',
+        message: 'Rate limit exceeded for this site. Please retry later.',
+        code: 'RATE_LIMIT_EXCEEDED'
+      });
+    }
+
+    let prepared;
+    try {
+      const { image: source } = await inlineRemoteImage(image);
+      prepared = await normalizeImage(source);
+    } catch (err) {
+      return res.status(err.status || 400).json({
+        error: err.code || 'INVALID_IMAGE',
+        message: err.message,
+        code: err.code || 'INVALID_IMAGE'
+      });
+    }
+
+    const { errors, warnings, normalized } = validateImagePayload(prepared.image, { processed: true });
+    if (errors.length) {
+      return res.status(400).json({ error: 'INVALID_REQUEST', errors, warnings });
+    }
+
+    const logger = require('../lib/logger');
+    const imageContext = { ...context, filename: normalized.filename };
+    const usageBase = {
+      licenseKey,
+      siteHash: siteKey,
+      userId: userInfo.user_id,
+      userEmail: userInfo.user_email,
+      pluginVersion: userInfo.plugin_version,
+      cached: false,
+      imageUrl: normalized.url,
+      imageFilename: normalized.filename,
+      endpoint: 'api/alt-text/audit'
+    };
+
+    let debit;
+    try {
+      debit = await debitCredits(supabase, { licenseKey, siteHash: siteKey, credits: 1 });
+    } catch (err) {
+      return res.status(err.status || 402).json(quotaFailure(err));
+    }
+
+    let review;
+    try {
+      review = await auditAltText({ image: normalized, altText: alt, context: imageContext, language });
+    } catch (err) {
+      logger.warn('[altText] Audit failed', { siteKey, retryable: err.retryable, error: err.message });
+      await refundCredits(supabase, debit);
+      await recordUsage(supabase, { ...usageBase, creditsUsed: 0, status: 'error', errorMessage: err.message });
+      return res.status(err.status || 502).json(generationFailure(err));
+    }
+    await recordUsage(supabase, {
+      ...usageBase,
+      creditsUsed: 1,
+      promptTokens: review.usage?.prompt_tokens,
+      completionTokens: review.usage?.completion_tokens,
+      totalTokens: review.usage?.total_tokens,
+      modelUsed: review.meta?.modelUsed,
+      generationTimeMs: review.meta?.generation_time_ms,
+      status: 'success',
+      debited: true
+    });
+
+    const { score, issues } = scoreAltText(alt, review, { filename: normalized.filename, language });
+    let creditsUsed = 1;
+    let suggestion;
+    if (score < threshold) {
+      if (review.classification.type === 'decorative') {
+        suggestion = '';
+      } else {
+        // A failed or unaffordable suggestion still leaves a useful audit, so it is not an error.
+        let suggestionDebit = null;
+        try {
+          suggestionDebit = await debitCredits(supabase, { licenseKey, siteHash: siteKey, credits: 1 });
+          const generated = await generateAltText({ image: normalized, context: imageContext, language });
+          suggestion = generated.altText;
+          creditsUsed += 1;
+          await recordUsage(supabase, {
+            ...usageBase,
+            creditsUsed: 1,
+            promptTokens: generated.usage?.prompt_tokens,
+            completionTokens: generated.usage?.completion_tokens,
+            totalTokens: generated.usage?.total_tokens,
+            modelUsed: generated.meta?.modelUsed,
+            generationTimeMs: generated.meta?.generation_time_ms,
+            status: 'success',
+            debited: true
+          });
+        } catch (err) {
+          if (suggestionDebit) await refundCredits(supabase, suggestionDebit);
+          logger.warn('[altText] Audit suggestion skipped', { siteKey, error: err.message });
+        }
       }
+    }
+
+    res.json({
+      score,
+      threshold,
+      passed: score >= threshold,
+      issues,
+      classification: review.classification,
+      ...(suggestion !== undefined ? { suggested_alt: suggestion } : {}),
+      credits_used: creditsUsed,
+      meta: { modelUsed: review.meta?.modelUsed, generation_time_ms: review.meta?.generation_time_ms },
+      image: prepared.sizes
     });
   });
 
@@ -1,67 +1,34 @@
 const express = require('express');
 const logger = require('../lib/logger');
+const { createCheckoutSession, createCustomer, verifyWebhookSignature } = require('../lib/stripe');
+const { listPlans, listPacks, findPlanByPrice, findPackByPrice } = require('../lib/plans');
+const {
+  saveStripeCustomer,
+  processStripeEvent,
+  claimStripeEvent,
+  recordStripeEventResult
+} = require('../services/billing');
 
-function createBillingRouter({ supabase, requiredToken, getStripe, priceIds }) {
+function createBillingRouter({ supabase, requiredToken, getStripe }) {
   const router = express.Router();
 
-  const plans = [
-    {
-      id: 'pro',
-      name: 'Pro Plan',
-      price: 14.99,
-      currency: 'usd',
-      interval: 'month',
-      quota: 1000,
-      sites: 1,
-      features: [
-        '1,000 AI-generated alt texts per month',
-        'WCAG-compliant descriptions',
-        'Bulk generate for media library',
-        'Priority email support',
-        'Use on one WordPress site'
-      ],
-      priceId: priceIds.pro,
-      trialDays: 0,
-      scope: 'site'
-    },
-    {
-      id: 'agency',
-      name: 'Agency Plan',
-      price: 59.99,
-      currency: 'usd',
-      interval: 'month',
-      quota: 10000,
-      sites: 'unlimited',
-      features: [
-        '10,000 AI-generated alt texts per month',
-        'WCAG 2.1 AA for all client sites',
-        'Bulk generate across multiple sites',
-        'Dedicated account manager and priority support',
-        'Use on unlimited WordPress sites'
-      ],
-      priceId: priceIds.agency,
-      trialDays: 0,
-      scope: 'shared'
-    },
-    {
-      id: 'credits',
-      name: 'Credit Pack',
-      price: 11.99,
-      currency: 'usd',
-      interval: 'one-time',
-      quota: 100,
-      sites: 'any',
-      features: [
-        '100 credits for alt text generation',
-        'Credits never expire',
-        'No subscription required',
-        'Use on any WordPress site'
-      ],
-      priceId: priceIds.credits,
-      trialDays: 0,
-      scope: 'site'
-    }
-  ];
+  // Public view of a catalog plan or credit pack
+  function describePlan(plan) {
+    const oneTime = plan.type === 'pack';
+    return {
+      id: plan.id,
+      name: plan.name,
+      price: plan.price,
+      currency: plan.currency,
+      interval: plan.interval,
+      quota: plan.credits,
+      sites: oneTime ? 'any' : (plan.max_sites ?? 'unlimited'),
+      features: plan.features,
+      priceId: plan.stripe_price_id,
+      trialDays: plan.trial_days,
+      scope: plan.scope
+    };
+  }
 
   function requireBillingAuth(req, res) {
     if (requiredToken) {
@@ -80,31 +47,58 @@ function createBillingRouter({ supabase, requiredToken, getStripe, priceIds }) {
   }
 
   router.get('/plans', (_req, res) => {
-    res.json({ success: true, plans });
+    res.json({ success: true, plans: [...listPlans(), ...listPacks()].filter(plan => plan.public).map(describePlan) });
   });
 
+  // Reuse the license's Stripe customer so every purchase lands on one customer.
+  async function customerFor(license) {
+    if (license.stripe_customer_id) return license.stripe_customer_id;
+    const customer = await createCustomer({
+      email: license.email,
+      metadata: { license_key: license.license_key }
+    });
+    const { error } = await saveStripeCustomer(supabase, {
+      licenseKey: license.license_key,
+      stripeCustomerId: customer.id
+    });
+    if (error) throw new Error(error.message);
+    return customer.id;
+  }
+
   router.post('/checkout', async (req, res) => {
     if (!requireBillingAuth(req, res)) return;
     const { priceId, successUrl, cancelUrl } = req.body || {};
     const siteKey = req.header('X-Site-Key');
+    const license = req.license;
 
-    if (!priceId || !Object.values(priceIds).includes(priceId)) {
-      return res.status(400).json({ error: 'Invalid or missing priceId', valid: priceIds });
+    if (!license) {
+      return res.status(401).json({
+        error: 'INVALID_LICENSE',
+        message: 'Checkout requires a license key (X-License-Key)',
+        code: 'INVALID_LICENSE'
+      });
     }
-    // Enforce site limit for PRO: only 1 site per subscription
-    if (priceId === priceIds.pro && supabase) {
+    const plan = findPlanByPrice(priceId) || findPackByPrice(priceId);
+    if (!plan || !plan.public) {
+      const valid = Object.fromEntries([...listPlans(), ...listPacks()]
+        .filter(p => p.public && p.stripe_price_id)
+        .map(p => [p.id, p.stripe_price_id]));
+      return res.status(400).json({ error: 'Invalid or missing priceId', valid });
+    }
+    // Single-site plans allow one subscription per site
+    if (plan.type === 'plan' && plan.max_sites === 1 && supabase) {
       try {
         const { data: subs } = await supabase
           .from('subscriptions')
           .select('id')
           .eq('site_hash', siteKey)
-          .eq('plan', 'pro')
+          .eq('plan', plan.id)
           .in('status', ['active', 'trial', 'past_due']);
         if (subs && subs.length > 0) {
           return res.status(403).json({
             error: 'SITE_LIMIT_EXCEEDED',
-            message: 'Pro plan is limited to 1 site per subscription.',
-            plan: 'pro'
+            message: `${plan.name} is limited to 1 site per subscription.`,
+            plan: plan.id
           });
         }
       } catch (e) {
@@ -116,13 +110,23 @@ function createBillingRouter({ supabase, requiredToken, getStripe, priceIds }) {
     if (!stripeClient) {
       return res.status(501).json({ error: 'Stripe not configured' });
     }
+    const oneTime = plan.type === 'pack';
+    const metadata = {
+      license_key: license.license_key,
+      site_id: siteKey,
+      plan: plan.id,
+      // Read by the payment_intent.succeeded webhook to size the pack
+      ...(oneTime ? { credits: String(plan.credits) } : {})
+    };
     try {
-      const session = await stripeClient.checkout.sessions.create({
-        mode: 'subscription',
-        line_items: [{ price: priceId, quantity: 1 }],
-        success_url: successUrl || `${process.env.FRONTEND_URL || 'https://example.com'}/billing/success`,
-        cancel_url: cancelUrl || `${process.env.FRONTEND_URL || 'https://example.com'}/billing/cancel`,
-        metadata: { site_id: siteKey }
+      const session = await createCheckoutSession({
+        priceId,
+        mode: oneTime ? 'payment' : 'subscription',
+        successUrl: successUrl || `${process.env.FRONTEND_URL || 'https://example.com'}/billing/success`,
+        cancelUrl: cancelUrl || `${process.env.FRONTEND_URL || 'https://example.com'}/billing/cancel`,
+        customerId: await customerFor(license),
+        clientReferenceId: license.license_key,
+        metadata
       });
       res.json({ success: true, url: session.url, sessionId: session.id });
     } catch (error) {
@@ -193,4 +197,64 @@ function createBillingRouter({ supabase, requiredToken, getStripe, priceIds }) {
   return router;
 }
 
-module.exports = { createBillingRouter };
+/**
+ * Stripe webhook receiver. Stripe signs the exact bytes it sends, so this
+ * router parses its own raw body and must be mounted before express.json().
+ * It authenticates by signature alone and sits outside authMiddleware.
+ */
+function createBillingWebhookRouter({ supabase, getStripe, webhookSecret }) {
+  const router = express.Router();
+
+  router.post('/', express.raw({ type: '*/*', limit: '1mb' }), async (req, res) => {
+    const stripeClient = getStripe();
+    if (!stripeClient || !webhookSecret) {
+      return res.status(501).json({ error: 'Stripe not configured' });
+    }
+
+    let event;
+    try {
+      event = verifyWebhookSignature({
+        payload: req.body,
+        signature: req.header('Stripe-Signature'),
+        secret: webhookSecret
+      });
+    } catch (e) {
+      logger.warn('[billing] Webhook signature rejected', { error: e.message });
+      return res.status(400).json({
+        error: 'INVALID_SIGNATURE',
+        message: 'Webhook signature verification failed',
+        code: 'INVALID_SIGNATURE'
+      });
+    }
+
+    const claim = await claimStripeEvent(supabase, event);
+    if (claim.error) {
+      logger.error('[billing] Webhook event log unavailable', { eventId: event.id, error: claim.error.message });
+      return res.status(500).json({ error: 'SERVER_ERROR', message: 'Failed to record event', code: 'SERVER_ERROR' });
+    }
+    if (!claim.claimed) {
+      return res.json({ received: true, duplicate: true });
+    }
+
+    try {
+      const result = await processStripeEvent(supabase, event, { stripe: stripeClient });
+      await recordStripeEventResult(supabase, event.id, result);
+      logger.info('[billing] Webhook event handled', {
+        eventId: event.id,
+        type: event.type,
+        status: result.status,
+        reason: result.reason
+      });
+      return res.json({ received: true, status: result.status });
+    } catch (e) {
+      logger.error('[billing] Webhook event failed', { eventId: event.id, type: event.type, error: e.message });
+      await recordStripeEventResult(supabase, event.id, { status: 'failed', error: e.message });
+      // Any non-2xx response makes Stripe deliver the event again later.
+      return res.status(500).json({ error: 'WEBHOOK_FAILED', message: 'Failed to process event', code: 'WEBHOOK_FAILED' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createBillingRouter, createBillingWebhookRouter };
@@ -61,6 +61,7 @@ function createDashboardRouter({ supabase }) {
     return res.json({
       license_key: licenseKey,
       credits_used: quota.credits_used,
+      credits_reserved: quota.credits_reserved,
       credits_remaining: quota.credits_remaining,
       total_limit: quota.total_limit,
       reset_date: quota.reset_date,
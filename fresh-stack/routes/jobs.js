@@ -1,7 +1,14 @@
 const express = require('express');
+const crypto = require('crypto');
 const { z } = require('zod');
-const { enforceQuota } = require('../services/quota');
+const logger = require('../lib/logger');
+const { enforceQuota, reserveCredits, releaseReservation } = require('../services/quota');
 const { extractUserInfo } = require('../middleware/auth');
+const { FINISHED_STATUSES, decodeCursor } = require('../lib/queue');
+const { WEBHOOK_EVENTS } = require('../lib/webhooks');
+const { summarizeJob } = require('../lib/jobEvents');
+const { normalizeLanguages } = require('../lib/languages');
+const { ensureWebhookSecret, getLicenseWebhook, validateWebhookUrl } = require('../services/webhooks');
 
 const batchSchema = z.object({
   priority: z.enum(['high', 'normal', 'low']).optional(),
@@ -10,31 +17,88 @@ const batchSchema = z.object({
     context: z.any().optional(),
     id: z.string().optional()
   })).min(1),
-  context: z.any().optional()
+  context: z.any().optional(),
+  // Every image is described in each language, one credit per image per language.
+  language: z.union([z.string(), z.array(z.string())]).optional(),
+  callback_url: z.string().url().optional(),
+  callback_events: z.array(z.enum(WEBHOOK_EVENTS)).min(1).optional()
 });
 
-function createJobsRouter({ supabase, checkRateLimit, getSiteFromHeaders, createJob, getJobRecord }) {
+const listQuerySchema = z.object({
+  status: z.string().optional(),
+  created_after: z.string().datetime({ offset: true }).optional(),
+  created_before: z.string().datetime({ offset: true }).optional(),
+  cursor: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional()
+});
+
+function createJobsRouter({
+  supabase,
+  checkRateLimit,
+  getSiteFromHeaders,
+  createJob,
+  getJobRecord,
+  listJobs,
+  cancelJob,
+  pauseJob,
+  resumeJob,
+  registerWebhook,
+  getWebhookDeliveries,
+  subscribeJobEvents,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter
+}) {
   const router = express.Router();
 
-  router.post('/', async (req, res) => {
+  // Jobs belong to the license that created them; API-token callers see all,
+  // including jobs created without a license, which no license caller may see.
+  function canAccessJob(req, job) {
+    if (req.authMethod === 'api_token') return true;
+    return Boolean(job.licenseId) && job.licenseId === req.license?.id;
+  }
+
+  async function loadJob(req, res) {
+    const job = await getJobRecord(req.params.jobId);
+    if (!job || !canAccessJob(req, job)) {
+      res.status(404).json({ error: 'JOB_NOT_FOUND', message: 'Job not found' });
+      return null;
+    }
+    return job;
+  }
+
+  // API-token callers see every dead letter; license callers only their own.
+  function canAccessDeadLetter(req, entry) {
+    if (req.authMethod === 'api_token') return true;
+    const licenseKey = req.header('X-License-Key') || req.license?.license_key;
+    return Boolean(licenseKey) && entry.job?.licenseKey === licenseKey;
+  }
+
+  router.post('/', async (req, res, next) => {
     const parsed = batchSchema.safeParse(req.body);
     if (!parsed.success) {
       return res.status(400).json({ error: 'INVALID_REQUEST', details: parsed.error.flatten() });
     }
-    const { priority = 'normal', images, context = {} } = parsed.data;
+    const { priority = 'normal', images, context = {}, callback_url, callback_events } = parsed.data;
     const siteKey = req.header('X-Site-Key') || 'default';
-    const licenseKey = req.header('X-License-Key');
+    const licenseKey = req.header('X-License-Key') || req.license?.license_key;
     const userInfo = extractUserInfo(req);
+    const { languages, error: languageError } = normalizeLanguages(parsed.data.language);
+    if (languageError) {
+      return res.status(400).json({ error: 'INVALID_LANGUAGE', message: languageError, code: 'INVALID_LANGUAGE' });
+    }
+    const creditsNeeded = images.length * languages.length;
 
     // Quota check for total images
+    let quota;
     try {
-      await enforceQuota(supabase, { licenseKey, siteHash: siteKey, creditsNeeded: images.length });
+      quota = await enforceQuota(supabase, { licenseKey, siteHash: siteKey, creditsNeeded });
     } catch (err) {
       return res.status(err.status || 402).json({
         error: err.code || 'INSUFFICIENT_QUOTA',
         message: err.message,
         code: err.code || 'INSUFFICIENT_QUOTA',
-        required_credits: images.length,
+        required_credits: creditsNeeded,
         credits_remaining: err.payload?.credits_remaining,
         reset_date: err.payload?.reset_date
       });
@@ -44,24 +108,250 @@ function createJobsRouter({ supabase, checkRateLimit, getSiteFromHeaders, create
       return res.status(429).json({ error: 'RATE_LIMIT_EXCEEDED', message: 'Rate limit exceeded', code: 'RATE_LIMIT_EXCEEDED' });
     }
 
+    // Callback target: explicit callback_url, else the license's webhook endpoint.
+    let webhook = null;
+    const events = callback_events || ['job.completed'];
+    if (callback_url) {
+      const invalid = validateWebhookUrl(callback_url);
+      if (invalid) return res.status(400).json({ error: 'INVALID_REQUEST', message: invalid, code: 'INVALID_REQUEST' });
+      if (!licenseKey) {
+        return res.status(400).json({ error: 'INVALID_REQUEST', message: 'callback_url requires a license key', code: 'INVALID_REQUEST' });
+      }
+      const config = await ensureWebhookSecret(supabase, licenseKey);
+      if (config.error) {
+        return res.status(config.status || 500).json({ error: config.error, message: config.message, code: config.error });
+      }
+      webhook = { url: callback_url, secret: config.secret, events };
+    } else if (licenseKey) {
+      const config = await getLicenseWebhook(supabase, licenseKey);
+      if (!config.error && config.url && config.secret) {
+        webhook = { url: config.url, secret: config.secret, events };
+      }
+    }
+
     const items = images.map(item => ({ ...item, user: userInfo }));
-    const jobId = await createJob(items, { ...context, priority }, siteKey);
+    const jobId = crypto.randomUUID();
+
+    // Hold the job's credits; the hold shrinks as items succeed, fail or are cancelled.
+    const reserved = quota.plan_type !== 'skip';
+    if (reserved) {
+      const hold = await reserveCredits(supabase, { licenseKey, siteHash: siteKey, jobId, credits: creditsNeeded });
+      if (hold.error) {
+        return res.status(hold.status || 500).json({
+          error: hold.error,
+          message: hold.message,
+          code: hold.error,
+          required_credits: creditsNeeded,
+          credits_remaining: hold.credits_remaining,
+          credits_reserved: hold.credits_reserved
+        });
+      }
+    }
+
+    // Register the callback before the job is queued so no event is missed.
+    try {
+      if (webhook) await registerWebhook(jobId, webhook);
+      await createJob({
+        jobId,
+        items,
+        context,
+        languages,
+        siteKey,
+        licenseKey,
+        licenseId: req.license?.id || null,
+        priority
+      });
+    } catch (err) {
+      if (reserved) await releaseReservation(supabase, { jobId });
+      return next(err);
+    }
     res.status(202).json({
       jobId,
       status: 'processing',
       total: images.length,
       completed: 0,
       failed: 0,
-      priority
+      languages,
+      priority,
+      callback_url: webhook?.url || null
     });
   });
 
+  // GET /api/jobs - jobs for the caller's license and X-Site-Key
+  router.get('/', async (req, res) => {
+    const parsed = listQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'INVALID_REQUEST', message: 'Invalid query', details: parsed.error.flatten() });
+    }
+    const { status, created_after, created_before, cursor, limit = 20 } = parsed.data;
+    if (cursor && !decodeCursor(cursor)) {
+      return res.status(400).json({ error: 'INVALID_REQUEST', message: 'Invalid cursor', code: 'INVALID_REQUEST' });
+    }
+    const siteKey = req.header('X-Site-Key') || 'default';
+    try {
+      const { jobs, nextCursor } = await listJobs({
+        licenseId: req.license?.id || null,
+        siteKey,
+        statuses: status ? status.split(',').map(s => s.trim()).filter(Boolean) : null,
+        createdAfter: created_after,
+        createdBefore: created_before,
+        cursor,
+        limit
+      });
+      res.json({
+        jobs: jobs.map(({ results: _results, errors: _errors, ...job }) => job),
+        next_cursor: nextCursor
+      });
+    } catch (error) {
+      logger.error('[jobs] Job list failed', { siteKey, error: error.message });
+      res.status(500).json({ error: 'SERVER_ERROR', message: 'Failed to list jobs', code: 'SERVER_ERROR' });
+    }
+  });
+
+  router.get('/dead-letters', async (req, res) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const entries = await listDeadLetters({ limit });
+    res.json({
+      dead_letters: entries
+        .filter(entry => canAccessDeadLetter(req, entry))
+        .map(({ jobId, error, attempts, failedAt, job }) => ({
+          jobId,
+          error,
+          attempts,
+          failedAt,
+          priority: job?.priority,
+          total: job?.items?.length || 0
+        }))
+    });
+  });
+
+  router.get('/dead-letters/:jobId', async (req, res) => {
+    const entry = await getDeadLetter(req.params.jobId);
+    if (!entry || !canAccessDeadLetter(req, entry)) {
+      return res.status(404).json({ error: 'JOB_NOT_FOUND', message: 'Dead-lettered job not found' });
+    }
+    res.json(entry);
+  });
+
+  router.post('/dead-letters/:jobId/replay', async (req, res) => {
+    const entry = await getDeadLetter(req.params.jobId);
+    if (!entry || !canAccessDeadLetter(req, entry)) {
+      return res.status(404).json({ error: 'JOB_NOT_FOUND', message: 'Dead-lettered job not found' });
+    }
+    const replayed = await replayDeadLetter(req.params.jobId);
+    if (!replayed) {
+      return res.status(409).json({ error: 'JOB_ALREADY_REPLAYED', message: 'Job is no longer dead-lettered' });
+    }
+    res.status(202).json({ jobId: req.params.jobId, status: 'queued' });
+  });
+
   router.get('/:jobId', async (req, res) => {
-    const job = await getJobRecord(req.params.jobId);
-    if (!job) return res.status(404).json({ error: 'JOB_NOT_FOUND', message: 'Job not found' });
+    const job = await loadJob(req, res);
+    if (!job) return;
     res.json(job);
   });
 
+  // Server-Sent Events: progress, item_completed, item_failed, then completed.
+  router.get('/:jobId/events', async (req, res) => {
+    const { jobId } = req.params;
+    if (!(await loadJob(req, res))) return;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let heartbeat = null;
+    let unsubscribe = async () => {};
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const finish = async () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      await unsubscribe();
+      res.end();
+    };
+    req.on('close', finish);
+
+    let record;
+    try {
+      const stop = await subscribeJobEvents(jobId, async (event, job) => {
+        if (closed) return;
+        if (event.type === 'completed') {
+          send('completed', (await getJobRecord(jobId)) || job);
+          await finish();
+          return;
+        }
+        if (event.type === 'item_completed' || event.type === 'item_failed') {
+          send(event.type, { jobId, item: event.item });
+        }
+        send('progress', { jobId, ...job });
+      });
+      // The client may have gone while the subscription was being set up.
+      if (closed) {
+        await stop();
+        return;
+      }
+      unsubscribe = stop;
+
+      // Snapshot after subscribing so no event between the two is lost.
+      record = await getJobRecord(jobId);
+    } catch (err) {
+      logger.error('[jobs] Job event stream failed', { jobId, error: err.message });
+      if (!closed) send('error', { jobId, error: 'SERVER_ERROR', message: 'Job events unavailable', code: 'SERVER_ERROR' });
+      await finish();
+      return;
+    }
+    if (closed) return;
+    if (!record || FINISHED_STATUSES.includes(record.status)) {
+      if (record) send('completed', record);
+      await finish();
+      return;
+    }
+    send('progress', { jobId, ...summarizeJob(record) });
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  });
+
+  router.get('/:jobId/webhooks', async (req, res) => {
+    if (!(await loadJob(req, res))) return;
+    res.json({ jobId: req.params.jobId, deliveries: await getWebhookDeliveries(req.params.jobId) });
+  });
+
+  router.delete('/:jobId', async (req, res) => {
+    if (!(await loadJob(req, res))) return;
+    const job = await cancelJob(req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'JOB_NOT_FOUND', message: 'Job not found' });
+    if (FINISHED_STATUSES.includes(job.status) && job.status !== 'cancelled') {
+      return res.status(409).json({ error: 'JOB_FINISHED', message: `Job already ${job.status}`, status: job.status });
+    }
+    // Paused jobs are cancelled right away; others stop before their next item.
+    res.status(202).json({ jobId: req.params.jobId, status: job.status === 'cancelled' ? 'cancelled' : 'cancelling' });
+  });
+
+  router.post('/:jobId/pause', async (req, res) => {
+    if (!(await loadJob(req, res))) return;
+    const job = await pauseJob(req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'JOB_NOT_FOUND', message: 'Job not found' });
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return res.status(409).json({ error: 'JOB_FINISHED', message: `Job already ${job.status}`, status: job.status });
+    }
+    res.status(202).json({ jobId: req.params.jobId, status: job.status === 'paused' ? 'paused' : 'pausing' });
+  });
+
+  router.post('/:jobId/resume', async (req, res) => {
+    if (!(await loadJob(req, res))) return;
+    const job = await resumeJob(req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'JOB_NOT_FOUND', message: 'Job not found' });
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return res.status(409).json({ error: 'JOB_FINISHED', message: `Job already ${job.status}`, status: job.status });
+    }
+    res.status(202).json({ jobId: req.params.jobId, status: job.status });
+  });
+
   return router;
 }
 
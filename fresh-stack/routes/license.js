@@ -1,6 +1,7 @@
 const express = require('express');
 const { validateLicense, activateLicense, deactivateLicense, transferLicense, getLicenseDetails } = require('../services/license');
 const { setSiteQuota, getSites } = require('../services/site');
+const { getLicenseWebhook, setLicenseWebhook, clearLicenseWebhook } = require('../services/webhooks');
 
 function createLicenseRouter({ supabase }) {
   const router = express.Router();
@@ -97,6 +98,29 @@ function createLicenseRouter({ supabase }) {
     });
   });
 
+  // Per-license job webhook (used when a job has no callback_url)
+  router.get('/webhook', async (req, res) => {
+    const licenseKey = req.header('X-License-Key') || req.license?.license_key;
+    const result = await getLicenseWebhook(supabase, licenseKey);
+    if (result.error) return res.status(result.status || 400).json({ error: result.error, message: result.message, code: result.error });
+    return res.json({ url: result.url, has_secret: Boolean(result.secret) });
+  });
+
+  router.put('/webhook', async (req, res) => {
+    const licenseKey = req.header('X-License-Key') || req.license?.license_key;
+    const { url, rotate_secret } = req.body || {};
+    const result = await setLicenseWebhook(supabase, { licenseKey, url, rotateSecret: rotate_secret === true });
+    if (result.error) return res.status(result.status || 400).json({ error: result.error, message: result.message, code: result.error });
+    return res.json({ success: true, url: result.url, secret: result.secret });
+  });
+
+  router.delete('/webhook', async (req, res) => {
+    const licenseKey = req.header('X-License-Key') || req.license?.license_key;
+    const result = await clearLicenseWebhook(supabase, { licenseKey });
+    if (result.error) return res.status(result.status || 400).json({ error: result.error, message: result.message, code: result.error });
+    return res.json({ success: true });
+  });
+
   return router;
 }
 
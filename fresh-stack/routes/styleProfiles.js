@@ -0,0 +1,104 @@
+const express = require('express');
+const { z } = require('zod');
+const {
+  listStyleProfiles,
+  getStyleProfile,
+  createStyleProfile,
+  updateStyleProfile,
+  deleteStyleProfile
+} = require('../services/styleProfiles');
+
+const profileFields = {
+  name: z.string().trim().min(1).max(100),
+  min_words: z.number().int().min(1).max(300).nullable(),
+  max_words: z.number().int().min(1).max(300).nullable(),
+  max_chars: z.number().int().min(10).max(2000).nullable(),
+  tone: z.string().trim().max(100).nullable(),
+  keyword_policy: z.enum(['avoid', 'natural', 'required']),
+  keywords: z.array(z.string().trim().min(1).max(100)).max(20),
+  banned_words: z.array(z.string().trim().min(1).max(100)).max(50),
+  instructions: z.string().trim().max(1000).nullable()
+};
+
+function wordBoundsValid(data) {
+  return data.min_words == null || data.max_words == null || data.min_words <= data.max_words;
+}
+
+const createSchema = z
+  .object({
+    ...Object.fromEntries(Object.entries(profileFields).map(([key, schema]) => [key, key === 'name' ? schema : schema.optional()])),
+    // Limit the profile to the calling site (X-Site-Key); license-wide otherwise.
+    site_only: z.boolean().optional()
+  })
+  .refine(wordBoundsValid, 'min_words must not exceed max_words');
+
+const updateSchema = z
+  .object(Object.fromEntries(Object.entries(profileFields).map(([key, schema]) => [key, schema.optional()])))
+  .refine(wordBoundsValid, 'min_words must not exceed max_words');
+
+function sendError(res, result) {
+  return res.status(result.status || 400).json({ error: result.error, message: result.message, code: result.error });
+}
+
+function createStyleProfilesRouter({ supabase }) {
+  const router = express.Router();
+
+  function scope(req) {
+    return {
+      licenseKey: req.header('X-License-Key') || req.license?.license_key,
+      siteHash: req.header('X-Site-Key') || 'default'
+    };
+  }
+
+  // Profiles are stored per license; API-token callers have none.
+  router.use((req, res, next) => {
+    if (!scope(req).licenseKey) {
+      return res.status(401).json({ error: 'INVALID_LICENSE', message: 'License key required', code: 'INVALID_LICENSE' });
+    }
+    return next();
+  });
+
+  router.get('/', async (req, res) => {
+    const result = await listStyleProfiles(supabase, scope(req));
+    if (result.error) return sendError(res, result);
+    return res.json({ profiles: result.profiles });
+  });
+
+  router.post('/', async (req, res) => {
+    const parsed = createSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'INVALID_REQUEST', message: 'Invalid style profile', details: parsed.error.flatten() });
+    }
+    const { site_only: siteOnly, ...fields } = parsed.data;
+    const { licenseKey, siteHash } = scope(req);
+    const result = await createStyleProfile(supabase, { ...fields, licenseKey, siteHash: siteOnly ? siteHash : null });
+    if (result.error) return sendError(res, result);
+    return res.status(201).json({ profile: result.profile });
+  });
+
+  router.get('/:profileId', async (req, res) => {
+    const result = await getStyleProfile(supabase, { ...scope(req), profileId: req.params.profileId });
+    if (result.error) return sendError(res, result);
+    return res.json({ profile: result.profile });
+  });
+
+  router.put('/:profileId', async (req, res) => {
+    const parsed = updateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'INVALID_REQUEST', message: 'Invalid style profile', details: parsed.error.flatten() });
+    }
+    const result = await updateStyleProfile(supabase, { ...parsed.data, ...scope(req), profileId: req.params.profileId });
+    if (result.error) return sendError(res, result);
+    return res.json({ profile: result.profile });
+  });
+
+  router.delete('/:profileId', async (req, res) => {
+    const result = await deleteStyleProfile(supabase, { ...scope(req), profileId: req.params.profileId });
+    if (result.error) return sendError(res, result);
+    return res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = { createStyleProfilesRouter };
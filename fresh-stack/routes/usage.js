@@ -1,8 +1,10 @@
 const express = require('express');
 const { getQuotaStatus } = require('../services/quota');
 const { getUserUsage, getSiteUsage, getPeriodBounds } = require('../services/usage');
+const { tenantFor } = require('../lib/resultCache');
+const { getPlan, hasFeature } = require('../lib/plans');
 
-function createUsageRouter({ supabase }) {
+function createUsageRouter({ supabase, resultCache }) {
   const router = express.Router();
 
   // GET /usage - current quota status
@@ -15,9 +17,18 @@ function createUsageRouter({ supabase }) {
       return res.status(status.status || 401).json(status);
     }
 
+    // Hit/miss counts for this license's (or site's) alt text cache.
+    const cache = resultCache
+      ? await resultCache.stats(tenantFor({ licenseKey, siteKey: siteKey || 'default' }))
+      : undefined;
+
     return res.json({
       credits_used: status.credits_used,
+      credits_reserved: status.credits_reserved,
       credits_remaining: status.credits_remaining,
+      monthly_credits_remaining: status.monthly_credits_remaining,
+      pack_credits_remaining: status.pack_credits_remaining,
+      credit_packs: status.credit_packs,
       total_limit: status.total_limit,
       plan_type: status.plan_type,
       reset_date: status.reset_date,
@@ -25,9 +36,10 @@ function createUsageRouter({ supabase }) {
       warning_threshold: status.warning_threshold,
       is_near_limit: status.is_near_limit,
       rate_limit: {
-        requests_per_minute: status.plan_type === 'agency' ? 240 : status.plan_type === 'pro' ? 120 : 60,
-        burst_limit: status.plan_type === 'agency' ? 240 : status.plan_type === 'pro' ? 120 : 60
-      }
+        requests_per_minute: getPlan(status.plan_type).rate_limit_per_minute,
+        burst_limit: getPlan(status.plan_type).rate_limit_per_minute
+      },
+      ...(cache ? { cache } : {})
     });
   });
 
@@ -55,13 +67,13 @@ function createUsageRouter({ supabase }) {
     const licenseKey = req.header('X-License-Key') || req.license?.license_key;
     if (!licenseKey) return res.status(401).json({ error: 'INVALID_LICENSE', message: 'License key or JWT token required' });
 
-    // Ensure plan is agency
+    // Ensure the plan includes multi-site usage
     const { data: lic } = await supabase.from('licenses').select('plan').eq('license_key', licenseKey).single();
     if (!lic) return res.status(401).json({ error: 'INVALID_LICENSE', message: 'License not found' });
-    if (lic.plan !== 'agency') {
+    if (!hasFeature(lic.plan, 'site_usage')) {
       return res.status(403).json({
         error: 'PLAN_NOT_SUPPORTED',
-        message: 'Multi-site usage tracking requires an Agency plan',
+        message: 'Multi-site usage tracking is not included in this plan',
         code: 'PLAN_NOT_SUPPORTED'
       });
     }
@@ -78,12 +90,13 @@ function createUsageRouter({ supabase }) {
       { total: 0 }
     );
 
+    const totalLimit = getPlan(lic.plan).credits;
     return res.json({
       license_id: licenseKey,
-      plan_type: 'agency',
+      plan_type: lic.plan,
       total_credits_used: totals.total,
-      total_limit: 10000,
-      credits_remaining: Math.max(10000 - totals.total, 0),
+      total_limit: totalLimit,
+      credits_remaining: Math.max(totalLimit - totals.total, 0),
       reset_date: periodEnd.toISOString(),
       sites: result.sites || []
     });
@@ -5,13 +5,20 @@ const config = require('../config/config');
 const { getRedis } = require('./lib/redis');
 const logger = require('./lib/logger');
 const { createQueue } = require('./lib/queue');
+const { createWebhookDispatcher } = require('./lib/webhooks');
+const { createJobEventBus } = require('./lib/jobEvents');
+const { processJob } = require('./services/jobs');
+const { createReservationTracker } = require('./services/quota');
+const { reloadPlanCatalog } = require('./lib/plans');
 const { createAuthRouter } = require('./routes/auth');
-const { createBillingRouter } = require('./routes/billing');
+const { createBillingRouter, createBillingWebhookRouter } = require('./routes/billing');
 const { createUsageRouter } = require('./routes/usage');
 const { createAltTextRouter } = require('./routes/altText');
+const { createResultCache } = require('./lib/resultCache');
 const { createJobsRouter } = require('./routes/jobs');
 const { createLicenseRouter } = require('./routes/license');
 const { createDashboardRouter } = require('./routes/dashboard');
+const { createStyleProfilesRouter } = require('./routes/styleProfiles');
 const rateLimitMiddleware = require('./middleware/rateLimit');
 const { authMiddleware } = require('./middleware/auth');
 const requestId = require('./middleware/requestId');
@@ -44,6 +51,12 @@ app.use(cors({
 }));
 
 app.use(helmet({ contentSecurityPolicy: false }));
+// Stripe webhooks need the raw body for signature checks, so they go before express.json
+app.use('/billing/webhook', createBillingWebhookRouter({
+  supabase,
+  getStripe,
+  webhookSecret: config.stripeWebhookSecret
+}));
 app.use(express.json({ limit: '8mb' }));
 app.use(requestId());
 
@@ -127,13 +140,17 @@ async function getSiteFromHeaders(supabase, req) {
   }
 }
 
+// Alt text results, shared with the usage router for hit/miss stats
+const resultCache = createResultCache({ redis });
+
 // Routers
 app.use('/license', createLicenseRouter({ supabase }));
-app.use('/api/usage', createUsageRouter({ supabase }));
+app.use('/api/usage', createUsageRouter({ supabase, resultCache }));
+app.use('/api/style-profiles', createStyleProfilesRouter({ supabase }));
 app.use('/api/alt-text', createAltTextRouter({
   supabase,
   redis,
-  resultCache: new Map(),
+  resultCache,
   checkRateLimit,
   getSiteFromHeaders: async (req) => getSiteFromHeaders(supabase, req)
 }));
@@ -147,45 +164,64 @@ const queue = createQueue({
   concurrency: JOB_CONCURRENCY,
   ttlSeconds: JOB_TTL_SECONDS,
   queueKey,
-  jobHandler: async (job) => {
-    try {
-      const record = await queue.getJobRecord(job.jobId);
-      if (!record) return;
-      record.status = 'running';
-      await queue.setJobRecord(job.jobId, record);
-      for (const item of job.items) {
-        try {
-          record.completed += 1;
-        } catch (e) {
-          record.failed += 1;
-          logger.error('[queue] job item failed', { jobId: job.jobId, error: e.message });
-        }
-        await queue.setJobRecord(job.jobId, record);
-      }
-      record.status = 'completed';
-      await queue.setJobRecord(job.jobId, record);
-    } catch (err) {
-      logger.error('[queue] job handler failed', { jobId: job?.jobId, error: err.message });
-    }
-  }
+  priorityWeights: config.jobs.priorityWeights,
+  maxAttempts: config.jobs.maxAttempts,
+  visibilityTimeoutMs: config.jobs.visibilityTimeoutMs,
+  retryBaseMs: config.jobs.retryBaseMs,
+  // Throws on job-level failures so the queue can retry or dead-letter the job.
+  jobHandler: async (job) => processJob(supabase, {
+    job,
+    getJobRecord: queue.getJobRecord,
+    setJobRecord: queue.setJobRecord,
+    getJobControl: queue.getJobControl,
+    setJobControl: queue.setJobControl,
+    parkJob: queue.parkJob
+  })
 });
 
+// Convert or release each job's credit hold as its items finish
+queue.onJobEvent(createReservationTracker(supabase));
+
+// Signed job callbacks
+const webhooks = createWebhookDispatcher({ redis, ttlSeconds: JOB_TTL_SECONDS });
+queue.onJobEvent(webhooks.handleJobEvent);
+webhooks.startRetryWorker();
+
+// Live progress for SSE streams, fanned out through Redis pub/sub when available
+const jobEvents = createJobEventBus({ redis });
+queue.onJobEvent(jobEvents.publish);
+
+// Resume jobs left in Redis by a previous process
+queue.startRedisWorkers();
+
 app.use('/api/jobs', createJobsRouter({
   supabase,
   checkRateLimit: async (siteKey) => checkRateLimit(siteKey),
   getSiteFromHeaders: async (req) => getSiteFromHeaders(supabase, req),
   createJob: queue.createJob,
-  getJobRecord: queue.getJobRecord
+  getJobRecord: queue.getJobRecord,
+  listJobs: queue.listJobs,
+  cancelJob: queue.cancelJob,
+  pauseJob: queue.pauseJob,
+  resumeJob: queue.resumeJob,
+  registerWebhook: webhooks.register,
+  getWebhookDeliveries: webhooks.getDeliveries,
+  subscribeJobEvents: jobEvents.subscribe,
+  listDeadLetters: queue.listDeadLetters,
+  getDeadLetter: queue.getDeadLetter,
+  replayDeadLetter: queue.replayDeadLetter
 }));
 
 // Billing + dashboard
-const priceIds = config.stripePrices;
-app.use('/billing', createBillingRouter({ supabase, getStripe, priceIds }));
+app.use('/billing', createBillingRouter({ supabase, getStripe }));
 app.use('/dashboard', createDashboardRouter({ supabase }));
 
 // Error handler
 app.use(errorHandler());
 
+// `kill -HUP <pid>` applies edits to the plan catalog without a restart.
+process.on('SIGHUP', () => reloadPlanCatalog());
+
 app.listen(PORT, HOST, () => {
   logger.info(`Fresh alt-text service running on http://${HOST}:${PORT}`);
 });
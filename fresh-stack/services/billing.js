@@ -3,6 +3,28 @@
  * Stripe client should be injected to ease testing.
  */
 
+const { findPlanByPrice } = require('../lib/plans');
+
+// Stripe subscription statuses as license statuses. `incomplete` subscriptions
+// have not been paid yet and leave the license as it is.
+const LICENSE_STATUS_BY_STRIPE = {
+  active: 'active',
+  trialing: 'active',
+  past_due: 'active',
+  unpaid: 'suspended',
+  paused: 'suspended',
+  canceled: 'cancelled',
+  incomplete_expired: 'expired'
+};
+
+async function saveStripeCustomer(supabase, { licenseKey, stripeCustomerId }) {
+  const { error } = await supabase
+    .from('licenses')
+    .update({ stripe_customer_id: stripeCustomerId })
+    .eq('license_key', licenseKey);
+  return { error };
+}
+
 async function handleSubscriptionCreated(supabase, { licenseKey, stripeCustomerId, stripeSubscriptionId, planType, currentPeriodEnd }) {
   const { error } = await supabase
     .from('licenses')
@@ -51,6 +73,15 @@ async function handlePaymentSucceeded(supabase, { licenseKey, billingAnchorDate
   return { error };
 }
 
+// Stripe gives up on an invoice after its last retry; earlier failures keep the license active.
+async function handlePaymentFailed(supabase, { licenseKey }) {
+  const { error } = await supabase
+    .from('licenses')
+    .update({ status: 'suspended' })
+    .eq('license_key', licenseKey);
+  return { error };
+}
+
 async function purchaseCredits(supabase, { licenseKey, credits, pricePaid, stripePaymentIntentId, stripeChargeId, expiresAt = null }) {
   const { data, error } = await supabase
     .from('credits')
@@ -69,10 +100,172 @@ async function purchaseCredits(supabase, { licenseKey, credits, pricePaid, strip
   return { data, error };
 }
 
+const toDate = seconds => (seconds ? new Date(seconds * 1000) : null);
+
+function planForSubscription(subscription) {
+  if (subscription.metadata?.plan) return subscription.metadata.plan;
+  return findPlanByPrice(subscription.items?.data?.[0]?.price?.id)?.id || null;
+}
+
+/**
+ * The license a Stripe object belongs to: its `license_key` metadata, else the
+ * license holding its subscription or customer id.
+ */
+async function findLicenseKey(supabase, { licenseKey, subscriptionId, customerId }) {
+  if (licenseKey) return licenseKey;
+  const lookups = [['stripe_subscription_id', subscriptionId], ['stripe_customer_id', customerId]];
+  for (const [column, value] of lookups) {
+    if (!value) continue;
+    const { data, error } = await supabase
+      .from('licenses')
+      .select('license_key')
+      .eq(column, value)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (data) return data.license_key;
+  }
+  return null;
+}
+
+/**
+ * Apply a verified Stripe event to the license it belongs to. Resolves to
+ * `{ status: 'processed', licenseKey }`, or `{ status: 'ignored', reason }` for
+ * events that change nothing; throws when a handler fails so the event can be
+ * retried.
+ */
+async function processStripeEvent(supabase, event, { stripe } = {}) {
+  const object = event.data.object;
+  const ignored = reason => ({ status: 'ignored', licenseKey: null, reason });
+  const applied = (licenseKey, { error }) => {
+    if (error) throw new Error(error.message);
+    return { status: 'processed', licenseKey };
+  };
+
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      // Credit packs are granted by payment_intent.succeeded.
+      if (object.mode !== 'subscription') return ignored('Not a subscription checkout');
+      const licenseKey = await findLicenseKey(supabase, {
+        licenseKey: object.metadata?.license_key || object.client_reference_id,
+        customerId: object.customer
+      });
+      if (!licenseKey) return ignored('No license for checkout session');
+      const subscription = await stripe.subscriptions.retrieve(object.subscription);
+      const planType = object.metadata?.plan || planForSubscription(subscription);
+      if (!planType) return ignored('Unknown plan');
+      return applied(licenseKey, await handleSubscriptionCreated(supabase, {
+        licenseKey,
+        stripeCustomerId: object.customer,
+        stripeSubscriptionId: object.subscription,
+        planType,
+        currentPeriodEnd: toDate(subscription.current_period_end)
+      }));
+    }
+
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated': {
+      const licenseKey = await findLicenseKey(supabase, {
+        licenseKey: object.metadata?.license_key,
+        subscriptionId: object.id,
+        customerId: object.customer
+      });
+      if (!licenseKey) return ignored('No license for subscription');
+      const status = LICENSE_STATUS_BY_STRIPE[object.status];
+      if (!status) return ignored(`Subscription is ${object.status}`);
+      const planType = planForSubscription(object);
+      if (!planType) return ignored('Unknown plan');
+      const currentPeriodEnd = toDate(object.current_period_end);
+      if (event.type === 'customer.subscription.created' && status === 'active') {
+        return applied(licenseKey, await handleSubscriptionCreated(supabase, {
+          licenseKey,
+          stripeCustomerId: object.customer,
+          stripeSubscriptionId: object.id,
+          planType,
+          currentPeriodEnd
+        }));
+      }
+      return applied(licenseKey, await handleSubscriptionUpdated(supabase, { licenseKey, planType, currentPeriodEnd, status }));
+    }
+
+    case 'customer.subscription.deleted': {
+      const licenseKey = await findLicenseKey(supabase, {
+        licenseKey: object.metadata?.license_key,
+        subscriptionId: object.id,
+        customerId: object.customer
+      });
+      if (!licenseKey) return ignored('No license for subscription');
+      return applied(licenseKey, await handleSubscriptionDeleted(supabase, { licenseKey }));
+    }
+
+    case 'invoice.paid':
+    case 'invoice.payment_failed': {
+      if (!object.subscription) return ignored('Not a subscription invoice');
+      const licenseKey = await findLicenseKey(supabase, { subscriptionId: object.subscription, customerId: object.customer });
+      if (!licenseKey) return ignored('No license for invoice');
+      if (event.type === 'invoice.paid') {
+        // The line's period is the one just paid for; quota resets on its start day.
+        const periodStart = object.lines?.data?.[0]?.period?.start || object.created;
+        return applied(licenseKey, await handlePaymentSucceeded(supabase, { licenseKey, billingAnchorDate: toDate(periodStart) }));
+      }
+      if (object.next_payment_attempt) return ignored('Payment will be retried');
+      return applied(licenseKey, await handlePaymentFailed(supabase, { licenseKey }));
+    }
+
+    case 'payment_intent.succeeded': {
+      const credits = Number(object.metadata?.credits);
+      const licenseKey = object.metadata?.license_key;
+      if (!licenseKey || !(credits > 0)) return ignored('Not a credit pack payment');
+      return applied(licenseKey, await purchaseCredits(supabase, {
+        licenseKey,
+        credits,
+        pricePaid: object.amount_received,
+        stripePaymentIntentId: object.id,
+        stripeChargeId: object.latest_charge || null
+      }));
+    }
+
+    default:
+      return ignored(`Unhandled event type ${event.type}`);
+  }
+}
+
+/**
+ * Claim an event in the stripe_events log. `claimed` is false for deliveries of
+ * an event that is already processed or being processed.
+ */
+async function claimStripeEvent(supabase, event) {
+  const { data, error } = await supabase.rpc('claim_stripe_event', {
+    p_event_id: event.id,
+    p_type: event.type,
+    p_payload: event
+  });
+  return { claimed: data === true, error };
+}
+
+async function recordStripeEventResult(supabase, eventId, { status, licenseKey = null, error = null }) {
+  const now = new Date().toISOString();
+  const { error: updateError } = await supabase
+    .from('stripe_events')
+    .update({
+      status,
+      license_key: licenseKey,
+      error,
+      updated_at: now,
+      processed_at: status === 'failed' ? null : now
+    })
+    .eq('id', eventId);
+  return { error: updateError };
+}
+
 module.exports = {
+  saveStripeCustomer,
   handleSubscriptionCreated,
   handleSubscriptionUpdated,
   handleSubscriptionDeleted,
   handlePaymentSucceeded,
-  purchaseCredits
+  handlePaymentFailed,
+  purchaseCredits,
+  processStripeEvent,
+  claimStripeEvent,
+  recordStripeEventResult
 };
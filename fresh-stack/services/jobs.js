@@ -0,0 +1,218 @@
+/**
+ * Batch job processing.
+ * Generates alt text for each queued item, records usage per credit and keeps
+ * the job record up to date. Record storage is injected by the queue.
+ */
+
+const { validateImagePayload } = require('../lib/validation');
+const { inlineRemoteImage } = require('../lib/imageFetch');
+const { normalizeImage } = require('../lib/imageProcessing');
+const { generateAltText } = require('../lib/openai');
+const { DEFAULT_LANGUAGE } = require('../lib/languages');
+const { FINISHED_STATUSES } = require('../lib/queue');
+const { recordUsage } = require('./usage');
+const logger = require('../lib/logger');
+
+function finalStatus(record) {
+  if (record.failed === 0) return 'completed';
+  if (record.completed === 0) return 'failed';
+  return 'partial';
+}
+
+async function processItem(supabase, { job, item, index }) {
+  const id = item.id || String(index);
+  let prepared;
+  try {
+    const { image: source } = await inlineRemoteImage(item.image || {});
+    prepared = await normalizeImage(source);
+  } catch (err) {
+    return { id, success: false, code: err.code || 'INVALID_IMAGE', message: err.message };
+  }
+  const { errors, warnings, normalized } = validateImagePayload(prepared.image, { processed: true });
+  if (errors.length) {
+    return { id, success: false, code: 'INVALID_REQUEST', message: errors.join(' '), warnings };
+  }
+
+  const user = item.user || {};
+  const usageBase = {
+    licenseKey: job.licenseKey,
+    siteHash: job.siteKey,
+    userId: user.user_id,
+    userEmail: user.user_email,
+    pluginVersion: user.plugin_version,
+    cached: false,
+    imageUrl: normalized.url,
+    imageFilename: normalized.filename,
+    endpoint: 'api/jobs'
+  };
+
+  // One generation (and one credit) per requested language.
+  const languages = job.languages || [DEFAULT_LANGUAGE];
+  const generated = {};
+  const failures = [];
+  let billed = 0;
+  for (const language of languages) {
+    try {
+      generated[language] = await generateAltText({
+        image: normalized,
+        context: { ...(job.context || {}), ...(item.context || {}), filename: normalized.filename },
+        language
+      });
+    } catch (err) {
+      // Logged for support, never billed.
+      await recordUsage(supabase, { ...usageBase, creditsUsed: 0, status: 'error', errorMessage: err.message });
+      failures.push({ language, message: err.message, retryable: Boolean(err.retryable) });
+      continue;
+    }
+
+    const { usage, meta } = generated[language];
+    const usageResult = await recordUsage(supabase, {
+      ...usageBase,
+      creditsUsed: 1,
+      promptTokens: usage?.prompt_tokens,
+      completionTokens: usage?.completion_tokens,
+      totalTokens: usage?.total_tokens,
+      modelUsed: meta?.modelUsed,
+      generationTimeMs: meta?.generation_time_ms,
+      status: 'success'
+    });
+    if (usageResult.error) {
+      logger.error('[jobs] Failed to record usage', { jobId: job.jobId, id, language, error: usageResult.error });
+    }
+    if (usageResult.billed) billed += 1;
+  }
+
+  const credits = Object.keys(generated).length;
+  if (!credits) {
+    return {
+      id,
+      success: false,
+      code: 'GENERATION_FAILED',
+      message: failures[0].message,
+      retryable: failures.every(failure => failure.retryable)
+    };
+  }
+
+  const primary = generated[languages[0]] || Object.values(generated)[0];
+  return {
+    id,
+    success: true,
+    altText: generated[languages[0]]?.altText ?? null,
+    language: languages[0],
+    altTexts: Object.fromEntries(languages.map(language => [language, generated[language]?.altText ?? null])),
+    credits,
+    billed,
+    failures,
+    warnings,
+    usage: primary.usage,
+    meta: primary.meta,
+    image: prepared.sizes
+  };
+}
+
+/**
+ * Stop the job between items if a cancel or pause was requested.
+ * Returns true when the worker should stop processing.
+ */
+async function applyJobControl(job, record, { getJobControl, setJobControl, parkJob, setJobRecord }) {
+  const control = getJobControl ? await getJobControl(job.jobId) : null;
+  if (control === 'cancel') {
+    record.status = 'cancelled';
+    record.cancelled = Math.max(record.total - record.completed - record.failed, 0);
+    record.cancelledAt = new Date().toISOString();
+    await setJobRecord(job.jobId, record, { type: 'completed' });
+    await setJobControl(job.jobId, null);
+    return true;
+  }
+  if (control === 'pause') {
+    await parkJob(job);
+    record.status = 'paused';
+    record.pausedAt = new Date().toISOString();
+    await setJobRecord(job.jobId, record, { type: 'paused' });
+    await setJobControl(job.jobId, null);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Process a queued batch job item by item.
+ * Results and errors are stored on the job record keyed by the caller's item id.
+ * Cancel and pause requests are honoured before each item, so unprocessed
+ * items never consume credits. A finished job (e.g. redelivered after its lease
+ * expired) is left as it is.
+ */
+async function processJob(supabase, { job, getJobRecord, setJobRecord, getJobControl, setJobControl, parkJob }) {
+  const record = await getJobRecord(job.jobId);
+  if (!record || FINISHED_STATUSES.includes(record.status)) return record;
+  const controls = { getJobControl, setJobControl, parkJob, setJobRecord };
+
+  if (await applyJobControl(job, record, controls)) return record;
+  record.status = 'running';
+  record.credits_used = record.credits_used || 0;
+  record.credits_released = record.credits_released || 0;
+  record.credits_unbilled = record.credits_unbilled || 0;
+  const creditsPerItem = (job.languages || [DEFAULT_LANGUAGE]).length;
+  await setJobRecord(job.jobId, record, { type: 'progress' });
+
+  // A redelivered or resumed job continues where the previous run stopped.
+  const processed = new Set(record.results.map(r => r.id));
+  const items = job.items || [];
+  for (let index = 0; index < items.length; index += 1) {
+    const item = items[index];
+    if (processed.has(item.id || String(index))) continue;
+    if (await applyJobControl(job, record, controls)) return record;
+    let outcome;
+    try {
+      outcome = await processItem(supabase, { job, item, index });
+    } catch (err) {
+      outcome = { id: item.id || String(index), success: false, code: 'GENERATION_FAILED', message: err.message };
+    }
+
+    let result;
+    if (outcome.success) {
+      record.completed += 1;
+      // Credits whose debit failed stay held rather than counting as used.
+      record.credits_used += outcome.billed;
+      record.credits_unbilled += outcome.credits - outcome.billed;
+      record.credits_released += creditsPerItem - outcome.credits;
+      result = {
+        id: outcome.id,
+        altText: outcome.altText,
+        language: outcome.language,
+        alt_texts: outcome.altTexts,
+        success: true,
+        warnings: outcome.warnings,
+        image: outcome.image,
+        meta: { modelUsed: outcome.meta?.modelUsed, generation_time_ms: outcome.meta?.generation_time_ms }
+      };
+      // Languages that failed on an otherwise successful item are reported but not billed.
+      outcome.failures.forEach(({ language, message, retryable }) => {
+        record.errors.push({ id: outcome.id, language, code: 'GENERATION_FAILED', message, retryable });
+      });
+    } else {
+      record.failed += 1;
+      record.credits_released += creditsPerItem;
+      result = { id: outcome.id, altText: null, success: false, error: outcome.message };
+      const error = { id: outcome.id, code: outcome.code, message: outcome.message };
+      if (outcome.code === 'GENERATION_FAILED') error.retryable = Boolean(outcome.retryable);
+      record.errors.push(error);
+      logger.warn('[jobs] job item failed', { jobId: job.jobId, id: outcome.id, error: outcome.message });
+    }
+    record.results.push(result);
+    record.progress = record.total ? (record.completed + record.failed) / record.total : 1;
+    await setJobRecord(job.jobId, record, {
+      type: result.success ? 'item_completed' : 'item_failed',
+      item: result
+    });
+  }
+
+  record.status = finalStatus(record);
+  record.completedAt = new Date().toISOString();
+  await setJobRecord(job.jobId, record, { type: 'completed' });
+  return record;
+}
+
+module.exports = {
+  processJob
+};
@@ -4,14 +4,12 @@
  * All functions are pure and expect an injected Supabase client.
  */
 
-const PLAN_LIMITS = {
-  free: { credits: 50, maxSites: 1 },
-  pro: { credits: 1000, maxSites: 1 },
-  agency: { credits: 10000, maxSites: null } // null = unlimited
-};
+const { getPlan } = require('../lib/plans');
 
-function getLimits(plan = 'free') {
-  return PLAN_LIMITS[plan] || PLAN_LIMITS.free;
+// Monthly credits and site limit (null = unlimited) from the plan catalog
+function getLimits(plan) {
+  const { credits, max_sites: maxSites } = getPlan(plan);
+  return { credits, maxSites };
 }
 
 /**
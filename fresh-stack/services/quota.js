@@ -1,4 +1,9 @@
 const { getLimits } = require('./license');
+const { hasFeature } = require('../lib/plans');
+const logger = require('../lib/logger');
+
+// Matches the job record TTL; holds for jobs that vanish stop counting after this.
+const RESERVATION_TTL_SECONDS = 60 * 60 * 24 * 7;
 
 /**
  * Calculate reset date and quota status for a license.
@@ -30,7 +35,16 @@ async function getQuotaStatus(supabase, { licenseKey, siteHash }) {
 
   const totalLimit = limits.credits;
   const creditsUsed = summary?.total_credits_used || 0;
-  const creditsRemaining = Math.max(totalLimit - creditsUsed, 0);
+  const creditsReserved = await getReservedCredits(supabase, license.license_key);
+  const packs = await getCreditPacks(supabase, license.license_key);
+  const packCredits = packs.reduce((sum, pack) => sum + pack.credits_remaining, 0);
+
+  // Usage past the allowance has already been drawn from the packs; job holds
+  // come out of the allowance first, then the packs.
+  const allowanceLeft = Math.max(totalLimit - creditsUsed, 0);
+  const monthlyRemaining = Math.max(allowanceLeft - creditsReserved, 0);
+  const packRemaining = Math.max(packCredits - Math.max(creditsReserved - allowanceLeft, 0), 0);
+  const creditsRemaining = monthlyRemaining + packRemaining;
 
   let siteQuota = null;
   if (siteHash) {
@@ -42,7 +56,7 @@ async function getQuotaStatus(supabase, { licenseKey, siteHash }) {
       quota_limit: null,
       quota_remaining: null
     };
-    if (license.plan === 'agency') {
+    if (hasFeature(license.plan, 'site_quotas')) {
       const { data: site } = await supabase
         .from('sites')
         .select('quota_limit')
@@ -61,7 +75,16 @@ async function getQuotaStatus(supabase, { licenseKey, siteHash }) {
     plan_type: license.plan,
     license_status: license.status,
     credits_used: creditsUsed,
+    credits_reserved: creditsReserved,
     credits_remaining: creditsRemaining,
+    monthly_credits_remaining: monthlyRemaining,
+    pack_credits_remaining: packRemaining,
+    credit_packs: packs.map(({ id, credits_purchased, credits_remaining, expires_at }) => ({
+      id,
+      credits_purchased,
+      credits_remaining,
+      expires_at
+    })),
     total_limit: totalLimit,
     reset_date: periodEnd.toISOString(),
     warning_threshold: warningThreshold,
@@ -82,6 +105,10 @@ async function checkQuotaAvailable(supabase, { licenseKey, siteHash, creditsNeed
       status: 402,
       message: 'Quota exceeded',
       credits_used: status.credits_used,
+      credits_reserved: status.credits_reserved,
+      credits_remaining: status.credits_remaining,
+      monthly_credits_remaining: status.monthly_credits_remaining,
+      pack_credits_remaining: status.pack_credits_remaining,
       total_limit: status.total_limit,
       reset_date: status.reset_date
     };
@@ -89,19 +116,32 @@ async function checkQuotaAvailable(supabase, { licenseKey, siteHash, creditsNeed
   return status;
 }
 
-/**
- * Enforce quota; throws on failure to simplify route handlers.
- */
-async function enforceQuota(supabase, { licenseKey, siteHash, creditsNeeded = 1 }) {
+function isQuotaExempt(siteHash) {
   const skipList = (process.env.SKIP_QUOTA_CHECK_SITE_IDS || '')
     .split(',')
     .map((s) => s.trim())
     .filter(Boolean);
-  if (siteHash && skipList.includes(siteHash)) {
+  return Boolean(siteHash && skipList.includes(siteHash));
+}
+
+function quotaError(result) {
+  const err = new Error(result.message);
+  err.status = result.status;
+  err.code = result.error;
+  err.payload = result;
+  return err;
+}
+
+/**
+ * Enforce quota; throws on failure to simplify route handlers.
+ */
+async function enforceQuota(supabase, { licenseKey, siteHash, creditsNeeded = 1 }) {
+  if (isQuotaExempt(siteHash)) {
     return {
       plan_type: 'skip',
       license_status: 'active',
       credits_used: 0,
+      credits_reserved: 0,
       credits_remaining: Number.MAX_SAFE_INTEGER,
       total_limit: Number.MAX_SAFE_INTEGER,
       reset_date: null,
@@ -112,16 +152,281 @@ async function enforceQuota(supabase, { licenseKey, siteHash, creditsNeeded = 1
   }
 
   const result = await checkQuotaAvailable(supabase, { licenseKey, siteHash, creditsNeeded });
-  if (result.error) {
-    const err = new Error(result.message);
-    err.status = result.status;
-    err.code = result.error;
-    err.payload = result;
-    throw err;
+  if (result.error) throw quotaError(result);
+  return result;
+}
+
+async function callDebit(supabase, { licenseKey, siteHash, credits, enforce }) {
+  const { data: license, error: licenseError } = await supabase
+    .from('licenses')
+    .select('plan, billing_day_of_month')
+    .eq('license_key', licenseKey)
+    .single();
+
+  if (licenseError || !license) {
+    return { error: 'INVALID_LICENSE', status: 401, message: 'License not found' };
   }
+
+  const limit = getLimits(license.plan).credits;
+  const periodStart = computePeriodStart(license.billing_day_of_month);
+  const periodEnd = new Date(periodStart);
+  periodEnd.setMonth(periodEnd.getMonth() + 1);
+  const { data, error } = await supabase.rpc('debit_credits', {
+    p_license_key: licenseKey,
+    p_site_hash: siteHash || null,
+    p_credits: credits,
+    p_period_start: periodStart.toISOString(),
+    p_period_end: periodEnd.toISOString(),
+    p_limit: limit,
+    p_enforce: enforce
+  });
+
+  if (error) {
+    return { error: 'SERVER_ERROR', status: 500, message: error.message };
+  }
+
+  const row = Array.isArray(data) ? data[0] : data;
+  if (!row?.ok) {
+    const allowanceLeft = Math.max(limit - (row?.used_credits || 0), 0);
+    return {
+      error: 'QUOTA_EXCEEDED',
+      status: 402,
+      message: 'Quota exceeded',
+      credits_used: row?.used_credits,
+      credits_reserved: row?.held_credits,
+      credits_remaining: Math.max(allowanceLeft + (row?.pack_credits || 0) - (row?.held_credits || 0), 0),
+      total_limit: limit
+    };
+  }
+  return {
+    licenseKey,
+    siteHash,
+    credits,
+    periodStart: periodStart.toISOString(),
+    limit,
+    credits_used: row.used_credits,
+    credits_remaining: Math.max(limit - row.used_credits, 0) + (row.pack_credits || 0) - (row.held_credits || 0)
+  };
+}
+
+/**
+ * Check-and-debit before a model call. The check and the usage increment run
+ * in one database call (debit_credits) under the license row lock, so
+ * concurrent requests cannot overspend. Throws like enforceQuota; resolves to
+ * a debit to hand to refundCredits for credits that end up unused.
+ */
+async function debitCredits(supabase, { licenseKey, siteHash, credits }) {
+  if (!licenseKey || credits <= 0) return { licenseKey, siteHash, credits: 0 };
+  const result = await callDebit(supabase, { licenseKey, siteHash, credits, enforce: !isQuotaExempt(siteHash) });
+  if (result.error) throw quotaError(result);
   return result;
 }
 
+/**
+ * Count credits already covered elsewhere (e.g. a job's reservation) toward
+ * the period's usage, without a limit check.
+ */
+async function addCreditUsage(supabase, { licenseKey, siteHash, credits }) {
+  return callDebit(supabase, { licenseKey, siteHash, credits, enforce: false });
+}
+
+/**
+ * Return `credits` of a debit, e.g. for languages whose generation failed.
+ */
+async function refundCredits(supabase, debit, credits = debit.credits) {
+  if (!debit.licenseKey || !debit.periodStart || credits <= 0) return { refunded: 0 };
+  const { data, error } = await supabase.rpc('refund_credits', {
+    p_license_key: debit.licenseKey,
+    p_site_hash: debit.siteHash || null,
+    p_credits: credits,
+    p_period_start: debit.periodStart,
+    p_limit: debit.limit
+  });
+  if (error) {
+    logger.error('[quota] Failed to refund credits', { credits, error: error.message });
+    return { error: 'SERVER_ERROR', status: 500, message: error.message };
+  }
+  return { refunded: Number(data) || 0 };
+}
+
+/**
+ * Credits still held by active job reservations for a license.
+ */
+async function getReservedCredits(supabase, licenseKey) {
+  const { data, error } = await supabase
+    .from('credit_reservations')
+    .select('credits_reserved, credits_consumed, credits_released')
+    .eq('license_key', licenseKey)
+    .eq('status', 'active')
+    .gt('expires_at', new Date().toISOString());
+
+  if (error) {
+    logger.warn('[quota] Failed to load credit reservations', { error: error.message });
+    return 0;
+  }
+  return (data || []).reduce(
+    (sum, row) => sum + Math.max(row.credits_reserved - row.credits_consumed - row.credits_released, 0),
+    0
+  );
+}
+
+/**
+ * Active, unexpired credit packs for a license in the order they are drawn
+ * down: soonest-expiring first, non-expiring last.
+ */
+async function getCreditPacks(supabase, licenseKey) {
+  const { data, error } = await supabase
+    .from('credits')
+    .select('id, credits_purchased, credits_remaining, expires_at, created_at')
+    .eq('license_key', licenseKey)
+    .eq('status', 'active')
+    .gt('credits_remaining', 0);
+
+  if (error) {
+    logger.warn('[quota] Failed to load credit packs', { error: error.message });
+    return [];
+  }
+  const now = Date.now();
+  const expiry = pack => (pack.expires_at ? Date.parse(pack.expires_at) : Infinity);
+  return (data || [])
+    .filter(pack => expiry(pack) > now)
+    .sort((a, b) => expiry(a) - expiry(b) || Date.parse(a.created_at) - Date.parse(b.created_at));
+}
+
+/**
+ * Hold credits for a queued job. Check and hold run in one database
+ * transaction (reserve_credits), so concurrent jobs cannot overcommit.
+ */
+async function reserveCredits(supabase, { licenseKey, siteHash, jobId, credits }) {
+  const { data: license, error: licenseError } = await supabase
+    .from('licenses')
+    .select('plan, billing_day_of_month')
+    .eq('license_key', licenseKey)
+    .single();
+
+  if (licenseError || !license) {
+    return { error: 'INVALID_LICENSE', status: 401, message: 'License not found' };
+  }
+
+  const limit = getLimits(license.plan).credits;
+  const { data, error } = await supabase.rpc('reserve_credits', {
+    p_license_key: licenseKey,
+    p_site_hash: siteHash || null,
+    p_job_id: jobId,
+    p_credits: credits,
+    p_period_start: computePeriodStart(license.billing_day_of_month).toISOString(),
+    p_limit: limit,
+    p_expires_at: new Date(Date.now() + RESERVATION_TTL_SECONDS * 1000).toISOString()
+  });
+
+  if (error) {
+    return { error: 'SERVER_ERROR', status: 500, message: error.message };
+  }
+
+  const row = Array.isArray(data) ? data[0] : data;
+  if (!row?.ok) {
+    const allowanceLeft = Math.max(limit - (row?.used_credits || 0), 0);
+    return {
+      error: 'QUOTA_EXCEEDED',
+      status: 402,
+      message: 'Quota exceeded',
+      credits_used: row?.used_credits,
+      credits_reserved: row?.held_credits,
+      credits_remaining: Math.max(allowanceLeft + (row?.pack_credits || 0) - (row?.held_credits || 0), 0),
+      total_limit: limit
+    };
+  }
+  return { jobId, credits_reserved: credits };
+}
+
+/**
+ * Record how much of a job's hold has been consumed and released.
+ * Counts are absolute, so replays of the same update are harmless.
+ */
+async function updateReservation(supabase, { jobId, consumed, released, settle = false }) {
+  const update = {
+    credits_consumed: consumed,
+    credits_released: released,
+    updated_at: new Date().toISOString()
+  };
+  if (settle) update.status = 'settled';
+
+  const { error } = await supabase
+    .from('credit_reservations')
+    .update(update)
+    .eq('job_id', jobId)
+    .eq('status', 'active');
+  if (error) return { error: 'SERVER_ERROR', status: 500, message: error.message };
+  return { success: true };
+}
+
+/**
+ * Release whatever a job did not consume, e.g. when it never reached the queue.
+ * `held` credits stay on the reservation, which then remains active.
+ */
+async function releaseReservation(supabase, { jobId, consumed = 0, held = 0 }) {
+  const { data, error } = await supabase
+    .from('credit_reservations')
+    .select('credits_reserved')
+    .eq('job_id', jobId)
+    .eq('status', 'active')
+    .maybeSingle();
+  if (error) return { error: 'SERVER_ERROR', status: 500, message: error.message };
+  if (!data) return { success: true };
+
+  return updateReservation(supabase, {
+    jobId,
+    consumed,
+    released: Math.max(data.credits_reserved - consumed - held, 0),
+    settle: held === 0
+  });
+}
+
+/**
+ * Job event listener that keeps a job's reservation in step with its record:
+ * generated alt texts convert held credits into usage, failed items and
+ * languages release theirs, and a finished job (completed, failed or cancelled) releases the rest.
+ * Credits for alt texts whose debit failed (`credits_unbilled`) are never
+ * counted as used; a job with any stays held until the reservation expires.
+ */
+function createReservationTracker(supabase) {
+  const pending = new Map();
+
+  function apply(jobId, event, record) {
+    const consumed = record.credits_used || 0;
+    if (event.type === 'completed') {
+      const held = record.credits_unbilled || 0;
+      if (held) {
+        logger.error('[quota] Keeping credits held for alt texts that were not debited', { jobId, credits: held });
+      }
+      return releaseReservation(supabase, { jobId, consumed, held });
+    }
+    if (event.type === 'item_completed' || event.type === 'item_failed') {
+      // Records from before per-language billing only track failed items.
+      const released = record.credits_released ?? record.failed ?? 0;
+      return updateReservation(supabase, { jobId, consumed, released });
+    }
+    return null;
+  }
+
+  // Updates for one job are applied in order so a stale count never lands last.
+  return function handleJobEvent(jobId, event, record) {
+    const previous = pending.get(jobId) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(() => apply(jobId, event, record))
+      .then((result) => {
+        if (result?.error) {
+          logger.error('[quota] Failed to update credit reservation', { jobId, error: result.message });
+        }
+      });
+    pending.set(jobId, next);
+    return next.finally(() => {
+      if (pending.get(jobId) === next) pending.delete(jobId);
+    });
+  };
+}
+
 function computePeriodStart(billingDay = 1, now = new Date()) {
   const day = Math.max(1, Math.min(31, Number(billingDay) || 1));
   const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), day, 0, 0, 0));
@@ -135,5 +440,14 @@ module.exports = {
   getQuotaStatus,
   checkQuotaAvailable,
   enforceQuota,
+  debitCredits,
+  addCreditUsage,
+  refundCredits,
+  getReservedCredits,
+  getCreditPacks,
+  reserveCredits,
+  updateReservation,
+  releaseReservation,
+  createReservationTracker,
   computePeriodStart
 };
@@ -1,4 +1,5 @@
 const { getLimits } = require('./license');
+const { hasFeature } = require('../lib/plans');
 
 async function createSite(supabase, { licenseKey, siteHash, siteUrl, siteName, fingerprint, plan }) {
   const { data, error } = await supabase
@@ -36,8 +37,8 @@ async function setSiteQuota(supabase, { licenseKey, siteHash, quotaLimit }) {
   if (!license) {
     return { error: 'INVALID_LICENSE', status: 401, message: 'License not found' };
   }
-  if (license.plan !== 'agency') {
-    return { error: 'PLAN_NOT_SUPPORTED', status: 403, message: 'Per-site quotas require agency plan' };
+  if (!hasFeature(license.plan, 'site_quotas')) {
+    return { error: 'PLAN_NOT_SUPPORTED', status: 403, message: 'Per-site quotas are not included in this plan' };
   }
 
   const { data, error } = await supabase
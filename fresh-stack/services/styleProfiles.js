@@ -0,0 +1,105 @@
+/**
+ * Style profile service
+ * Stored prompt rules (length, tone, keywords, banned words, instructions)
+ * per license, optionally limited to one site.
+ * All functions expect an injected Supabase client.
+ */
+
+const PROFILE_FIELDS = [
+  'name',
+  'min_words',
+  'max_words',
+  'max_chars',
+  'tone',
+  'keyword_policy',
+  'keywords',
+  'banned_words',
+  'instructions'
+];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function notFound() {
+  return { error: 'STYLE_PROFILE_NOT_FOUND', status: 404, message: 'Style profile not found' };
+}
+
+function pickFields(input) {
+  return Object.fromEntries(PROFILE_FIELDS.filter(field => input[field] !== undefined).map(field => [field, input[field]]));
+}
+
+/**
+ * Profiles visible to a site: its own plus the license-wide ones.
+ */
+async function listStyleProfiles(supabase, { licenseKey, siteHash }) {
+  const { data, error } = await supabase
+    .from('style_profiles')
+    .select('*')
+    .eq('license_key', licenseKey)
+    .order('created_at', { ascending: true });
+  if (error) return { error: 'SERVER_ERROR', status: 500, message: error.message };
+  return { profiles: (data || []).filter(profile => !profile.site_hash || profile.site_hash === siteHash) };
+}
+
+async function getStyleProfile(supabase, { licenseKey, siteHash, profileId }) {
+  if (!licenseKey || !UUID_PATTERN.test(profileId || '')) return notFound();
+  const { data, error } = await supabase
+    .from('style_profiles')
+    .select('*')
+    .eq('id', profileId)
+    .eq('license_key', licenseKey)
+    .maybeSingle();
+  if (error) return { error: 'SERVER_ERROR', status: 500, message: error.message };
+  if (!data || (data.site_hash && data.site_hash !== siteHash)) return notFound();
+  return { profile: data };
+}
+
+async function createStyleProfile(supabase, { licenseKey, siteHash = null, ...input }) {
+  const { data, error } = await supabase
+    .from('style_profiles')
+    .insert({ ...pickFields(input), license_key: licenseKey, site_hash: siteHash })
+    .select()
+    .single();
+  if (error) return { error: 'SERVER_ERROR', status: 500, message: error.message };
+  return { profile: data };
+}
+
+async function updateStyleProfile(supabase, { licenseKey, siteHash, profileId, ...input }) {
+  const current = await getStyleProfile(supabase, { licenseKey, siteHash, profileId });
+  if (current.error) return current;
+
+  const merged = { ...current.profile, ...pickFields(input) };
+  if (merged.min_words != null && merged.max_words != null && merged.min_words > merged.max_words) {
+    return { error: 'INVALID_REQUEST', status: 400, message: 'min_words must not exceed max_words' };
+  }
+
+  const { data, error } = await supabase
+    .from('style_profiles')
+    .update({ ...pickFields(input), updated_at: new Date().toISOString() })
+    .eq('id', profileId)
+    .eq('license_key', licenseKey)
+    .select()
+    .single();
+  if (error) return { error: 'SERVER_ERROR', status: 500, message: error.message };
+  return { profile: data };
+}
+
+async function deleteStyleProfile(supabase, { licenseKey, siteHash, profileId }) {
+  const current = await getStyleProfile(supabase, { licenseKey, siteHash, profileId });
+  if (current.error) return current;
+
+  const { error } = await supabase
+    .from('style_profiles')
+    .delete()
+    .eq('id', profileId)
+    .eq('license_key', licenseKey);
+  if (error) return { error: 'SERVER_ERROR', status: 500, message: error.message };
+  return { success: true };
+}
+
+module.exports = {
+  listStyleProfiles,
+  getStyleProfile,
+  createStyleProfile,
+  updateStyleProfile,
+  deleteStyleProfile
+};
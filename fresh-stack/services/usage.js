@@ -1,8 +1,11 @@
-const { computePeriodStart } = require('./quota');
+const { computePeriodStart, addCreditUsage } = require('./quota');
 const logger = require('../lib/logger');
 
 /**
- * Record usage with per-user and per-site tracking.
+ * Record usage with per-user and per-site tracking. Pass `debited` when the
+ * credits were already taken with debitCredits before the model call.
+ * `billed` in the result is false when credits that should count toward the
+ * quota were not debited.
  */
 async function recordUsage(supabase, {
   licenseKey,
@@ -22,7 +25,8 @@ async function recordUsage(supabase, {
   pluginVersion,
   endpoint = 'api/alt-text',
   status = 'success',
-  errorMessage = null
+  errorMessage = null,
+  debited = false
 }) {
   const payload = {
     license_key: licenseKey,
@@ -58,74 +62,21 @@ async function recordUsage(supabase, {
     logger.info('[usage] Usage log inserted successfully');
   }
 
-  // Update quota summary for this period
-  if (!error && licenseKey) {
-    logger.debug('[usage] Updating quota summary', { licenseKey: `${licenseKey.substring(0, 8)}...` });
-    await updateQuotaSummary(supabase, licenseKey, creditsUsed, siteHash);
+  // Count toward this period's quota; failed and unbilled requests do not count.
+  let billed = true;
+  if (licenseKey && creditsUsed > 0 && !debited) {
+    billed = false;
+    if (!error) {
+      const result = await addCreditUsage(supabase, { licenseKey, siteHash, credits: creditsUsed });
+      if (result.error) {
+        logger.error('[usage] Failed to update quota summary', { error: result.message });
+      } else {
+        billed = true;
+      }
+    }
   }
 
-  return { error };
-}
-
-/**
- * Update quota summary for current period (upsert).
- */
-async function updateQuotaSummary(supabase, licenseKey, creditsUsed, siteHash) {
-  // Get license to find billing day
-  const { data: license } = await supabase
-    .from('licenses')
-    .select('billing_day_of_month, plan')
-    .eq('license_key', licenseKey)
-    .single();
-
-  if (!license) return;
-
-  const billingDay = license.billing_day_of_month || 1;
-  const periodStart = computePeriodStart(billingDay, new Date());
-  const periodEnd = new Date(periodStart);
-  periodEnd.setMonth(periodEnd.getMonth() + 1);
-
-  // Get current limits
-  const { getLimits } = require('./license');
-  const limits = getLimits(license.plan);
-  const totalLimit = limits.credits;
-
-  // Check if summary exists
-  const { data: existing } = await supabase
-    .from('quota_summaries')
-    .select('*')
-    .eq('license_key', licenseKey)
-    .eq('period_start', periodStart.toISOString())
-    .maybeSingle();
-
-  if (existing) {
-    // Update existing summary
-    const newTotalCredits = (existing.total_credits_used || 0) + creditsUsed;
-    const siteUsage = existing.site_usage || {};
-    siteUsage[siteHash] = (siteUsage[siteHash] || 0) + creditsUsed;
-
-    await supabase
-      .from('quota_summaries')
-      .update({
-        total_credits_used: newTotalCredits,
-        site_usage: siteUsage,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', existing.id);
-  } else {
-    // Create new summary
-    const siteUsage = { [siteHash]: creditsUsed };
-    await supabase
-      .from('quota_summaries')
-      .insert({
-        license_key: licenseKey,
-        period_start: periodStart.toISOString(),
-        period_end: periodEnd.toISOString(),
-        total_credits_used: creditsUsed,
-        total_limit: totalLimit,
-        site_usage: siteUsage
-      });
-  }
+  return { error, billed };
 }
 
 /**
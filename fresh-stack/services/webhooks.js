@@ -0,0 +1,96 @@
+/**
+ * Webhook service
+ * Per-license webhook endpoint and signing secret.
+ * All functions expect an injected Supabase client.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const { isBlockedAddress } = require('../lib/imageFetch');
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Callbacks must be https in production so payloads are not sent in clear text.
+ * Loopback, private and link-local hosts are refused here; hostnames that
+ * resolve to them are refused again when a delivery connects.
+ */
+function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return 'Webhook URL is not a valid URL';
+  }
+  const allowHttp = process.env.NODE_ENV !== 'production';
+  if (parsed.protocol !== 'https:' && !(allowHttp && parsed.protocol === 'http:')) {
+    return 'Webhook URL must use https';
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isBlockedAddress(host))) {
+    return 'Webhook URL must not point to a private address';
+  }
+  return null;
+}
+
+async function getLicenseWebhook(supabase, licenseKey) {
+  const { data, error } = await supabase
+    .from('licenses')
+    .select('webhook_url, webhook_secret')
+    .eq('license_key', licenseKey)
+    .single();
+  if (error || !data) return { error: 'INVALID_LICENSE', status: 401, message: 'License not found' };
+  return { url: data.webhook_url || null, secret: data.webhook_secret || null };
+}
+
+/**
+ * Return the license signing secret, creating one on first use.
+ */
+async function ensureWebhookSecret(supabase, licenseKey) {
+  const current = await getLicenseWebhook(supabase, licenseKey);
+  if (current.error) return current;
+  if (current.secret) return current;
+
+  const secret = generateWebhookSecret();
+  const { error } = await supabase
+    .from('licenses')
+    .update({ webhook_secret: secret })
+    .eq('license_key', licenseKey);
+  if (error) return { error: 'SERVER_ERROR', status: 500, message: error.message };
+  return { url: current.url, secret };
+}
+
+async function setLicenseWebhook(supabase, { licenseKey, url, rotateSecret = false }) {
+  const invalid = validateWebhookUrl(url);
+  if (invalid) return { error: 'INVALID_REQUEST', status: 400, message: invalid };
+
+  const current = await getLicenseWebhook(supabase, licenseKey);
+  if (current.error) return current;
+
+  const secret = rotateSecret || !current.secret ? generateWebhookSecret() : current.secret;
+  const { error } = await supabase
+    .from('licenses')
+    .update({ webhook_url: url, webhook_secret: secret })
+    .eq('license_key', licenseKey);
+  if (error) return { error: 'SERVER_ERROR', status: 500, message: error.message };
+  return { url, secret };
+}
+
+async function clearLicenseWebhook(supabase, { licenseKey }) {
+  const { error } = await supabase
+    .from('licenses')
+    .update({ webhook_url: null })
+    .eq('license_key', licenseKey);
+  if (error) return { error: 'SERVER_ERROR', status: 500, message: error.message };
+  return { success: true };
+}
+
+module.exports = {
+  validateWebhookUrl,
+  getLicenseWebhook,
+  ensureWebhookSecret,
+  setLicenseWebhook,
+  clearLicenseWebhook
+};
@@ -2,6 +2,9 @@ const express = require('express');
 const request = require('supertest');
 
 jest.mock('../../lib/openai', () => ({
+  OUTPUT_TYPES: jest.requireActual('../../lib/openai').OUTPUT_TYPES,
+  auditAltText: jest.fn(),
+  cacheVersion: jest.fn(() => 'v1'),
   generateAltText: jest.fn().mockResolvedValue({
     altText: 'mock alt',
     usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
@@ -9,6 +12,21 @@ jest.mock('../../lib/openai', () => ({
   })
 }));
 
+jest.mock('../../lib/imageFetch', () => ({
+  inlineRemoteImage: jest.fn(async (image) => ({
+    image: image.url ? { ...image, base64: 'aGVsbG8=', mime_type: 'image/jpeg' } : image,
+    fetched: Boolean(image.url)
+  }))
+}));
+
+jest.mock('../../lib/imageProcessing', () => ({
+  perceptualHash: jest.fn(async () => 'ffffffff00000000'),
+  normalizeImage: jest.fn(async (image) => ({
+    image,
+    sizes: { original: { width: 1024, height: 768 }, normalized: { width: 512, height: 384 } }
+  }))
+}));
+
 jest.mock('../../services/quota', () => ({
   enforceQuota: jest.fn().mockResolvedValue({
     plan_type: 'pro',
@@ -21,7 +39,9 @@ jest.mock('../../services/quota', () => ({
     credits_used: 0,
     credits_remaining: 1000,
     total_limit: 1000
-  })
+  }),
+  debitCredits: jest.fn(async (supabase, { licenseKey, siteHash, credits }) => ({ licenseKey, siteHash, credits })),
+  refundCredits: jest.fn().mockResolvedValue({ refunded: 0 })
 }));
 
 jest.mock('../../services/usage', () => ({
@@ -29,6 +49,12 @@ jest.mock('../../services/usage', () => ({
 }));
 
 const { createAltTextRouter } = require('../../routes/altText');
+const { createResultCache, tenantFor } = require('../../lib/resultCache');
+const { generateAltText, auditAltText, cacheVersion } = require('../../lib/openai');
+const { recordUsage } = require('../../services/usage');
+const { debitCredits, refundCredits } = require('../../services/quota');
+const { inlineRemoteImage } = require('../../lib/imageFetch');
+const { perceptualHash } = require('../../lib/imageProcessing');
 
 /**
  * Creates a chainable mock that supports all Supabase query methods.
@@ -71,7 +97,7 @@ describe('POST /api/alt-text', () => {
     app.use('/api/alt-text', createAltTextRouter({
       supabase: createSupabaseMock(),
       redis: null,
-      resultCache: new Map(),
+      resultCache: createResultCache({ redis: null }),
       checkRateLimit: async () => true,
       getSiteFromHeaders: async () => ({ quota: 50, used: 0, remaining: 50 })
     }));
@@ -85,7 +111,7 @@ describe('POST /api/alt-text', () => {
     app.use('/api/alt-text', createAltTextRouter({
       supabase: createSupabaseMock(),
       redis: null,
-      resultCache: new Map(),
+      resultCache: createResultCache({ redis: null }),
       checkRateLimit: async () => true,
       getSiteFromHeaders: async () => ({ quota: 50, used: 0, remaining: 50 })
     }));
@@ -94,5 +120,554 @@ describe('POST /api/alt-text', () => {
     });
     expect(res.status).toBe(200);
     expect(res.body.altText).toBe('mock alt');
+    expect(res.body.image.normalized).toEqual({ width: 512, height: 384 });
+  });
+
+  test('caches URL images by their fetched bytes', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache: createResultCache({ redis: null }),
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => ({ quota: 50, used: 0, remaining: 50 })
+    }));
+    generateAltText.mockClear();
+    const body = { image: { url: 'https://staging.example.com/img.jpg' } };
+    await request(app).post('/api/alt-text').send(body);
+    const res = await request(app).post('/api/alt-text').send(body);
+    expect(res.body.cached).toBe(true);
+    expect(generateAltText).toHaveBeenCalledTimes(1);
+    expect(generateAltText.mock.calls[0][0].image.base64).toBe('aGVsbG8=');
+  });
+
+  test('rejects blocked image URLs', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache: createResultCache({ redis: null }),
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => ({ quota: 50, used: 0, remaining: 50 })
+    }));
+    const err = Object.assign(new Error('Image URL points to a private address'), { code: 'IMAGE_URL_BLOCKED', status: 400 });
+    inlineRemoteImage.mockRejectedValueOnce(err);
+    const res = await request(app).post('/api/alt-text').send({ image: { url: 'http://169.254.169.254/latest' } });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('IMAGE_URL_BLOCKED');
+  });
+
+  test('surfaces generation failures without billing or caching them', async () => {
+    const resultCache = createResultCache({ redis: null });
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache,
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => ({ quota: 50, used: 0, remaining: 50 })
+    }));
+    recordUsage.mockClear();
+    const err = Object.assign(new Error('openai: Rate limit reached'), { code: 'GENERATION_FAILED', status: 502, retryable: true });
+    generateAltText.mockRejectedValueOnce(err);
+
+    const res = await request(app).post('/api/alt-text').send({ image: { base64: 'aGVsbG8=' } });
+
+    expect(res.status).toBe(502);
+    expect(res.body).toMatchObject({ code: 'GENERATION_FAILED', retryable: true });
+    expect(res.body.altText).toBeUndefined();
+    expect(recordUsage.mock.calls[0][1]).toMatchObject({ creditsUsed: 0, status: 'error' });
+    expect(resultCache.size).toBe(0);
+  });
+
+  test('generates and bills one alt text per requested language', async () => {
+    const resultCache = createResultCache({ redis: null });
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache,
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => ({ quota: 50, used: 0, remaining: 50 })
+    }));
+    generateAltText.mockClear();
+    recordUsage.mockClear();
+    generateAltText.mockImplementation(async ({ language }) => ({
+      altText: `alt ${language}`,
+      usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
+      meta: { modelUsed: 'mock', generation_time_ms: 1 }
+    }));
+
+    const body = { image: { base64: 'aGVsbG8=' }, language: ['de-de', 'ja'] };
+    const res = await request(app).post('/api/alt-text').send(body);
+
+    expect(res.status).toBe(200);
+    expect(res.body.altText).toBe('alt de-DE');
+    expect(res.body.alt_texts).toEqual({ 'de-DE': 'alt de-DE', ja: 'alt ja' });
+    expect(res.body.credits_used).toBe(2);
+    expect(res.body.usage.total_tokens).toBe(4);
+    expect(recordUsage.mock.calls.map(call => call[1].creditsUsed)).toEqual([1, 1]);
+
+    // A later request only pays for the languages that are not cached yet.
+    const again = await request(app).post('/api/alt-text').send({ ...body, language: ['ja', 'fr'] });
+    expect(again.body.alt_texts).toEqual({ ja: 'alt ja', fr: 'alt fr' });
+    expect(again.body.credits_used).toBe(1);
+    expect(generateAltText).toHaveBeenCalledTimes(3);
+    generateAltText.mockReset();
+    generateAltText.mockResolvedValue({
+      altText: 'mock alt',
+      usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
+      meta: { modelUsed: 'mock', generation_time_ms: 1 }
+    });
+  });
+
+  test('debits before the model call and refunds languages that fail', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache: createResultCache({ redis: null }),
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => ({ quota: 50, used: 0, remaining: 50 })
+    }));
+    debitCredits.mockClear();
+    refundCredits.mockClear();
+    recordUsage.mockClear();
+    generateAltText.mockRejectedValueOnce(Object.assign(new Error('timeout'), { retryable: true }));
+
+    const res = await request(app)
+      .post('/api/alt-text')
+      .set('X-License-Key', 'key')
+      .send({ image: { base64: 'aGVsbG8=' }, language: ['de', 'fr'] });
+
+    expect(res.status).toBe(200);
+    expect(debitCredits.mock.calls[0][1]).toMatchObject({ licenseKey: 'key', credits: 2 });
+    expect(refundCredits).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ credits: 2 }), 1);
+    expect(recordUsage.mock.calls.find(call => call[1].creditsUsed === 1)[1].debited).toBe(true);
+  });
+
+  test('returns 402 without calling the model when the debit is refused', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache: createResultCache({ redis: null }),
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => ({ quota: 50, used: 0, remaining: 50 })
+    }));
+    generateAltText.mockClear();
+    debitCredits.mockRejectedValueOnce(Object.assign(new Error('Quota exceeded'), {
+      code: 'QUOTA_EXCEEDED',
+      status: 402,
+      payload: { credits_used: 1000, total_limit: 1000 }
+    }));
+
+    const res = await request(app).post('/api/alt-text').set('X-License-Key', 'key').send({ image: { base64: 'aGVsbG8=' } });
+
+    expect(res.status).toBe(402);
+    expect(res.body).toMatchObject({ code: 'QUOTA_EXCEEDED', credits_used: 1000 });
+    expect(generateAltText).not.toHaveBeenCalled();
+  });
+
+  test('rejects malformed language tags', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache: createResultCache({ redis: null }),
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => ({ quota: 50, used: 0, remaining: 50 })
+    }));
+    const res = await request(app).post('/api/alt-text').send({ image: { base64: 'aGVsbG8=' }, language: 'not a tag' });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_LANGUAGE');
+  });
+
+  test('applies the selected style profile and keys the cache on it', async () => {
+    const profile = {
+      id: '6f1c2a9e-4b7d-4c1e-9a3f-2d8e5b7c1a04',
+      license_key: 'key',
+      site_hash: null,
+      keyword_policy: 'avoid',
+      updated_at: '2026-01-01T00:00:00Z'
+    };
+    const resultCache = createResultCache({ redis: null });
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: { from: table => createChainableMock(table === 'style_profiles' ? profile : null) },
+      redis: null,
+      resultCache,
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => ({ quota: 50, used: 0, remaining: 50 })
+    }));
+    generateAltText.mockClear();
+
+    await request(app).post('/api/alt-text').set('X-License-Key', 'key').send({ image: { base64: 'aGVsbG8=' } });
+    const res = await request(app)
+      .post('/api/alt-text')
+      .set('X-License-Key', 'key')
+      .send({ image: { base64: 'aGVsbG8=' }, profile_id: profile.id });
+
+    expect(res.status).toBe(200);
+    expect(res.body.cached).toBeUndefined();
+    expect(generateAltText).toHaveBeenCalledTimes(2);
+    expect(generateAltText.mock.calls[1][0].profile).toMatchObject({ id: profile.id, keyword_policy: 'avoid' });
+  });
+
+  test('returns 404 for an unknown style profile', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache: createResultCache({ redis: null }),
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => ({ quota: 50, used: 0, remaining: 50 })
+    }));
+    const res = await request(app)
+      .post('/api/alt-text')
+      .set('X-License-Key', 'key')
+      .send({ image: { base64: 'aGVsbG8=' }, profile_id: '6f1c2a9e-4b7d-4c1e-9a3f-2d8e5b7c1a04' });
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('STYLE_PROFILE_NOT_FOUND');
+  });
+
+  test('bills each requested output and caches per output set', async () => {
+    const resultCache = createResultCache({ redis: null });
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache,
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => ({ quota: 50, used: 0, remaining: 50 })
+    }));
+    generateAltText.mockClear();
+    generateAltText.mockImplementationOnce(async ({ outputs }) => ({
+      altText: 'Bar chart of sales',
+      outputs: { alt: 'Bar chart of sales', long_description: 'Sales rise each quarter.', caption: 'Sales in 2025.' },
+      usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
+      meta: { modelUsed: 'mock', generation_time_ms: 1, requested: outputs }
+    }));
+
+    const body = { image: { base64: 'Y2hhcnQ=' }, outputs: ['caption', 'alt', 'long_description'] };
+    const res = await request(app).post('/api/alt-text').send(body);
+
+    expect(res.status).toBe(200);
+    expect(generateAltText.mock.calls[0][0].outputs).toEqual(['alt', 'long_description', 'caption']);
+    expect(res.body.credits_used).toBe(3);
+    expect(res.body.outputs.long_description).toBe('Sales rise each quarter.');
+
+    const same = await request(app).post('/api/alt-text').send({ ...body, outputs: ['alt', 'caption', 'long_description'] });
+    expect(same.body.cached).toBe(true);
+    expect(same.body.outputs.caption).toBe('Sales in 2025.');
+
+    const altOnly = await request(app).post('/api/alt-text').send({ image: body.image });
+    expect(altOnly.body.cached).toBeUndefined();
+    expect(generateAltText).toHaveBeenCalledTimes(2);
+  });
+
+  test('recommends an empty alt for decorative images', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache: createResultCache({ redis: null }),
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => ({ quota: 50, used: 0, remaining: 50 })
+    }));
+    generateAltText.mockClear();
+    generateAltText.mockResolvedValueOnce({
+      altText: 'Blue wave divider',
+      classification: { type: 'decorative', confidence: 0.92 },
+      usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
+      meta: { modelUsed: 'mock', generation_time_ms: 1 }
+    });
+
+    const res = await request(app).post('/api/alt-text').send({
+      image: { base64: 'ZGl2aWRlcg==' },
+      context: { adjacentText: 'Pricing', linkTarget: 'https://example.com/pricing' }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.classification).toEqual({ type: 'decorative', confidence: 0.92 });
+    expect(res.body.recommended_alt).toBe('');
+    expect(res.body.altText).toBe('Blue wave divider');
+    expect(generateAltText.mock.calls[0][0]).toMatchObject({
+      classify: true,
+      context: { adjacentText: 'Pricing', linkTarget: 'https://example.com/pricing' }
+    });
+  });
+
+  test('reuses results for near-duplicate images within one license only', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache: createResultCache({ redis: null }),
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => ({ quota: 50, used: 0, remaining: 50 })
+    }));
+    generateAltText.mockClear();
+    // The thumbnail's hash differs from the full-size upload's by two bits.
+    perceptualHash.mockResolvedValueOnce('ffffffff00000000').mockResolvedValueOnce('ffffffff00000003');
+
+    const first = await request(app).post('/api/alt-text').set('X-License-Key', 'key-a').send({ image: { base64: 'ZnVsbA==' } });
+    expect(first.body.cached).toBeUndefined();
+
+    const thumbnail = await request(app).post('/api/alt-text').set('X-License-Key', 'key-a').send({ image: { base64: 'dGh1bWI=' } });
+    expect(thumbnail.body).toMatchObject({ altText: 'mock alt', cached: true, match: 'perceptual', match_distance: 2 });
+    expect(generateAltText).toHaveBeenCalledTimes(1);
+
+    const exact = await request(app).post('/api/alt-text').set('X-License-Key', 'key-a').send({ image: { base64: 'ZnVsbA==' } });
+    expect(exact.body).toMatchObject({ cached: true, match: 'exact' });
+
+    // Another license sending the same bytes gets its own generation.
+    const other = await request(app).post('/api/alt-text').set('X-License-Key', 'key-b').send({ image: { base64: 'ZnVsbA==' } });
+    expect(other.body.cached).toBeUndefined();
+    expect(generateAltText).toHaveBeenCalledTimes(2);
+  });
+
+  test('keys the cache on the prompt and model version', async () => {
+    const resultCache = createResultCache({ redis: null });
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache,
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => ({ quota: 50, used: 0, remaining: 50 })
+    }));
+    generateAltText.mockClear();
+
+    await request(app).post('/api/alt-text').send({ image: { base64: 'aGVsbG8=' } });
+    cacheVersion.mockReturnValueOnce('v2');
+    const res = await request(app).post('/api/alt-text').send({ image: { base64: 'aGVsbG8=' } });
+
+    expect(res.body.cached).toBeUndefined();
+    expect(generateAltText).toHaveBeenCalledTimes(2);
+    expect(resultCache.size).toBe(2);
+  });
+});
+
+describe('DELETE /api/alt-text/cache', () => {
+  function createApp(resultCache) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache,
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => ({ quota: 50, used: 0, remaining: 50 })
+    }));
+    return app;
+  }
+
+  async function generate(app, { license = 'key', site = 'blog', base64 = 'aGVsbG8=' } = {}) {
+    return request(app).post('/api/alt-text').set('X-License-Key', license).set('X-Site-Key', site).send({ image: { base64 } });
+  }
+
+  test('purges one image by hash and counts hits and misses', async () => {
+    const resultCache = createResultCache({ redis: null });
+    const app = createApp(resultCache);
+    perceptualHash.mockResolvedValueOnce('ffffffff00000000').mockResolvedValueOnce('0000000000000000');
+    const first = await generate(app);
+    await generate(app, { base64: 'b3RoZXI=' });
+    expect((await generate(app)).body.cached).toBe(true);
+
+    const res = await request(app)
+      .delete('/api/alt-text/cache')
+      .query({ hash: first.body.image_hash })
+      .set('X-License-Key', 'key');
+
+    expect(res.body).toEqual({ deleted: 1, scope: 'hash' });
+    expect(resultCache.size).toBe(1);
+    expect((await generate(app)).body.cached).toBeUndefined();
+
+    expect(await resultCache.stats(tenantFor({ licenseKey: 'key' }))).toMatchObject({ hits: 1, misses: 3, exact_hits: 1 });
+  });
+
+  test('purges by site or everything for the license, never another license', async () => {
+    const resultCache = createResultCache({ redis: null });
+    const app = createApp(resultCache);
+    perceptualHash
+      .mockResolvedValueOnce('ffffffff00000000')
+      .mockResolvedValueOnce('0000000000000000')
+      .mockResolvedValueOnce('ffffffff00000000');
+    await generate(app, { site: 'blog' });
+    await generate(app, { site: 'shop', base64: 'b3RoZXI=' });
+    await generate(app, { license: 'other-key' });
+
+    const bySite = await request(app).delete('/api/alt-text/cache').query({ site: 'shop' }).set('X-License-Key', 'key');
+    expect(bySite.body).toEqual({ deleted: 1, scope: 'site' });
+    const all = await request(app).delete('/api/alt-text/cache').set('X-License-Key', 'key');
+    expect(all.body).toEqual({ deleted: 1, scope: 'license' });
+    expect(resultCache.size).toBe(1);
+  });
+
+  test('rejects malformed hashes', async () => {
+    const app = createApp(createResultCache({ redis: null }));
+    const res = await request(app).delete('/api/alt-text/cache').query({ hash: 'nope' }).set('X-License-Key', 'key');
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/alt-text streaming', () => {
+  function createApp(resultCache = createResultCache({ redis: null })) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache,
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => ({ quota: 50, used: 0, remaining: 50 })
+    }));
+    return app;
+  }
+
+  function parseEvents(text) {
+    return text.trim().split('\n\n').map((block) => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+    });
+  }
+
+  beforeEach(() => recordUsage.mockClear());
+
+  test('relays tokens, then bills and caches the finished text', async () => {
+    const resultCache = createResultCache({ redis: null });
+    generateAltText.mockImplementationOnce(async ({ onToken, classify }) => {
+      expect(classify).toBe(false);
+      onToken('Red ');
+      onToken('bicycle');
+      return { altText: 'Red bicycle', usage: { total_tokens: 5 }, meta: { modelUsed: 'mock', generation_time_ms: 1 } };
+    });
+
+    const res = await request(createApp(resultCache))
+      .post('/api/alt-text?stream=1')
+      .send({ image: { base64: 'c3RyZWFt' } });
+
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+    const events = parseEvents(res.text);
+    expect(events.map(e => e.event)).toEqual(['token', 'token', 'done']);
+    expect(events[2].data).toMatchObject({ altText: 'Red bicycle', credits_used: 1 });
+    expect(recordUsage.mock.calls[0][1]).toMatchObject({ creditsUsed: 1, status: 'success' });
+    expect(resultCache.size).toBe(1);
+  });
+
+  test('reports generation failures as an error event', async () => {
+    const err = Object.assign(new Error('openai: socket hang up'), { status: 502, retryable: true });
+    generateAltText.mockRejectedValueOnce(err);
+
+    const res = await request(createApp())
+      .post('/api/alt-text')
+      .set('Accept', 'text/event-stream')
+      .send({ image: { base64: 'ZmFpbA==' } });
+
+    expect(res.status).toBe(200);
+    expect(parseEvents(res.text)).toEqual([
+      { event: 'error', data: expect.objectContaining({ code: 'GENERATION_FAILED', retryable: true }) }
+    ]);
+    expect(recordUsage.mock.calls[0][1]).toMatchObject({ creditsUsed: 0, status: 'error' });
+  });
+
+  test('rejects streaming several languages', async () => {
+    const res = await request(createApp())
+      .post('/api/alt-text?stream=1')
+      .send({ image: { base64: 'aGVsbG8=' }, language: ['en', 'fr'] });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/alt-text/audit', () => {
+  function createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache: createResultCache({ redis: null }),
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => ({ quota: 50, used: 0, remaining: 50 })
+    }));
+    return app;
+  }
+
+  beforeEach(() => {
+    generateAltText.mockClear();
+    auditAltText.mockReset();
+  });
+
+  test('scores a file-name alt and suggests a replacement', async () => {
+    auditAltText.mockResolvedValueOnce({
+      accuracy: 10,
+      missingText: '',
+      classification: { type: 'informative', confidence: 0.9 },
+      meta: { modelUsed: 'mock' }
+    });
+
+    const res = await request(createApp()).post('/api/alt-text/audit').send({
+      image: { base64: 'aGVsbG8=' },
+      alt: 'IMG_2034.jpg'
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.score).toBe(0);
+    expect(res.body.passed).toBe(false);
+    expect(res.body.issues.map(i => i.code)).toContain('FILENAME_AS_ALT');
+    expect(res.body.suggested_alt).toBe('mock alt');
+    expect(res.body.credits_used).toBe(2);
+    expect(auditAltText.mock.calls[0][0].altText).toBe('IMG_2034.jpg');
+  });
+
+  test('leaves good alt text alone', async () => {
+    auditAltText.mockResolvedValueOnce({
+      accuracy: 95,
+      missingText: '',
+      classification: { type: 'informative', confidence: 0.9 },
+      meta: { modelUsed: 'mock' }
+    });
+
+    const res = await request(createApp()).post('/api/alt-text/audit').send({
+      image: { base64: 'aGVsbG8=' },
+      alt: 'Red bicycle leaning against a brick wall at sunset'
+    });
+
+    expect(res.body).toMatchObject({ score: 95, passed: true, issues: [], credits_used: 1 });
+    expect(res.body.suggested_alt).toBeUndefined();
+    expect(generateAltText).not.toHaveBeenCalled();
+  });
+
+  test('audits and suggests in the requested language', async () => {
+    auditAltText.mockResolvedValueOnce({
+      accuracy: 10,
+      missingText: '',
+      classification: { type: 'informative', confidence: 0.9 },
+      meta: { modelUsed: 'mock' }
+    });
+
+    const res = await request(createApp()).post('/api/alt-text/audit').send({
+      image: { base64: 'aGVsbG8=' },
+      alt: 'IMG_2034.jpg',
+      language: 'fr'
+    });
+
+    expect(res.status).toBe(200);
+    expect(auditAltText.mock.calls[0][0].language).toBe('fr');
+    expect(generateAltText.mock.calls[0][0].language).toBe('fr');
   });
 });
@@ -0,0 +1,278 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_webhook';
+// Read by the plan catalog when lib/plans loads
+process.env.ALTTEXT_AI_STRIPE_PRICE_PRO = 'price_pro';
+process.env.ALTTEXT_AI_STRIPE_PRICE_AGENCY = 'price_agency';
+process.env.ALTTEXT_AI_STRIPE_PRICE_CREDITS = 'price_credits';
+
+jest.mock('../../lib/stripe', () => ({
+  ...jest.requireActual('../../lib/stripe'),
+  createCheckoutSession: jest.fn(async () => ({ id: 'cs_1', url: 'https://checkout.stripe.com/c/pay/cs_1' })),
+  createCustomer: jest.fn(async () => ({ id: 'cus_new' }))
+}));
+
+const { getStripe, createCheckoutSession, createCustomer } = require('../../lib/stripe');
+const { createBillingRouter, createBillingWebhookRouter } = require('../../routes/billing');
+
+const SECRET = 'whsec_test';
+
+// Records writes; `licenses` lookups resolve to `license`, claim_stripe_event to `claimed`.
+function createSupabase({ license = { license_key: 'lic-1' }, claimed = true, failWrites = false } = {}) {
+  const writes = [];
+  const supabase = {
+    writes,
+    rpc: jest.fn().mockResolvedValue({ data: claimed, error: null }),
+    from: (table) => {
+      let write = null;
+      const query = {
+        select: () => query,
+        eq: (column, value) => {
+          if (write) write.where = { [column]: value };
+          return query;
+        },
+        update: (values) => {
+          write = { table, op: 'update', values };
+          writes.push(write);
+          return query;
+        },
+        insert: (values) => {
+          write = { table, op: 'insert', values };
+          writes.push(write);
+          return query;
+        },
+        maybeSingle: () => Promise.resolve({ data: license, error: null }),
+        single: () => Promise.resolve({ data: write?.values || license, error: null }),
+        then: (resolve) => resolve({ data: null, error: failWrites && table !== 'stripe_events' ? { message: 'db down' } : null })
+      };
+      return query;
+    }
+  };
+  return supabase;
+}
+
+function createApp(supabase, stripe = getStripe()) {
+  const app = express();
+  app.use('/billing/webhook', createBillingWebhookRouter({
+    supabase,
+    getStripe: () => stripe,
+    webhookSecret: SECRET
+  }));
+  app.use(express.json());
+  return app;
+}
+
+function send(app, event, { secret = SECRET } = {}) {
+  const payload = JSON.stringify(event);
+  const signature = getStripe().webhooks.generateTestHeaderString({ payload, secret });
+  return request(app)
+    .post('/billing/webhook')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', signature)
+    .send(payload);
+}
+
+const event = (type, object, id = 'evt_1') => ({ id, type, data: { object } });
+const licenseWrites = supabase => supabase.writes.filter(w => w.table === 'licenses');
+const eventLog = supabase => supabase.writes.filter(w => w.table === 'stripe_events');
+
+describe('POST /billing/webhook', () => {
+  test('rejects payloads with a bad signature', async () => {
+    const supabase = createSupabase();
+    const res = await send(createApp(supabase), event('invoice.paid', {}), { secret: 'whsec_other' });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_SIGNATURE');
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+
+  test('upgrades the license on a completed subscription checkout', async () => {
+    const supabase = createSupabase();
+    const stripe = {
+      webhooks: getStripe().webhooks,
+      subscriptions: {
+        retrieve: jest.fn().mockResolvedValue({
+          id: 'sub_1',
+          current_period_end: 1767225600,
+          items: { data: [{ price: { id: 'price_agency' } }] }
+        })
+      }
+    };
+    const res = await send(createApp(supabase, stripe), event('checkout.session.completed', {
+      mode: 'subscription',
+      customer: 'cus_1',
+      subscription: 'sub_1',
+      metadata: { license_key: 'lic-1' }
+    }));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true, status: 'processed' });
+    expect(supabase.rpc).toHaveBeenCalledWith('claim_stripe_event', expect.objectContaining({ p_event_id: 'evt_1' }));
+    const [write] = licenseWrites(supabase);
+    expect(write.where).toEqual({ license_key: 'lic-1' });
+    expect(write.values).toMatchObject({
+      plan: 'agency',
+      stripe_customer_id: 'cus_1',
+      stripe_subscription_id: 'sub_1',
+      status: 'active'
+    });
+    expect(write.values.reset_date.toISOString()).toBe('2026-01-01T00:00:00.000Z');
+    expect(eventLog(supabase)[0].values).toMatchObject({ status: 'processed', license_key: 'lic-1' });
+  });
+
+  test('acknowledges duplicate deliveries without processing them again', async () => {
+    const supabase = createSupabase({ claimed: false });
+    const res = await send(createApp(supabase), event('customer.subscription.deleted', { id: 'sub_1', customer: 'cus_1' }));
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true, duplicate: true });
+    expect(supabase.writes).toHaveLength(0);
+  });
+
+  test('maps subscription status changes onto the license', async () => {
+    const supabase = createSupabase();
+    const res = await send(createApp(supabase), event('customer.subscription.updated', {
+      id: 'sub_1',
+      customer: 'cus_1',
+      status: 'unpaid',
+      current_period_end: 1767225600,
+      items: { data: [{ price: { id: 'price_pro' } }] },
+      metadata: {}
+    }));
+    expect(res.status).toBe(200);
+    expect(licenseWrites(supabase)[0].values).toMatchObject({ plan: 'pro', status: 'suspended' });
+  });
+
+  test('grants a credit pack on payment_intent.succeeded', async () => {
+    const supabase = createSupabase();
+    const res = await send(createApp(supabase), event('payment_intent.succeeded', {
+      id: 'pi_1',
+      amount_received: 1199,
+      latest_charge: 'ch_1',
+      metadata: { license_key: 'lic-1', credits: '100' }
+    }));
+    expect(res.status).toBe(200);
+    const pack = supabase.writes.find(w => w.table === 'credits');
+    expect(pack.values).toMatchObject({
+      license_key: 'lic-1',
+      credits_purchased: 100,
+      credits_remaining: 100,
+      price_paid: 1199,
+      stripe_payment_intent_id: 'pi_1',
+      stripe_charge_id: 'ch_1'
+    });
+  });
+
+  test('ignores payments that are not credit packs and retried invoice failures', async () => {
+    const supabase = createSupabase();
+    const app = createApp(supabase);
+    const payment = await send(app, event('payment_intent.succeeded', { id: 'pi_2', amount_received: 1499, metadata: {} }));
+    const failure = await send(app, event('invoice.payment_failed', {
+      subscription: 'sub_1',
+      customer: 'cus_1',
+      next_payment_attempt: 1767225600
+    }, 'evt_2'));
+
+    expect(payment.body.status).toBe('ignored');
+    expect(failure.body.status).toBe('ignored');
+    expect(licenseWrites(supabase)).toHaveLength(0);
+    expect(eventLog(supabase).map(w => w.values.status)).toEqual(['ignored', 'ignored']);
+  });
+
+  test('suspends the license once the last invoice retry fails', async () => {
+    const supabase = createSupabase();
+    const res = await send(createApp(supabase), event('invoice.payment_failed', {
+      subscription: 'sub_1',
+      customer: 'cus_1',
+      next_payment_attempt: null
+    }));
+    expect(res.body.status).toBe('processed');
+    expect(licenseWrites(supabase)[0].values).toEqual({ status: 'suspended' });
+  });
+
+  test('marks the event failed and returns 500 so Stripe retries', async () => {
+    const supabase = createSupabase({ failWrites: true });
+    const res = await send(createApp(supabase), event('customer.subscription.deleted', { id: 'sub_1', customer: 'cus_1', metadata: {} }));
+    expect(res.status).toBe(500);
+    expect(res.body.code).toBe('WEBHOOK_FAILED');
+    expect(eventLog(supabase)[0].values).toMatchObject({ status: 'failed', error: 'db down', processed_at: null });
+  });
+});
+
+describe('GET /billing/plans', () => {
+  test('lists the public plans of the catalog', async () => {
+    const app = express();
+    app.use('/billing', createBillingRouter({ supabase: createSupabase(), getStripe: () => null }));
+    const res = await request(app).get('/billing/plans');
+
+    expect(res.status).toBe(200);
+    expect(res.body.plans.map(plan => plan.id)).toEqual(['pro', 'agency', 'credits']);
+    expect(res.body.plans[1]).toMatchObject({ quota: 10000, sites: 'unlimited', priceId: 'price_agency', interval: 'month' });
+    expect(res.body.plans[2]).toMatchObject({ quota: 100, sites: 'any', interval: 'one-time' });
+  });
+});
+
+describe('POST /billing/checkout', () => {
+  function createCheckoutApp(supabase, license) {
+    const app = express();
+    app.use(express.json());
+    app.use((req, _res, next) => {
+      req.license = license;
+      next();
+    });
+    app.use('/billing', createBillingRouter({ supabase, getStripe: () => ({}) }));
+    return app;
+  }
+
+  const license = { license_key: 'lic-1', email: 'owner@example.com', stripe_customer_id: null };
+
+  beforeEach(() => {
+    createCheckoutSession.mockClear();
+    createCustomer.mockClear();
+  });
+
+  test('creates a customer for the license and a subscription session for plans', async () => {
+    const supabase = createSupabase();
+    const res = await request(createCheckoutApp(supabase, license))
+      .post('/billing/checkout')
+      .set('X-Site-Key', 'site-1')
+      .send({ priceId: 'price_agency' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, sessionId: 'cs_1' });
+    expect(createCustomer).toHaveBeenCalledWith({ email: 'owner@example.com', metadata: { license_key: 'lic-1' } });
+    expect(licenseWrites(supabase)[0]).toMatchObject({ values: { stripe_customer_id: 'cus_new' }, where: { license_key: 'lic-1' } });
+    expect(createCheckoutSession).toHaveBeenCalledWith(expect.objectContaining({
+      priceId: 'price_agency',
+      mode: 'subscription',
+      customerId: 'cus_new',
+      clientReferenceId: 'lic-1',
+      metadata: { license_key: 'lic-1', site_id: 'site-1', plan: 'agency' }
+    }));
+  });
+
+  test('reuses the stored customer and uses payment mode for credit packs', async () => {
+    const supabase = createSupabase();
+    const res = await request(createCheckoutApp(supabase, { ...license, stripe_customer_id: 'cus_1' }))
+      .post('/billing/checkout')
+      .set('X-Site-Key', 'site-1')
+      .send({ priceId: 'price_credits' });
+
+    expect(res.status).toBe(200);
+    expect(createCustomer).not.toHaveBeenCalled();
+    expect(createCheckoutSession).toHaveBeenCalledWith(expect.objectContaining({
+      mode: 'payment',
+      customerId: 'cus_1',
+      metadata: { license_key: 'lic-1', site_id: 'site-1', plan: 'credits', credits: '100' }
+    }));
+  });
+
+  test('requires a license', async () => {
+    const res = await request(createCheckoutApp(createSupabase(), undefined))
+      .post('/billing/checkout')
+      .set('X-Site-Key', 'site-1')
+      .send({ priceId: 'price_pro' });
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_LICENSE');
+    expect(createCheckoutSession).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,146 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { createQueue } = require('../../lib/queue');
+const { createJobEventBus } = require('../../lib/jobEvents');
+const { createJobsRouter } = require('../../routes/jobs');
+
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(chunk => chunk.startsWith('event:'))
+    .map(chunk => {
+      const [eventLine, dataLine] = chunk.split('\n');
+      return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+    });
+}
+
+describe('GET /api/jobs/:jobId/events', () => {
+  // Callers authenticate with the shared API token unless `auth` says otherwise.
+  function createApp(auth = { authMethod: 'api_token' }) {
+    const queue = createQueue({ redis: null, jobHandler: async () => {} });
+    const bus = createJobEventBus({ redis: null });
+    queue.onJobEvent(bus.publish);
+    const app = express();
+    app.use((req, _res, next) => {
+      Object.assign(req, auth);
+      next();
+    });
+    app.use('/api/jobs', createJobsRouter({
+      getJobRecord: queue.getJobRecord,
+      subscribeJobEvents: bus.subscribe
+    }));
+    return { app, queue };
+  }
+
+  test('streams progress and item events until the job completes', async () => {
+    const { app, queue } = createApp();
+    const record = { status: 'running', results: [], errors: [], total: 1, completed: 0, failed: 0 };
+    await queue.setJobRecord('job-1', record);
+
+    // Drive the job once the stream has sent its initial snapshot.
+    async function runJob() {
+      record.completed = 1;
+      await queue.setJobRecord('job-1', record, { type: 'item_completed', item: { id: 'a', altText: 'alt' } });
+      record.status = 'completed';
+      await queue.setJobRecord('job-1', record, { type: 'completed' });
+    }
+
+    const res = await request(app).get('/api/jobs/job-1/events').buffer(true).parse((r, cb) => {
+      let text = '';
+      r.on('data', chunk => {
+        if (!text) runJob();
+        text += chunk;
+      });
+      r.on('end', () => cb(null, text));
+    });
+
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+    const events = parseEvents(res.body);
+    expect(events.map(e => e.event)).toEqual(['progress', 'item_completed', 'progress', 'completed']);
+    expect(events[1].data.item.id).toBe('a');
+    expect(events[3].data.status).toBe('completed');
+  });
+
+  test('returns 404 for unknown jobs', async () => {
+    const { app } = createApp();
+    const res = await request(app).get('/api/jobs/missing/events');
+    expect(res.status).toBe(404);
+  });
+
+  test('hides jobs created without a license from license callers', async () => {
+    const { app, queue } = createApp({ authMethod: 'license', license: { id: 'lic-1' } });
+    await queue.setJobRecord('job-1', { status: 'completed', licenseId: null });
+    await queue.setJobRecord('job-2', { status: 'completed', licenseId: 'lic-1' });
+
+    expect((await request(app).get('/api/jobs/job-1/events')).status).toBe(404);
+    const own = await request(app).get('/api/jobs/job-2/events').buffer(true).parse((r, cb) => {
+      let text = '';
+      r.on('data', chunk => { text += chunk; });
+      r.on('end', () => cb(null, text));
+    });
+    expect(own.status).toBe(200);
+  });
+
+  test('unsubscribes a client that disconnects before the subscription is ready', async () => {
+    const queue = createQueue({ redis: null, jobHandler: async () => {} });
+    await queue.setJobRecord('job-1', { status: 'running', results: [], errors: [], total: 1, completed: 0, failed: 0 });
+    const unsubscribe = jest.fn(async () => {});
+    let ready;
+    const subscribed = new Promise(resolve => { ready = resolve; });
+    let clientGone;
+    const disconnected = new Promise(resolve => { clientGone = resolve; });
+    const app = express();
+    app.use((req, _res, next) => {
+      req.authMethod = 'api_token';
+      req.on('close', clientGone);
+      next();
+    });
+    app.use('/api/jobs', createJobsRouter({
+      getJobRecord: queue.getJobRecord,
+      subscribeJobEvents: () => subscribed
+    }));
+
+    const server = app.listen(0);
+    try {
+      await new Promise((resolve) => {
+        const req = http.get(`http://127.0.0.1:${server.address().port}/api/jobs/job-1/events`, () => {
+          req.destroy();
+          resolve();
+        });
+        req.on('error', () => {});
+      });
+      await disconnected;
+      ready(unsubscribe);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(unsubscribe).toHaveBeenCalledTimes(1);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('reports a failed subscription as an error event and ends the stream', async () => {
+    const queue = createQueue({ redis: null, jobHandler: async () => {} });
+    await queue.setJobRecord('job-1', { status: 'running', results: [], errors: [], total: 1, completed: 0, failed: 0 });
+    const app = express();
+    app.use((req, _res, next) => {
+      req.authMethod = 'api_token';
+      next();
+    });
+    app.use('/api/jobs', createJobsRouter({
+      getJobRecord: queue.getJobRecord,
+      subscribeJobEvents: async () => {
+        throw new Error('redis down');
+      }
+    }));
+
+    const res = await request(app).get('/api/jobs/job-1/events').buffer(true).parse((r, cb) => {
+      let text = '';
+      r.on('data', chunk => { text += chunk; });
+      r.on('end', () => cb(null, text));
+    });
+    expect(parseEvents(res.body)).toEqual([
+      { event: 'error', data: expect.objectContaining({ jobId: 'job-1', error: 'SERVER_ERROR' }) }
+    ]);
+  });
+});
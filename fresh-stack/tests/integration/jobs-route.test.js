@@ -0,0 +1,145 @@
+const express = require('express');
+const request = require('supertest');
+const { createQueue } = require('../../lib/queue');
+const { createJobsRouter } = require('../../routes/jobs');
+
+describe('job control routes', () => {
+  // No workers, so jobs stay where the test puts them.
+  function createApp(auth = { authMethod: 'api_token' }) {
+    const queue = createQueue({ redis: null, concurrency: 0, jobHandler: async () => {} });
+    const app = express();
+    app.use((req, _res, next) => {
+      Object.assign(req, auth);
+      next();
+    });
+    app.use('/api/jobs', createJobsRouter({
+      getJobRecord: queue.getJobRecord,
+      cancelJob: queue.cancelJob,
+      pauseJob: queue.pauseJob,
+      resumeJob: queue.resumeJob
+    }));
+    return { app, queue };
+  }
+
+  async function setStatus(queue, jobId, status) {
+    const record = await queue.getJobRecord(jobId);
+    record.status = status;
+    await queue.setJobRecord(jobId, record);
+  }
+
+  test('DELETE cancels a queued job before its next item', async () => {
+    const { app, queue } = createApp();
+    const jobId = await queue.createJob({ items: ['a'], licenseKey: 'lic' });
+
+    const res = await request(app).delete(`/api/jobs/${jobId}`);
+    expect(res.status).toBe(202);
+    expect(res.body).toEqual({ jobId, status: 'cancelling' });
+    expect(await queue.getJobControl(jobId)).toBe('cancel');
+  });
+
+  test('DELETE cancels a paused job at once', async () => {
+    const { app, queue } = createApp();
+    const jobId = await queue.createJob({ items: ['a'], licenseKey: 'lic' });
+    await setStatus(queue, jobId, 'paused');
+    await queue.parkJob({ jobId, items: ['a'], licenseKey: 'lic' });
+
+    const res = await request(app).delete(`/api/jobs/${jobId}`);
+    expect(res.status).toBe(202);
+    expect(res.body.status).toBe('cancelled');
+    expect((await queue.getJobRecord(jobId)).status).toBe('cancelled');
+  });
+
+  test('pause then resume round-trips through the routes', async () => {
+    const { app, queue } = createApp();
+    const jobId = await queue.createJob({ items: ['a'], licenseKey: 'lic' });
+
+    const paused = await request(app).post(`/api/jobs/${jobId}/pause`);
+    expect(paused.status).toBe(202);
+    expect(paused.body).toEqual({ jobId, status: 'pausing' });
+
+    const resumed = await request(app).post(`/api/jobs/${jobId}/resume`);
+    expect(resumed.status).toBe(202);
+    expect(resumed.body).toEqual({ jobId, status: 'queued' });
+    expect(await queue.getJobControl(jobId)).toBeNull();
+  });
+
+  test('reports an already paused job as paused', async () => {
+    const { app, queue } = createApp();
+    const jobId = await queue.createJob({ items: ['a'], licenseKey: 'lic' });
+    await setStatus(queue, jobId, 'paused');
+
+    const res = await request(app).post(`/api/jobs/${jobId}/pause`);
+    expect(res.body).toEqual({ jobId, status: 'paused' });
+  });
+
+  test.each([
+    ['DELETE /:jobId', 'delete', ''],
+    ['POST /:jobId/pause', 'post', '/pause'],
+    ['POST /:jobId/resume', 'post', '/resume']
+  ])('%s returns 404 for unknown jobs and 409 for finished ones', async (_route, method, path) => {
+    const { app, queue } = createApp();
+    expect((await request(app)[method](`/api/jobs/missing${path}`)).status).toBe(404);
+
+    const jobId = await queue.createJob({ items: ['a'], licenseKey: 'lic' });
+    await setStatus(queue, jobId, 'completed');
+    const res = await request(app)[method](`/api/jobs/${jobId}${path}`);
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ error: 'JOB_FINISHED', status: 'completed' });
+  });
+
+  test.each([
+    ['DELETE /:jobId', 'delete', ''],
+    ['POST /:jobId/pause', 'post', '/pause'],
+    ['POST /:jobId/resume', 'post', '/resume']
+  ])('%s hides other licenses\' jobs', async (_route, method, path) => {
+    const { app, queue } = createApp({ authMethod: 'license', license: { id: 'lic-1' } });
+    const other = await queue.createJob({ items: ['a'], licenseKey: 'lic', licenseId: 'lic-2' });
+    const own = await queue.createJob({ items: ['a'], licenseKey: 'lic', licenseId: 'lic-1' });
+
+    expect((await request(app)[method](`/api/jobs/${other}${path}`)).status).toBe(404);
+    expect(await queue.getJobControl(other)).toBeNull();
+    expect((await request(app)[method](`/api/jobs/${own}${path}`)).status).toBe(202);
+  });
+});
+
+describe('GET /api/jobs', () => {
+  function createApp(listJobs) {
+    const app = express();
+    app.use((req, _res, next) => {
+      req.authMethod = 'license';
+      req.license = { id: 'lic-1' };
+      next();
+    });
+    app.use('/api/jobs', createJobsRouter({ listJobs }));
+    return app;
+  }
+
+  test('pages through jobs with the returned cursor', async () => {
+    const queue = createQueue({ redis: null, concurrency: 0, jobHandler: async () => {} });
+    await queue.createJob({ items: ['a'], licenseKey: 'lic', licenseId: 'lic-1' });
+    await queue.createJob({ items: ['b'], licenseKey: 'lic', licenseId: 'lic-1' });
+    const app = createApp(queue.listJobs);
+
+    const first = await request(app).get('/api/jobs?limit=1');
+    expect(first.status).toBe(200);
+    expect(first.body.jobs).toHaveLength(1);
+    const second = await request(app).get(`/api/jobs?limit=1&cursor=${first.body.next_cursor}`);
+    expect(second.status).toBe(200);
+    expect(second.body.jobs[0].jobId).not.toBe(first.body.jobs[0].jobId);
+  });
+
+  test('rejects a malformed cursor without listing', async () => {
+    const listJobs = jest.fn();
+    const res = await request(createApp(listJobs)).get('/api/jobs?cursor=not-a-cursor');
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'INVALID_REQUEST', message: 'Invalid cursor', code: 'INVALID_REQUEST' });
+    expect(listJobs).not.toHaveBeenCalled();
+  });
+
+  test('returns SERVER_ERROR when the job index is unavailable', async () => {
+    const listJobs = jest.fn().mockRejectedValue(new Error('Connection is closed.'));
+    const res = await request(createApp(listJobs)).get('/api/jobs');
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ error: 'SERVER_ERROR', message: 'Failed to list jobs', code: 'SERVER_ERROR' });
+  });
+});
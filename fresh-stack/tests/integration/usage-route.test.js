@@ -1,6 +1,7 @@
 const express = require('express');
 const request = require('supertest');
 const { createUsageRouter } = require('../../routes/usage');
+const { createResultCache, tenantFor } = require('../../lib/resultCache');
 
 /**
  * Creates a chainable mock that supports all Supabase query methods.
@@ -60,3 +61,19 @@ describe('GET /usage/sites', () => {
     expect(res.body.plan_type).toBe('agency');
   });
 });
+
+describe('GET /usage', () => {
+  test('includes cache hit/miss stats for the license', async () => {
+    const resultCache = createResultCache({ redis: null });
+    resultCache.recordLookup(tenantFor({ licenseKey: 'key' }), 'exact');
+    resultCache.recordLookup(tenantFor({ licenseKey: 'key' }), 'miss');
+    resultCache.recordLookup(tenantFor({ licenseKey: 'other' }), 'miss');
+    const app = express();
+    app.use('/usage', createUsageRouter({ supabase: createSupabaseMock('pro'), resultCache }));
+
+    const res = await request(app).get('/usage').set('X-License-Key', 'key');
+
+    expect(res.status).toBe(200);
+    expect(res.body.cache).toEqual({ hits: 1, misses: 1, exact_hits: 1, perceptual_hits: 0, hit_rate: 0.5 });
+  });
+});
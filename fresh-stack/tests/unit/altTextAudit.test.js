@@ -0,0 +1,43 @@
+const { lintAltText, scoreAltText } = require('../../lib/altTextAudit');
+
+const codes = issues => issues.map(i => i.code);
+const review = (overrides = {}) => ({
+  accuracy: 90,
+  missingText: '',
+  classification: { type: 'informative', confidence: 0.9 },
+  ...overrides
+});
+
+describe('lintAltText', () => {
+  test('flags file names, camera names and the image file name', () => {
+    expect(codes(lintAltText('IMG_2034.jpg'))).toContain('FILENAME_AS_ALT');
+    expect(codes(lintAltText('DSC 0042'))).toContain('FILENAME_AS_ALT');
+    expect(codes(lintAltText('hero-banner-blue', { filename: 'hero_banner_blue.png' }))).toContain('FILENAME_AS_ALT');
+  });
+
+  test('flags generic words and redundant prefixes', () => {
+    expect(codes(lintAltText('Image'))).toEqual(['GENERIC_ALT']);
+    expect(codes(lintAltText('Picture of a red bicycle leaning on a wall'))).toEqual(['REDUNDANT_PREFIX']);
+  });
+
+  test('checks length in words, or characters for CJK', () => {
+    expect(codes(lintAltText('Red bicycle'))).toEqual(['TOO_SHORT']);
+    expect(codes(lintAltText('word '.repeat(40)))).toEqual(['TOO_LONG']);
+    expect(codes(lintAltText('赤い自転車がレンガの壁に立てかけられている', { language: 'ja' }))).toEqual([]);
+  });
+});
+
+describe('scoreAltText', () => {
+  test('penalises issues on top of the model accuracy', () => {
+    const result = scoreAltText('Image of a red bicycle leaning on a wall', review({ missingText: 'SALE' }));
+    expect(result.score).toBe(60);
+    expect(codes(result.issues)).toEqual(['REDUNDANT_PREFIX', 'MISSING_TEXT']);
+  });
+
+  test('accepts an empty alt on decorative images only', () => {
+    const decorative = review({ classification: { type: 'decorative', confidence: 0.95 } });
+    expect(scoreAltText('', decorative)).toEqual({ score: 100, issues: [] });
+    expect(codes(scoreAltText('', review()).issues)).toEqual(['EMPTY_ALT']);
+    expect(codes(scoreAltText('Blue wavy divider line between sections', decorative).issues)).toEqual(['DECORATIVE_WITH_ALT']);
+  });
+});
@@ -0,0 +1,71 @@
+const { Readable } = require('stream');
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+const axios = require('axios');
+const { fetchRemoteImage, isBlockedAddress, parseImageUrl, sniffImageType } = require('../../lib/imageFetch');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(16)]);
+
+function respond(status, body = Buffer.alloc(0), headers = {}) {
+  return { status, headers, data: Readable.from([body]) };
+}
+
+describe('SSRF guard', () => {
+  test('blocks private, loopback and metadata addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', '::ffff:7f00:1']
+      .forEach(address => expect(isBlockedAddress(address)).toBe(true));
+    expect(isBlockedAddress('93.184.216.34')).toBe(false);
+    expect(isBlockedAddress('2606:2800:220:1::')).toBe(false);
+  });
+
+  test('blocks IPv6 ranges that embed an IPv4 address', () => {
+    ['::', '::127.0.0.1', '::a9fe:a9fe', '64:ff9b::a9fe:a9fe', '2002:7f00:1::', '2002:a9fe:a9fe::1', '2001::1',
+      '2001:0:4136:e378:8000:63bf:3fff:fdd2']
+      .forEach(address => expect(isBlockedAddress(address)).toBe(true));
+  });
+
+  test('rejects other schemes and literal private hosts', () => {
+    expect(() => parseImageUrl('file:///etc/passwd')).toThrow('http or https');
+    expect(() => parseImageUrl('http://2130706433/')).toThrow('private address');
+    expect(parseImageUrl('https://example.com/a.png').hostname).toBe('example.com');
+  });
+});
+
+describe('sniffImageType', () => {
+  test('detects formats from magic bytes', () => {
+    expect(sniffImageType(PNG)).toBe('image/png');
+    expect(sniffImageType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('image/jpeg');
+    expect(sniffImageType(Buffer.from('GIF89a'))).toBe('image/gif');
+    expect(sniffImageType(Buffer.from('RIFF0000WEBPVP8 '))).toBe('image/webp');
+    expect(sniffImageType(Buffer.from('<html>'))).toBeNull();
+  });
+});
+
+describe('fetchRemoteImage', () => {
+  beforeEach(() => axios.get.mockReset());
+
+  test('follows redirects and uses the sniffed type over the header', async () => {
+    axios.get
+      .mockResolvedValueOnce(respond(302, undefined, { location: '/real.png' }))
+      .mockResolvedValueOnce(respond(200, PNG, { 'content-type': 'text/html' }));
+    const image = await fetchRemoteImage('https://example.com/a.jpg');
+    expect(axios.get.mock.calls[1][0]).toBe('https://example.com/real.png');
+    expect(image).toMatchObject({ mimeType: 'image/png', bytes: PNG.length, base64: PNG.toString('base64') });
+  });
+
+  test('refuses redirects into private networks', async () => {
+    axios.get.mockResolvedValueOnce(respond(301, undefined, { location: 'http://169.254.169.254/latest' }));
+    await expect(fetchRemoteImage('https://example.com/a.jpg')).rejects.toMatchObject({ code: 'IMAGE_URL_BLOCKED' });
+  });
+
+  test('enforces the size limit and rejects non-images', async () => {
+    axios.get.mockResolvedValueOnce(respond(200, Buffer.alloc(64)));
+    await expect(fetchRemoteImage('https://example.com/a.jpg', { maxBytes: 32 }))
+      .rejects.toMatchObject({ code: 'IMAGE_TOO_LARGE', status: 413 });
+
+    axios.get.mockResolvedValueOnce(respond(200, Buffer.from('<html></html>')));
+    await expect(fetchRemoteImage('https://example.com/a.jpg'))
+      .rejects.toMatchObject({ code: 'UNSUPPORTED_IMAGE_TYPE', status: 415 });
+  });
+});
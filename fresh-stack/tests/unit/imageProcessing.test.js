@@ -0,0 +1,76 @@
+const sharp = require('sharp');
+const { normalizeImage, perceptualHash } = require('../../lib/imageProcessing');
+const { hammingDistance } = require('../../lib/perceptualIndex');
+
+async function createImage(width, height, { format = 'png', orientation } = {}) {
+  let image = sharp({ create: { width, height, channels: 3, background: '#3366cc' } });
+  if (orientation) image = image.withMetadata({ orientation });
+  const buffer = await image.toFormat(format).toBuffer();
+  return buffer.toString('base64');
+}
+
+describe('normalizeImage', () => {
+  test('reads real dimensions and downscales to the max edge as JPEG', async () => {
+    const base64 = await createImage(2000, 1000);
+    const { image, sizes } = await normalizeImage({ base64, width: 10, height: 10, filename: 'a.png' });
+
+    expect(sizes.original).toMatchObject({ width: 2000, height: 1000, format: 'png' });
+    expect(sizes.normalized).toMatchObject({ width: 512, height: 256, format: 'jpeg' });
+    expect(image).toMatchObject({ width: 512, height: 256, mime_type: 'image/jpeg', filename: 'a.png' });
+    const meta = await sharp(Buffer.from(image.base64, 'base64')).metadata();
+    expect(meta.format).toBe('jpeg');
+  });
+
+  test('does not upscale small images and can emit WebP', async () => {
+    const base64 = await createImage(100, 50, { format: 'jpeg' });
+    const { sizes } = await normalizeImage({ base64 }, { format: 'webp' });
+    expect(sizes.normalized).toMatchObject({ width: 100, height: 50, format: 'webp' });
+  });
+
+  test('applies EXIF orientation', async () => {
+    const base64 = await createImage(200, 100, { format: 'jpeg', orientation: 6 });
+    const { sizes } = await normalizeImage({ base64 });
+    expect(sizes.original).toMatchObject({ width: 100, height: 200 });
+    expect(sizes.normalized).toMatchObject({ width: 100, height: 200 });
+  });
+
+  test('rejects data that is not an image', async () => {
+    await expect(normalizeImage({ base64: Buffer.from('not an image').toString('base64') }))
+      .rejects.toMatchObject({ code: 'INVALID_IMAGE', status: 400 });
+  });
+});
+
+describe('perceptualHash', () => {
+  async function waves(width, height, { phase = 0 } = {}) {
+    const pixels = Buffer.alloc(width * height * 3);
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        const value = Math.round(128 + 100 * Math.sin((x / width) * 3 * Math.PI + phase) * Math.cos((y / height) * 2 * Math.PI));
+        pixels.fill(value, (y * width + x) * 3, (y * width + x) * 3 + 3);
+      }
+    }
+    const buffer = await sharp(pixels, { raw: { width, height, channels: 3 } }).png().toBuffer();
+    return buffer.toString('base64');
+  }
+
+  test('gives resized and re-encoded copies nearly the same hash', async () => {
+    const base = await waves(800, 600);
+    const full = await perceptualHash({ base64: base });
+    const thumbnail = await sharp(Buffer.from(base, 'base64')).resize(300, 225).webp().toBuffer();
+    const copy = await perceptualHash({ base64: thumbnail.toString('base64') });
+
+    expect(full).toMatch(/^[0-9a-f]{16}$/);
+    expect(hammingDistance(full, copy)).toBeLessThanOrEqual(4);
+  });
+
+  test('tells different images apart', async () => {
+    const a = await perceptualHash({ base64: await waves(800, 600) });
+    const b = await perceptualHash({ base64: await waves(800, 600, { phase: Math.PI / 2 }) });
+    expect(hammingDistance(a, b)).toBeGreaterThan(10);
+  });
+
+  test('rejects data that is not an image', async () => {
+    await expect(perceptualHash({ base64: Buffer.from('nope').toString('base64') }))
+      .rejects.toMatchObject({ code: 'INVALID_IMAGE', status: 400 });
+  });
+});
@@ -0,0 +1,192 @@
+jest.mock('../../lib/openai', () => ({
+  generateAltText: jest.fn().mockResolvedValue({
+    altText: 'mock alt',
+    usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
+    meta: { modelUsed: 'mock', generation_time_ms: 1 }
+  })
+}));
+
+jest.mock('../../lib/imageFetch', () => ({
+  inlineRemoteImage: jest.fn(async (image) => ({
+    image: image.url ? { ...image, base64: 'aGVsbG8=', mime_type: 'image/jpeg' } : image,
+    fetched: Boolean(image.url)
+  }))
+}));
+
+jest.mock('../../lib/imageProcessing', () => ({
+  normalizeImage: jest.fn(async (image) => ({
+    image,
+    sizes: { original: { width: 1024, height: 768 }, normalized: { width: 512, height: 384 } }
+  }))
+}));
+
+jest.mock('../../services/usage', () => ({
+  recordUsage: jest.fn().mockResolvedValue({ error: null, billed: true })
+}));
+
+const { processJob } = require('../../services/jobs');
+const { recordUsage } = require('../../services/usage');
+const { generateAltText } = require('../../lib/openai');
+
+function createStore(record) {
+  const store = new Map([['job-1', record]]);
+  return {
+    getJobRecord: async (jobId) => store.get(jobId) || null,
+    setJobRecord: jest.fn(async (jobId, value) => {
+      store.set(jobId, value);
+    })
+  };
+}
+
+function createRecord(total) {
+  return { status: 'queued', results: [], errors: [], total, completed: 0, failed: 0 };
+}
+
+describe('processJob', () => {
+  beforeEach(() => recordUsage.mockClear());
+
+  test('generates alt text and records usage per item', async () => {
+    const store = createStore(createRecord(2));
+    const record = await processJob({}, {
+      job: {
+        jobId: 'job-1',
+        licenseKey: 'key',
+        siteKey: 'site',
+        items: [
+          { id: 'a', image: { url: 'https://example.com/a.jpg', width: 1, height: 1 } },
+          { id: 'b', image: { url: 'https://example.com/b.jpg', width: 1, height: 1 } }
+        ]
+      },
+      ...store
+    });
+    expect(record.status).toBe('completed');
+    expect(record.completed).toBe(2);
+    expect(record.results.map(r => r.id)).toEqual(['a', 'b']);
+    expect(record.results[0].altText).toBe('mock alt');
+    expect(recordUsage).toHaveBeenCalledTimes(2);
+    expect(recordUsage.mock.calls[0][1]).toMatchObject({ licenseKey: 'key', siteHash: 'site', endpoint: 'api/jobs' });
+  });
+
+  test('leaves a redelivered job that already finished alone', async () => {
+    const store = createStore({ ...createRecord(1), status: 'completed', completed: 1, results: [{ id: 'a', success: true }] });
+    const record = await processJob({}, {
+      job: { jobId: 'job-1', items: [{ id: 'a', image: { url: 'https://example.com/a.jpg' } }] },
+      ...store
+    });
+    expect(record.status).toBe('completed');
+    expect(store.setJobRecord).not.toHaveBeenCalled();
+    expect(recordUsage).not.toHaveBeenCalled();
+  });
+
+  test('marks job partial and skips usage for invalid items', async () => {
+    const store = createStore(createRecord(2));
+    const record = await processJob({}, {
+      job: {
+        jobId: 'job-1',
+        items: [
+          { id: 'good', image: { url: 'https://example.com/a.jpg', width: 1, height: 1 } },
+          { id: 'bad', image: {} }
+        ]
+      },
+      ...store
+    });
+    expect(record.status).toBe('partial');
+    expect(record.failed).toBe(1);
+    expect(record.errors[0].id).toBe('bad');
+    expect(recordUsage).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('processJob generation failures', () => {
+  beforeEach(() => recordUsage.mockClear());
+
+  test('fails the item with a retryable flag and does not bill it', async () => {
+    const err = Object.assign(new Error('anthropic: overloaded'), { code: 'GENERATION_FAILED', retryable: true });
+    generateAltText.mockRejectedValueOnce(err);
+    const store = createStore(createRecord(1));
+    const record = await processJob({}, {
+      job: { jobId: 'job-1', items: [{ id: 'a', image: { url: 'https://example.com/a.jpg' } }] },
+      ...store
+    });
+    expect(record.status).toBe('failed');
+    expect(record.credits_used).toBe(0);
+    expect(record.errors[0]).toMatchObject({ id: 'a', code: 'GENERATION_FAILED', retryable: true });
+    expect(recordUsage.mock.calls[0][1]).toMatchObject({ creditsUsed: 0, status: 'error' });
+  });
+});
+
+describe('processJob languages', () => {
+  beforeEach(() => recordUsage.mockClear());
+
+  test('bills each language and releases the credits of languages that failed', async () => {
+    generateAltText.mockImplementationOnce(async () => ({ altText: 'a red bike', meta: { modelUsed: 'mock' } }));
+    generateAltText.mockRejectedValueOnce(Object.assign(new Error('openai: timeout'), { retryable: true }));
+    const store = createStore(createRecord(1));
+    const record = await processJob({}, {
+      job: { jobId: 'job-1', languages: ['en', 'fr'], items: [{ id: 'a', image: { url: 'https://example.com/a.jpg' } }] },
+      ...store
+    });
+    expect(record.status).toBe('completed');
+    expect(record.results[0].alt_texts).toEqual({ en: 'a red bike', fr: null });
+    expect(record.credits_used).toBe(1);
+    expect(record.credits_released).toBe(1);
+    expect(record.errors[0]).toMatchObject({ id: 'a', language: 'fr', code: 'GENERATION_FAILED', retryable: true });
+  });
+
+  test('does not count credits as used when their debit failed', async () => {
+    recordUsage.mockResolvedValueOnce({ error: null, billed: false });
+    const store = createStore(createRecord(1));
+    const record = await processJob({}, {
+      job: { jobId: 'job-1', licenseKey: 'key', languages: ['en', 'fr'], items: [{ id: 'a', image: { url: 'https://example.com/a.jpg' } }] },
+      ...store
+    });
+    expect(record.status).toBe('completed');
+    expect(record.credits_used).toBe(1);
+    expect(record.credits_unbilled).toBe(1);
+    expect(record.credits_released).toBe(0);
+  });
+});
+
+describe('processJob controls', () => {
+  beforeEach(() => recordUsage.mockClear());
+
+  function createControls(actions) {
+    const controls = new Map();
+    const calls = [];
+    return {
+      parked: calls,
+      getJobControl: async () => actions.shift() || null,
+      setJobControl: async (jobId, action) => controls.set(jobId, action),
+      parkJob: async (job) => calls.push(job)
+    };
+  }
+
+  const items = [
+    { id: 'a', image: { url: 'https://example.com/a.jpg', width: 1, height: 1 } },
+    { id: 'b', image: { url: 'https://example.com/b.jpg', width: 1, height: 1 } }
+  ];
+
+  test('cancels between items without charging the rest', async () => {
+    const store = createStore(createRecord(2));
+    const controls = createControls([null, null, 'cancel']);
+    const record = await processJob({}, { job: { jobId: 'job-1', items }, ...store, ...controls });
+    expect(record.status).toBe('cancelled');
+    expect(record.completed).toBe(1);
+    expect(record.cancelled).toBe(1);
+    expect(recordUsage).toHaveBeenCalledTimes(1);
+  });
+
+  test('parks a paused job and resumes with the remaining items', async () => {
+    const store = createStore(createRecord(2));
+    const controls = createControls([null, null, 'pause']);
+    const job = { jobId: 'job-1', items };
+    let record = await processJob({}, { job, ...store, ...controls });
+    expect(record.status).toBe('paused');
+    expect(controls.parked).toHaveLength(1);
+
+    record = await processJob({}, { job, ...store, ...createControls([]) });
+    expect(record.status).toBe('completed');
+    expect(record.results.map(r => r.id)).toEqual(['a', 'b']);
+    expect(recordUsage).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,123 @@
+const { hammingDistance, createPerceptualIndex } = require('../../lib/perceptualIndex');
+
+// Sorted sets as Maps of member -> score, with the commands the index uses.
+function createRedisMock() {
+  const sets = new Map();
+  const bound = value => (value === '+inf' ? Infinity : value === '-inf' ? -Infinity : Number(value));
+  const sorted = key => [...(sets.get(key) || new Map())].sort((a, b) => a[1] - b[1]);
+  return {
+    sets,
+    zrevrangebyscore: jest.fn(async (key, max, min, _limit, offset, count) => sorted(key)
+      .filter(([, score]) => score >= bound(min) && score <= bound(max))
+      .reverse()
+      .slice(offset, offset + count)
+      .map(([member]) => member)),
+    multi() {
+      const ops = [];
+      const chain = {
+        zadd: (key, score, member) => {
+          ops.push(() => {
+            if (!sets.has(key)) sets.set(key, new Map());
+            sets.get(key).set(member, score);
+          });
+          return chain;
+        },
+        zremrangebyscore: (key, min, max) => {
+          ops.push(() => sorted(key)
+            .filter(([, score]) => score >= bound(min) && score <= bound(max))
+            .forEach(([member]) => sets.get(key).delete(member)));
+          return chain;
+        },
+        zremrangebyrank: (key, start, stop) => {
+          ops.push(() => {
+            const members = sorted(key);
+            members.slice(start, Math.max(members.length + stop + 1, 0)).forEach(([member]) => sets.get(key).delete(member));
+          });
+          return chain;
+        },
+        expire: () => chain,
+        exec: async () => ops.forEach(op => op())
+      };
+      return chain;
+    }
+  };
+}
+
+describe('hammingDistance', () => {
+  test('counts differing bits', () => {
+    expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(hammingDistance('0000000000000000', '8000000000000001')).toBe(2);
+    expect(hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+  });
+});
+
+describe.each([
+  ['memory', () => null],
+  ['redis', createRedisMock]
+])('createPerceptualIndex (%s)', (_name, createRedis) => {
+  test('finds the closest hash within the distance', async () => {
+    const index = createPerceptualIndex({ redis: createRedis(), maxDistance: 4 });
+    await index.add('tenant-a', 'v1', 'f0f0f0f0f0f0f0f0', 'full');
+    await index.add('tenant-a', 'v1', 'f0f0f0f0f0f0f0f3', 'medium');
+
+    expect(await index.find('tenant-a', 'v1', 'f0f0f0f0f0f0f0f1')).toEqual({ key: 'full', distance: 1 });
+    expect(await index.find('tenant-a', 'v1', '0f0f0f0f0f0f0f0f')).toBeNull();
+  });
+
+  test('keeps tenants apart', async () => {
+    const index = createPerceptualIndex({ redis: createRedis(), maxDistance: 4 });
+    await index.add('tenant-a', 'v1', 'f0f0f0f0f0f0f0f0', 'full');
+    expect(await index.find('tenant-b', 'v1', 'f0f0f0f0f0f0f0f0')).toBeNull();
+  });
+
+  test('matches hashes that differ in every band up to the distance', async () => {
+    const index = createPerceptualIndex({ redis: createRedis(), maxDistance: 3 });
+    await index.add('tenant-a', 'v1', '0000000000000000', 'full');
+    // Three flipped bits, one in each of the first three 16-bit bands.
+    expect(await index.find('tenant-a', 'v1', '8000800080000000')).toEqual({ key: 'full', distance: 3 });
+  });
+
+  test('keeps cache versions apart', async () => {
+    const index = createPerceptualIndex({ redis: createRedis(), maxDistance: 4 });
+    await index.add('tenant-a', 'v1', 'f0f0f0f0f0f0f0f0', 'full');
+    expect(await index.find('tenant-a', 'v2', 'f0f0f0f0f0f0f0f0')).toBeNull();
+  });
+
+  test('drops hashes older than the cache ttl', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+    try {
+      const index = createPerceptualIndex({ redis: createRedis(), maxDistance: 4, ttlSeconds: 60 });
+      await index.add('tenant-a', 'v1', 'f0f0f0f0f0f0f0f0', 'full');
+      now.mockReturnValue(1_000_000 + 61_000);
+      expect(await index.find('tenant-a', 'v1', 'f0f0f0f0f0f0f0f0')).toBeNull();
+    } finally {
+      now.mockRestore();
+    }
+  });
+});
+
+test('treats Redis errors as a miss', async () => {
+  const redis = createRedisMock();
+  redis.zrevrangebyscore.mockRejectedValue(new Error('connection lost'));
+  const index = createPerceptualIndex({ redis, maxDistance: 4 });
+  expect(await index.find('tenant-a', 'v1', 'f0f0f0f0f0f0f0f0')).toBeNull();
+});
+
+test('caps each Redis band at its most recent hashes', async () => {
+  const redis = createRedisMock();
+  const index = createPerceptualIndex({ redis, maxDistance: 1 });
+  const now = jest.spyOn(Date, 'now');
+  try {
+    // Every hash shares its first band; only the last 500 are kept there.
+    for (let i = 0; i < 501; i += 1) {
+      now.mockReturnValue(1_000_000 + i);
+      await index.add('tenant-a', 'v1', `00000000${i.toString(16).padStart(8, '0')}`, `key${i}`);
+    }
+    const band = redis.sets.get(`alttext:phash:tenant-a:v1:2:0:${'0'.repeat(32)}`);
+    expect(band.size).toBe(500);
+    expect(band.has('0000000000000000:key0')).toBe(false);
+    expect(await index.find('tenant-a', 'v1', '00000000000001f4')).toEqual({ key: 'key500', distance: 0 });
+  } finally {
+    now.mockRestore();
+  }
+});
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadPlanCatalog,
+  reloadPlanCatalog,
+  getPlan,
+  hasFeature,
+  findPlanByPrice,
+  findPackByPrice,
+  listPacks
+} = require('../../lib/plans');
+
+function writeCatalog(catalog) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'plans-')), 'plans.json');
+  fs.writeFileSync(file, JSON.stringify(catalog));
+  return file;
+}
+
+describe('plan catalog', () => {
+  test('default catalog matches the previous hardcoded limits', () => {
+    expect(getPlan('free')).toMatchObject({ credits: 50, max_sites: 1, rate_limit_per_minute: 60 });
+    expect(getPlan('pro')).toMatchObject({ credits: 1000, max_sites: 1, rate_limit_per_minute: 120 });
+    expect(getPlan('agency')).toMatchObject({ credits: 10000, max_sites: null, rate_limit_per_minute: 240 });
+    expect(hasFeature('agency', 'site_quotas')).toBe(true);
+    expect(hasFeature('pro', 'site_quotas')).toBe(false);
+  });
+
+  test('unknown plans fall back to the default plan', () => {
+    expect(getPlan('nonexistent').id).toBe('free');
+    expect(getPlan(undefined).id).toBe('free');
+    expect(findPlanByPrice(undefined)).toBeNull();
+  });
+
+  test('keeps credit packs apart from plans', () => {
+    expect(getPlan('credits').id).toBe('free');
+    expect(hasFeature('credits', 'site_quotas')).toBe(false);
+    expect(listPacks()).toEqual([expect.objectContaining({ id: 'credits', credits: 100, type: 'pack', interval: 'one-time' })]);
+
+    const catalog = loadPlanCatalog(writeCatalog({
+      plans: [{ id: 'free', name: 'Free', credits: 25 }],
+      packs: [{ id: 'large', name: '500 credits', credits: 500, price: 39 }]
+    }), { ALTTEXT_AI_STRIPE_PRICE_LARGE: 'price_large' });
+    expect(catalog.packs[0]).toMatchObject({ stripe_price_id: 'price_large', currency: 'usd', type: 'pack' });
+    expect(() => loadPlanCatalog(writeCatalog({
+      plans: [{ id: 'free', name: 'Free', credits: 25, interval: 'one-time' }]
+    }), {})).toThrow(/plans\.0\.interval/);
+  });
+
+  test('reloads the catalog and keeps the current one when the file is invalid', () => {
+    const file = writeCatalog({
+      plans: [{ id: 'free', name: 'Free', credits: 25 }],
+      packs: [{ id: 'big', name: 'Big pack', credits: 1000, stripe_price_id: 'price_big' }]
+    });
+    try {
+      expect(reloadPlanCatalog(file, {})).toBe(true);
+      expect(getPlan('pro').credits).toBe(25);
+      expect(findPackByPrice('price_big').id).toBe('big');
+
+      fs.writeFileSync(file, '{ "plans": [] }');
+      expect(reloadPlanCatalog(file, {})).toBe(false);
+      expect(findPackByPrice('price_big').id).toBe('big');
+    } finally {
+      reloadPlanCatalog();
+    }
+    expect(getPlan('pro').credits).toBe(1000);
+  });
+
+  test('loads new plans with defaults and Stripe price overrides from env', () => {
+    const file = writeCatalog({
+      plans: [
+        { id: 'free', name: 'Free', credits: 25 },
+        {
+          id: 'business',
+          name: 'Business',
+          credits: 5000,
+          max_sites: 5,
+          rate_limit_per_minute: 180,
+          price: 29.99,
+          flags: { site_quotas: true }
+        }
+      ]
+    });
+    const catalog = loadPlanCatalog(file, { ALTTEXT_AI_STRIPE_PRICE_BUSINESS: 'price_business' });
+
+    expect(catalog.defaultPlan).toBe('free');
+    const business = catalog.plans.find(plan => plan.id === 'business');
+    expect(business).toMatchObject({
+      credits: 5000,
+      max_sites: 5,
+      rate_limit_per_minute: 180,
+      interval: 'month',
+      currency: 'usd',
+      stripe_price_id: 'price_business',
+      public: true,
+      flags: { site_quotas: true }
+    });
+    expect(catalog.plans[0]).toMatchObject({ max_sites: 1, rate_limit_per_minute: 60, stripe_price_id: null });
+  });
+
+  test('rejects invalid catalogs', () => {
+    expect(() => loadPlanCatalog(writeCatalog({ plans: [{ id: 'pro', name: 'Pro', credits: -1 }] }), {}))
+      .toThrow(/plans\.0\.credits/);
+    expect(() => loadPlanCatalog(writeCatalog({ plans: [{ id: 'pro', name: 'Pro', credits: 10 }] }), {}))
+      .toThrow(/default_plan "free" is not in plans/);
+    expect(() => loadPlanCatalog(writeCatalog({
+      default_plan: 'pro',
+      plans: [{ id: 'pro', name: 'Pro', credits: 10 }, { id: 'pro', name: 'Pro 2', credits: 20 }]
+    }), {})).toThrow(/unique/);
+  });
+});
@@ -0,0 +1,271 @@
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const { Readable } = require('stream');
+const axios = require('axios');
+const { loadProviderChain, generateWithFailover } = require('../../lib/providers');
+
+const image = { base64: 'aGVsbG8=', mime_type: 'image/jpeg' };
+
+function sse(events) {
+  return Readable.from(events.map(data => `data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`));
+}
+
+function httpError(status, message) {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.response = { status, data: { error: { message } } };
+  return err;
+}
+
+describe('loadProviderChain', () => {
+  test('builds the configured order and skips providers without credentials', () => {
+    const chain = loadProviderChain({
+      VISION_PROVIDERS: 'anthropic, azure, openai:gpt-4o-mini, compatible:llava',
+      ANTHROPIC_API_KEY: 'ak',
+      OPENAI_API_KEY: 'ok',
+      OPENAI_COMPATIBLE_BASE_URL: 'http://localhost:11434/v1'
+    });
+    expect(chain.map(p => `${p.name}:${p.model}`)).toEqual([
+      'anthropic:claude-sonnet-4-5',
+      'openai:gpt-4o-mini',
+      'compatible:llava'
+    ]);
+  });
+
+  test('defaults to OpenAI with a gpt-4o-mini fallback', () => {
+    const chain = loadProviderChain({ OPENAI_API_KEY: 'ok' });
+    expect(chain.map(p => p.model)).toEqual(['gpt-4o', 'gpt-4o-mini']);
+  });
+});
+
+describe('generateWithFailover', () => {
+  beforeEach(() => axios.post.mockReset());
+
+  test('falls through to the next provider on a 429', async () => {
+    axios.post
+      .mockRejectedValueOnce(httpError(429, 'Rate limit reached'))
+      .mockResolvedValueOnce({
+        data: {
+          model: 'claude-sonnet-4-5',
+          content: [{ type: 'text', text: 'Red bicycle leaning on a brick wall' }],
+          usage: { input_tokens: 90, output_tokens: 9 }
+        }
+      });
+    const chain = loadProviderChain({ VISION_PROVIDERS: 'openai,anthropic', OPENAI_API_KEY: 'ok', ANTHROPIC_API_KEY: 'ak' });
+
+    const result = await generateWithFailover({ image, prompt: 'Describe', options: {} }, chain);
+
+    expect(result).toMatchObject({
+      text: 'Red bicycle leaning on a brick wall',
+      provider: 'anthropic',
+      usage: { prompt_tokens: 90, completion_tokens: 9, total_tokens: 99 }
+    });
+    expect(axios.post.mock.calls[0][0]).toBe('https://api.openai.com/v1/chat/completions');
+    const [url, body, config] = axios.post.mock.calls[1];
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(body.messages[0].content[0].source).toEqual({ type: 'base64', media_type: 'image/jpeg', data: 'aGVsbG8=' });
+    expect(config.headers['x-api-key']).toBe('ak');
+  });
+
+  test('stops on request errors that another provider would also reject', async () => {
+    axios.post.mockRejectedValueOnce(httpError(400, 'Invalid image'));
+    const chain = loadProviderChain({ VISION_PROVIDERS: 'openai,anthropic', OPENAI_API_KEY: 'ok', ANTHROPIC_API_KEY: 'ak' });
+
+    await expect(generateWithFailover({ image, prompt: 'Describe', options: {} }, chain))
+      .rejects.toMatchObject({ provider: 'openai', status: 400, retryable: false });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+
+  test('targets the Azure deployment URL', async () => {
+    axios.post.mockResolvedValueOnce({ data: { choices: [{ message: { content: 'A cat' } }] } });
+    const chain = loadProviderChain({
+      VISION_PROVIDERS: 'azure:vision-prod',
+      AZURE_OPENAI_ENDPOINT: 'https://acme.openai.azure.com/',
+      AZURE_OPENAI_API_KEY: 'az'
+    });
+
+    const result = await generateWithFailover({ image, prompt: 'Describe', options: {} }, chain);
+
+    expect(result).toMatchObject({ text: 'A cat', provider: 'azure', model: 'vision-prod' });
+    expect(axios.post.mock.calls[0][0])
+      .toBe('https://acme.openai.azure.com/openai/deployments/vision-prod/chat/completions?api-version=2024-06-01');
+  });
+});
+
+describe('generateWithFailover streaming', () => {
+  beforeEach(() => axios.post.mockReset());
+
+  test('relays tokens and collects usage from the final chunk', async () => {
+    axios.post.mockResolvedValueOnce({
+      data: sse([
+        { model: 'gpt-4o', choices: [{ delta: { content: 'Red ' } }] },
+        { choices: [{ delta: { content: 'bicycle' } }] },
+        { choices: [], usage: { prompt_tokens: 80, completion_tokens: 2, total_tokens: 82 } },
+        '[DONE]'
+      ])
+    });
+    const chain = loadProviderChain({ VISION_PROVIDERS: 'openai', OPENAI_API_KEY: 'ok' });
+    const tokens = [];
+
+    const result = await generateWithFailover({ image, prompt: 'Describe', onToken: t => tokens.push(t) }, chain);
+
+    expect(tokens).toEqual(['Red ', 'bicycle']);
+    expect(result).toMatchObject({ text: 'Red bicycle', model: 'gpt-4o', usage: { total_tokens: 82 } });
+    expect(axios.post.mock.calls[0][1]).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+  });
+
+  test('fails over before the first token but not after it', async () => {
+    const chain = loadProviderChain({ VISION_PROVIDERS: 'openai,anthropic', OPENAI_API_KEY: 'ok', ANTHROPIC_API_KEY: 'ak' });
+    const broken = new Readable({ read() {} });
+    broken.push('data: {"choices":[{"delta":{"content":"Red"}}]}\n\n');
+    setImmediate(() => broken.destroy(new Error('socket hang up')));
+    axios.post.mockResolvedValueOnce({ data: broken });
+
+    await expect(generateWithFailover({ image, prompt: 'Describe', onToken: () => {} }, chain))
+      .rejects.toMatchObject({ provider: 'openai', retryable: true });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+
+    axios.post.mockReset();
+    axios.post
+      .mockRejectedValueOnce(httpError(503, 'Overloaded'))
+      .mockResolvedValueOnce({
+        data: Readable.from([
+          'event: message_start\ndata: {"message":{"model":"claude-sonnet-4-5","usage":{"input_tokens":90}}}\n\n',
+          'event: content_block_delta\ndata: {"delta":{"type":"text_delta","text":"Red bicycle"}}\n\n',
+          'event: message_delta\ndata: {"usage":{"output_tokens":3}}\n\n'
+        ])
+      });
+    const result = await generateWithFailover({ image, prompt: 'Describe', onToken: () => {} }, chain);
+    expect(result).toMatchObject({ text: 'Red bicycle', provider: 'anthropic', usage: { total_tokens: 93 } });
+  });
+  test('aborts a stalled stream and fails over to the next provider', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    const chain = loadProviderChain({ VISION_PROVIDERS: 'openai,anthropic', OPENAI_API_KEY: 'ok', ANTHROPIC_API_KEY: 'ak' });
+    const stalled = new Readable({ read() {} });
+    axios.post
+      .mockResolvedValueOnce({ data: stalled })
+      .mockResolvedValueOnce({
+        data: Readable.from(['event: content_block_delta\ndata: {"delta":{"type":"text_delta","text":"Red bicycle"}}\n\n'])
+      });
+
+    try {
+      const pending = generateWithFailover({ image, prompt: 'Describe', onToken: () => {} }, chain);
+      await jest.advanceTimersByTimeAsync(20000);
+      const result = await pending;
+
+      expect(result).toMatchObject({ text: 'Red bicycle', provider: 'anthropic' });
+      expect(axios.post.mock.calls[0][2].signal.aborted).toBe(true);
+      expect(stalled.destroyed).toBe(true);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('generateAltText', () => {
+  const { generateAltText } = require('../../lib/openai');
+  const saved = { ...process.env };
+
+  beforeEach(() => {
+    axios.post.mockReset();
+    process.env = { ...saved, VISION_PROVIDERS: 'openai', OPENAI_API_KEY: 'ok' };
+  });
+  afterAll(() => {
+    process.env = saved;
+  });
+
+  test('throws a typed error instead of returning placeholder text', async () => {
+    axios.post.mockRejectedValueOnce(httpError(503, 'Service unavailable'));
+    await expect(generateAltText({ image, context: { title: 'Hero' } }))
+      .rejects.toMatchObject({ code: 'GENERATION_FAILED', retryable: true });
+  });
+
+  test('returns several outputs from one JSON reply, failing over on malformed JSON', async () => {
+    process.env.VISION_PROVIDERS = 'openai,anthropic';
+    process.env.ANTHROPIC_API_KEY = 'ak';
+    axios.post
+      .mockResolvedValueOnce({ data: { choices: [{ message: { content: 'A bar chart of sales' } }] } })
+      .mockResolvedValueOnce({
+        data: {
+          content: [{ type: 'text', text: '```json\n{"alt": "Bar chart of 2025 sales", "title": "Sales by quarter"}\n```' }]
+        }
+      });
+
+    const result = await generateAltText({ image, context: {}, outputs: ['alt', 'title'] });
+
+    expect(result.outputs).toEqual({ alt: 'Bar chart of 2025 sales', title: 'Sales by quarter' });
+    expect(result.altText).toBe('Bar chart of 2025 sales');
+    expect(result.meta.provider).toBe('anthropic');
+    expect(axios.post.mock.calls[0][1].response_format).toEqual({ type: 'json_object' });
+  });
+
+  test('classifies the image alongside the alt text', async () => {
+    axios.post.mockResolvedValueOnce({
+      data: { choices: [{ message: { content: '{"alt": "Thin grey line", "classification": "decorative", "confidence": 1.4}' } }] }
+    });
+
+    const result = await generateAltText({ image, context: { adjacentText: 'Our services' }, classify: true });
+
+    expect(result.altText).toBe('Thin grey line');
+    expect(result.classification).toEqual({ type: 'decorative', confidence: 1 });
+    expect(axios.post.mock.calls[0][1].messages[1].content[0].text).toContain('Adjacent text: Our services');
+  });
+
+  test('returns context-derived text only when the caller opts in', async () => {
+    axios.post.mockRejectedValueOnce(httpError(503, 'Service unavailable'));
+    const result = await generateAltText({
+      image,
+      context: { filename: 'red-bicycle-1024x768.jpg' },
+      allowFallback: true
+    });
+    expect(result.altText).toBe('red bicycle');
+    expect(result.meta.usedFallback).toBe(true);
+  });
+  test('audits alt text against the requested language', async () => {
+    const { auditAltText } = require('../../lib/openai');
+    axios.post.mockResolvedValueOnce({
+      data: { choices: [{ message: { content: '{"accuracy": 40, "missing_text": "", "classification": "informative", "confidence": 0.8}' } }] }
+    });
+
+    const result = await auditAltText({ image, altText: 'Red bicycle', context: {}, language: 'fr' });
+
+    expect(result.accuracy).toBe(40);
+    expect(axios.post.mock.calls[0][1].messages[1].content[0].text).toContain('written in French (fr)');
+  });
+});
+
+describe('buildPrompt', () => {
+  const { buildPrompt } = require('../../lib/openai');
+
+  test('keeps word-count guidance for English', () => {
+    const prompt = buildPrompt({ title: 'Hero' });
+    expect(prompt).toContain('10-16 words');
+    expect(prompt).not.toContain('Write the alt text in');
+  });
+
+  test('names the target language and counts characters for CJK', () => {
+    const prompt = buildPrompt({}, { language: 'ja' });
+    expect(prompt).toContain('Write the alt text in Japanese (ja)');
+    expect(prompt).toContain('20-50 characters');
+    expect(prompt).not.toContain('10-16 words');
+  });
+
+  test('applies a style profile in place of the default rules', () => {
+    const prompt = buildPrompt({}, {
+      profile: {
+        min_words: 8,
+        max_words: 30,
+        tone: 'friendly',
+        keyword_policy: 'required',
+        keywords: ['Acme'],
+        banned_words: ['cheap'],
+        instructions: 'Name the brand and colour.'
+      }
+    });
+    expect(prompt).toContain('- 8-30 words.');
+    expect(prompt).toContain('Include at least one of these keywords naturally: Acme.');
+    expect(prompt).toContain('- Tone: friendly.');
+    expect(prompt).toContain('Never use these words: cheap.');
+    expect(prompt).toContain('Additional instructions:\nName the brand and colour.');
+    expect(prompt).not.toContain('10-16 words');
+  });
+});
@@ -0,0 +1,356 @@
+const RedisMock = require('ioredis-mock');
+const { createQueue, createPriorityScheduler } = require('../../lib/queue');
+
+// ioredis-mock runs the queue's Lua scripts but has no cjson. This stand-in
+// reads the top-level string fields (jobId, priority, owner) of the compact
+// payloads the queue writes.
+const CJSON_SHIM = `local cjson = { decode = function(s)
+  return setmetatable({}, { __index = function(_, k) return string.match(s, '"' .. k .. '":"([^"]*)"') end })
+end }
+`;
+
+function createRedis() {
+  const redis = new RedisMock();
+  const evaluate = redis.eval.bind(redis);
+  redis.eval = (script, ...args) => evaluate(CJSON_SHIM + script, ...args);
+  return redis;
+}
+
+async function waitFor(check, timeoutMs = 2000) {
+  const started = Date.now();
+  while (!(await check())) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for queue');
+    await new Promise(r => setTimeout(r, 5));
+  }
+}
+
+describe('createPriorityScheduler', () => {
+  test('schedules priorities by weight without starving low', () => {
+    const next = createPriorityScheduler({ high: 6, normal: 3, low: 1 });
+    const counts = { high: 0, normal: 0, low: 0 };
+    for (let i = 0; i < 10; i += 1) {
+      counts[next()[0]] += 1;
+    }
+    expect(counts).toEqual({ high: 6, normal: 3, low: 1 });
+  });
+});
+
+describe('in-memory queue', () => {
+  test('runs high priority first and rotates between licenses', async () => {
+    const order = [];
+    let release;
+    const blocker = new Promise(r => {
+      release = r;
+    });
+    const queue = createQueue({
+      redis: null,
+      concurrency: 1,
+      priorityWeights: { high: 100, normal: 1, low: 1 },
+      jobHandler: async (job) => {
+        if (job.items[0] === 'blocker') return blocker;
+        order.push(job.items[0]);
+      }
+    });
+
+    // Occupy the only worker so the rest queue up.
+    await queue.createJob({ items: ['blocker'], licenseKey: 'x' });
+    await queue.createJob({ items: ['a1'], licenseKey: 'a', priority: 'normal' });
+    await queue.createJob({ items: ['a2'], licenseKey: 'a', priority: 'normal' });
+    await queue.createJob({ items: ['b1'], licenseKey: 'b', priority: 'normal' });
+    await queue.createJob({ items: ['h1'], licenseKey: 'a', priority: 'high' });
+    release();
+    await new Promise(r => setTimeout(r, 10));
+
+    expect(order).toEqual(['h1', 'a1', 'b1', 'a2']);
+  });
+});
+
+describe('retries and dead letters', () => {
+  test('retries failed jobs then dead-letters and replays them', async () => {
+    let calls = 0;
+    let shouldFail = true;
+    const queue = createQueue({
+      redis: null,
+      maxAttempts: 2,
+      retryBaseMs: 1,
+      jobHandler: async () => {
+        calls += 1;
+        if (shouldFail) throw new Error('boom');
+      }
+    });
+
+    const jobId = await queue.createJob({ items: ['a'], licenseKey: 'lic' });
+    await new Promise(r => setTimeout(r, 20));
+
+    expect(calls).toBe(2);
+    const [entry] = await queue.listDeadLetters();
+    expect(entry).toMatchObject({ jobId, error: 'boom', attempts: 2 });
+    expect((await queue.getJobRecord(jobId)).status).toBe('failed');
+
+    shouldFail = false;
+    await queue.replayDeadLetter(jobId);
+    await new Promise(r => setTimeout(r, 5));
+    expect(calls).toBe(3);
+    expect(await queue.listDeadLetters()).toEqual([]);
+  });
+});
+
+describe('listJobs', () => {
+  test('pages through a license/site index newest first with status filter', async () => {
+    const queue = createQueue({ redis: null, jobHandler: async () => new Promise(() => {}), concurrency: 0 });
+    const ids = [];
+    for (let i = 0; i < 5; i += 1) {
+      ids.push(await queue.createJob({ items: ['x'], licenseId: 'lic-1', siteKey: 'site-1' }));
+    }
+    await queue.createJob({ items: ['x'], licenseId: 'lic-2', siteKey: 'site-1' });
+    const cancelled = await queue.getJobRecord(ids[0]);
+    cancelled.status = 'cancelled';
+    await queue.setJobRecord(ids[0], cancelled);
+
+    const first = await queue.listJobs({ licenseId: 'lic-1', siteKey: 'site-1', limit: 3 });
+    expect(first.jobs).toHaveLength(3);
+    expect(first.jobs[0].licenseId).toBe('lic-1');
+    const second = await queue.listJobs({ licenseId: 'lic-1', siteKey: 'site-1', limit: 3, cursor: first.nextCursor });
+    const seen = [...first.jobs, ...second.jobs].map(j => j.jobId);
+    expect(seen.sort()).toEqual([...ids].sort());
+    expect(second.nextCursor).toBeNull();
+
+    const filtered = await queue.listJobs({ licenseId: 'lic-1', siteKey: 'site-1', statuses: ['cancelled'] });
+    expect(filtered.jobs.map(j => j.jobId)).toEqual([ids[0]]);
+  });
+
+  test('drops expired jobs from the in-memory index and store', async () => {
+    const queue = createQueue({ redis: null, jobHandler: async () => new Promise(() => {}), concurrency: 0, ttlSeconds: 60 });
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    try {
+      const old = await queue.createJob({ items: ['x'], licenseId: 'lic-1', siteKey: 'site-1' });
+      clock.mockReturnValue(now + 120_000);
+      const fresh = await queue.createJob({ items: ['x'], licenseId: 'lic-2', siteKey: 'site-1' });
+
+      expect(await queue.getJobRecord(old)).toBeNull();
+      expect((await queue.listJobs({ licenseId: 'lic-1', siteKey: 'site-1' })).jobs).toEqual([]);
+      expect(await queue.getJobRecord(fresh)).not.toBeNull();
+    } finally {
+      clock.mockRestore();
+    }
+  });
+});
+
+describe('Redis queue scripts', () => {
+  let redis;
+  let queue;
+
+  beforeEach(async () => {
+    redis = createRedis();
+    await redis.flushall();
+  });
+
+  afterEach(async () => {
+    await queue?.stopRedisWorkers();
+    queue = null;
+  });
+
+  test('runs high priority first and rotates between licenses', async () => {
+    const order = [];
+    let release;
+    const blocker = new Promise(r => {
+      release = r;
+    });
+    queue = createQueue({
+      redis,
+      concurrency: 1,
+      pollIntervalMs: 5,
+      priorityWeights: { high: 100, normal: 1, low: 1 },
+      jobHandler: async (job) => {
+        if (job.items[0] === 'blocker') return blocker;
+        order.push(job.items[0]);
+      }
+    });
+
+    await queue.createJob({ items: ['blocker'], licenseKey: 'x' });
+    await waitFor(async () => (await redis.zcard('{alttext:queue}:processing')) === 1);
+    await queue.createJob({ items: ['a1'], licenseKey: 'a', priority: 'normal' });
+    await queue.createJob({ items: ['a2'], licenseKey: 'a', priority: 'normal' });
+    await queue.createJob({ items: ['b1'], licenseKey: 'b', priority: 'normal' });
+    await queue.createJob({ items: ['h1'], licenseKey: 'a', priority: 'high' });
+    release();
+    await waitFor(() => order.length === 4);
+
+    expect(order).toEqual(['h1', 'a1', 'b1', 'a2']);
+    expect(await redis.smembers('{alttext:queue}:normal:owners:set')).toEqual([]);
+    expect(await redis.zcard('{alttext:queue}:processing')).toBe(0);
+  });
+
+  test('retries through the delayed set, dead-letters, then replays', async () => {
+    let shouldFail = true;
+    const attempts = [];
+    queue = createQueue({
+      redis,
+      pollIntervalMs: 5,
+      maxAttempts: 2,
+      retryBaseMs: 1,
+      jobHandler: async (job) => {
+        attempts.push(job.attempts);
+        if (shouldFail) throw new Error('boom');
+      }
+    });
+
+    const jobId = await queue.createJob({ items: ['a'], licenseKey: 'lic' });
+    await waitFor(async () => (await queue.listDeadLetters()).length === 1);
+
+    expect(attempts).toEqual([1, 2]);
+    expect((await queue.getDeadLetter(jobId))).toMatchObject({ jobId, error: 'boom', attempts: 2 });
+    expect((await queue.getJobRecord(jobId)).status).toBe('failed');
+    expect(await redis.hget('{alttext:queue}:attempts', jobId)).toBeNull();
+    expect(await redis.zcard('{alttext:queue}:delayed')).toBe(0);
+
+    shouldFail = false;
+    await queue.replayDeadLetter(jobId);
+    await waitFor(() => attempts.length === 3);
+    expect(attempts[2]).toBe(1);
+    expect(await queue.listDeadLetters()).toEqual([]);
+  });
+
+  test('redelivers a job whose lease expired', async () => {
+    const deliveries = [];
+    let releaseStalled;
+    queue = createQueue({
+      redis,
+      concurrency: 2,
+      pollIntervalMs: 5,
+      visibilityTimeoutMs: 30,
+      jobHandler: async (job) => {
+        deliveries.push(job.attempts);
+        // The first delivery stalls like a crashed worker and never settles its lease.
+        if (deliveries.length === 1) return new Promise(r => { releaseStalled = r; });
+      }
+    });
+
+    await queue.createJob({ items: ['a'], licenseKey: 'lic' });
+    await waitFor(() => deliveries.length === 2);
+    releaseStalled();
+
+    expect(deliveries).toEqual([1, 2]);
+    await waitFor(async () => (await redis.zcard('{alttext:queue}:processing')) === 0);
+  });
+
+  test('dead-letters a job whose lease expired on its final attempt', async () => {
+    let releaseStalled;
+    const handler = jest.fn(() => new Promise(r => { releaseStalled = r; }));
+    queue = createQueue({
+      redis,
+      concurrency: 2,
+      pollIntervalMs: 5,
+      maxAttempts: 1,
+      visibilityTimeoutMs: 30,
+      jobHandler: handler
+    });
+
+    const jobId = await queue.createJob({ items: ['a'], licenseKey: 'lic' });
+    await waitFor(async () => (await queue.listDeadLetters()).length === 1);
+    releaseStalled();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(await queue.getDeadLetter(jobId)).toMatchObject({ jobId, attempts: 2 });
+    expect((await queue.getJobRecord(jobId)).errors[0]).toMatchObject({ code: 'JOB_DEAD_LETTERED' });
+  });
+});
+
+describe('job controls', () => {
+  // No workers, so jobs stay queued until a test runs them.
+  function createIdleQueue() {
+    return createQueue({ redis: null, concurrency: 0, jobHandler: async () => {} });
+  }
+
+  async function pausedJob(queue) {
+    const jobId = await queue.createJob({ items: ['a', 'b'], licenseKey: 'lic' });
+    const record = await queue.getJobRecord(jobId);
+    record.status = 'paused';
+    await queue.setJobRecord(jobId, record);
+    await queue.parkJob({ jobId, items: ['a', 'b'], licenseKey: 'lic', attempts: 1 });
+    return jobId;
+  }
+
+  test('cancelling a paused job drops its parked payload and finishes it at once', async () => {
+    const queue = createIdleQueue();
+    const events = [];
+    queue.onJobEvent((jobId, event) => events.push(event.type));
+    const jobId = await pausedJob(queue);
+
+    const record = await queue.cancelJob(jobId);
+    await new Promise(r => setImmediate(r));
+
+    expect(record).toMatchObject({ status: 'cancelled', cancelled: 2 });
+    expect(await queue.getJobControl(jobId)).toBeNull();
+    expect(events).toEqual(['completed']);
+    // Nothing is left to resume.
+    expect((await queue.resumeJob(jobId)).status).toBe('cancelled');
+  });
+
+  test('cancelling a queued job asks the worker to stop', async () => {
+    const queue = createIdleQueue();
+    const jobId = await queue.createJob({ items: ['a'], licenseKey: 'lic' });
+
+    expect((await queue.cancelJob(jobId)).status).toBe('queued');
+    expect(await queue.getJobControl(jobId)).toBe('cancel');
+  });
+
+  test('resume before the worker sees the pause withdraws it', async () => {
+    const queue = createIdleQueue();
+    const jobId = await queue.createJob({ items: ['a'], licenseKey: 'lic' });
+
+    expect((await queue.pauseJob(jobId)).status).toBe('queued');
+    expect(await queue.getJobControl(jobId)).toBe('pause');
+    expect((await queue.resumeJob(jobId)).status).toBe('queued');
+    expect(await queue.getJobControl(jobId)).toBeNull();
+  });
+
+  test('pause does not replace a pending cancel', async () => {
+    const queue = createIdleQueue();
+    const jobId = await queue.createJob({ items: ['a'], licenseKey: 'lic' });
+    await queue.cancelJob(jobId);
+    await queue.pauseJob(jobId);
+    expect(await queue.getJobControl(jobId)).toBe('cancel');
+  });
+
+  test('resume re-enqueues the parked payload of a paused job', async () => {
+    const handled = [];
+    const queue = createQueue({ redis: null, concurrency: 1, jobHandler: async job => handled.push(job) });
+    const jobId = await pausedJob(queue);
+    await new Promise(r => setImmediate(r));
+    handled.length = 0;
+
+    const record = await queue.resumeJob(jobId);
+    await new Promise(r => setImmediate(r));
+
+    expect(record.status).toBe('queued');
+    expect(record.pausedAt).toBeUndefined();
+    expect(handled).toEqual([expect.objectContaining({ jobId, items: ['a', 'b'], attempts: 1 })]);
+  });
+
+  test('resume leaves a paused job without a parked payload paused', async () => {
+    const queue = createIdleQueue();
+    const jobId = await queue.createJob({ items: ['a'], licenseKey: 'lic' });
+    const record = await queue.getJobRecord(jobId);
+    record.status = 'paused';
+    await queue.setJobRecord(jobId, record);
+
+    expect((await queue.resumeJob(jobId)).status).toBe('paused');
+  });
+
+  test('leaves finished and unknown jobs alone', async () => {
+    const queue = createIdleQueue();
+    const jobId = await queue.createJob({ items: ['a'], licenseKey: 'lic' });
+    const record = await queue.getJobRecord(jobId);
+    record.status = 'completed';
+    await queue.setJobRecord(jobId, record);
+
+    expect((await queue.cancelJob(jobId)).status).toBe('completed');
+    expect((await queue.pauseJob(jobId)).status).toBe('completed');
+    expect(await queue.getJobControl(jobId)).toBeNull();
+    expect(await queue.cancelJob('missing')).toBeNull();
+    expect(await queue.pauseJob('missing')).toBeNull();
+    expect(await queue.resumeJob('missing')).toBeNull();
+  });
+});
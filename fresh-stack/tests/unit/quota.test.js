@@ -13,3 +13,177 @@ describe('computePeriodStart', () => {
     expect(start.getUTCDate()).toBe(1);
   });
 });
+
+describe('credit reservations', () => {
+  const { getQuotaStatus, reserveCredits, createReservationTracker } = require('../../services/quota');
+
+  // Minimal Supabase stub: each table resolves to fixed rows and records updates.
+  function createSupabase(tables, rpcResult) {
+    const updates = [];
+    const supabase = {
+      updates,
+      rpc: jest.fn().mockResolvedValue(rpcResult || { data: null, error: null }),
+      from: (table) => {
+        const rows = tables[table] || [];
+        const query = {
+          select: () => query,
+          eq: () => query,
+          gt: () => query,
+          update: (values) => {
+            updates.push({ table, values });
+            return query;
+          },
+          single: () => Promise.resolve({ data: rows[0] || null, error: null }),
+          maybeSingle: () => Promise.resolve({ data: rows[0] || null, error: null }),
+          then: (resolve) => resolve({ data: rows, error: null })
+        };
+        return query;
+      }
+    };
+    return supabase;
+  }
+
+  const license = { license_key: 'key', plan: 'pro', status: 'active', billing_day_of_month: 1 };
+
+  test('getQuotaStatus subtracts active holds from remaining credits', async () => {
+    const supabase = createSupabase({
+      licenses: [license],
+      quota_summaries: [{ total_credits_used: 100 }],
+      credit_reservations: [
+        { credits_reserved: 900, credits_consumed: 300, credits_released: 100 },
+        { credits_reserved: 50, credits_consumed: 0, credits_released: 0 }
+      ]
+    });
+    const status = await getQuotaStatus(supabase, { licenseKey: 'key' });
+    expect(status.credits_reserved).toBe(550);
+    expect(status.credits_remaining).toBe(status.total_limit - 100 - 550);
+  });
+
+  test('reserveCredits reports a rejected hold as quota exceeded', async () => {
+    const supabase = createSupabase(
+      { licenses: [license] },
+      { data: [{ ok: false, used_credits: 100, held_credits: 900 }], error: null }
+    );
+    const result = await reserveCredits(supabase, { licenseKey: 'key', siteHash: 'site', jobId: 'job-2', credits: 900 });
+    expect(result).toMatchObject({ error: 'QUOTA_EXCEEDED', status: 402, credits_reserved: 900 });
+    expect(supabase.rpc).toHaveBeenCalledWith('reserve_credits', expect.objectContaining({
+      p_license_key: 'key',
+      p_job_id: 'job-2',
+      p_credits: 900
+    }));
+  });
+
+  test('tracker converts successful items and releases the rest when the job ends', async () => {
+    const supabase = createSupabase({ credit_reservations: [{ credits_reserved: 5 }] });
+    const track = createReservationTracker(supabase);
+
+    await track('job-1', { type: 'item_completed' }, { credits_used: 1, failed: 0 });
+    await track('job-1', { type: 'item_failed' }, { credits_used: 1, failed: 1 });
+    await track('job-1', { type: 'completed' }, { status: 'cancelled', credits_used: 1, failed: 1 });
+
+    expect(supabase.updates.map(u => u.values)).toEqual([
+      expect.objectContaining({ credits_consumed: 1, credits_released: 0 }),
+      expect.objectContaining({ credits_consumed: 1, credits_released: 1 }),
+      expect.objectContaining({ credits_consumed: 1, credits_released: 4, status: 'settled' })
+    ]);
+  });
+
+  test('tracker keeps credits held when their debit failed', async () => {
+    const supabase = createSupabase({ credit_reservations: [{ credits_reserved: 5 }] });
+    const track = createReservationTracker(supabase);
+
+    await track('job-1', { type: 'completed' }, { status: 'completed', credits_used: 2, credits_unbilled: 1, failed: 0 });
+
+    const [update] = supabase.updates.map(u => u.values);
+    expect(update).toMatchObject({ credits_consumed: 2, credits_released: 2 });
+    expect(update.status).toBeUndefined();
+  });
+
+  describe('credit packs', () => {
+    const { getLimits } = require('../../services/license');
+    const limit = getLimits('pro').credits;
+
+    test('getQuotaStatus falls through to unexpired packs once the allowance is used', async () => {
+      const supabase = createSupabase({
+        licenses: [license],
+        quota_summaries: [{ total_credits_used: limit + 20 }],
+        credit_reservations: [{ credits_reserved: 30, credits_consumed: 0, credits_released: 0 }],
+        credits: [
+          { id: 'forever', credits_purchased: 500, credits_remaining: 480, expires_at: null, created_at: '2026-01-01T00:00:00Z' },
+          { id: 'expired', credits_purchased: 100, credits_remaining: 100, expires_at: '2020-01-01T00:00:00Z', created_at: '2019-01-01T00:00:00Z' },
+          { id: 'promo', credits_purchased: 50, credits_remaining: 50, expires_at: '2099-01-01T00:00:00Z', created_at: '2026-02-01T00:00:00Z' }
+        ]
+      });
+      const status = await getQuotaStatus(supabase, { licenseKey: 'key' });
+
+      expect(status.monthly_credits_remaining).toBe(0);
+      // The job hold comes out of the packs once the allowance is gone.
+      expect(status.pack_credits_remaining).toBe(480 + 50 - 30);
+      expect(status.credits_remaining).toBe(500);
+      expect(status.credit_packs.map(pack => pack.id)).toEqual(['promo', 'forever']);
+    });
+
+    test('holds use the allowance before the packs', async () => {
+      const supabase = createSupabase({
+        licenses: [license],
+        quota_summaries: [{ total_credits_used: limit - 10 }],
+        credit_reservations: [{ credits_reserved: 15, credits_consumed: 0, credits_released: 0 }],
+        credits: [{ id: 'pack', credits_purchased: 100, credits_remaining: 100, expires_at: null, created_at: '2026-01-01T00:00:00Z' }]
+      });
+      const status = await getQuotaStatus(supabase, { licenseKey: 'key' });
+      expect(status).toMatchObject({ monthly_credits_remaining: 0, pack_credits_remaining: 95, credits_remaining: 95 });
+    });
+  });
+
+  describe('debits', () => {
+    const { debitCredits, refundCredits } = require('../../services/quota');
+
+    afterEach(() => {
+      delete process.env.SKIP_QUOTA_CHECK_SITE_IDS;
+    });
+
+    test('debitCredits checks and debits in one call and returns a refundable debit', async () => {
+      const supabase = createSupabase(
+        { licenses: [license] },
+        { data: [{ ok: true, used_credits: 12, held_credits: 0, pack_credits: 0 }], error: null }
+      );
+      const debit = await debitCredits(supabase, { licenseKey: 'key', siteHash: 'site', credits: 2 });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('debit_credits', expect.objectContaining({
+        p_license_key: 'key',
+        p_site_hash: 'site',
+        p_credits: 2,
+        p_enforce: true
+      }));
+      expect(debit).toMatchObject({ licenseKey: 'key', credits: 2, credits_used: 12 });
+
+      await refundCredits(supabase, debit, 1);
+      expect(supabase.rpc).toHaveBeenLastCalledWith('refund_credits', {
+        p_license_key: 'key',
+        p_site_hash: 'site',
+        p_credits: 1,
+        p_period_start: debit.periodStart,
+        p_limit: debit.limit
+      });
+    });
+
+    test('debitCredits throws QUOTA_EXCEEDED when the database refuses the debit', async () => {
+      const supabase = createSupabase(
+        { licenses: [license] },
+        { data: [{ ok: false, used_credits: 1000, held_credits: 0, pack_credits: 0 }], error: null }
+      );
+      await expect(debitCredits(supabase, { licenseKey: 'key', siteHash: 'site', credits: 1 }))
+        .rejects.toMatchObject({ code: 'QUOTA_EXCEEDED', status: 402 });
+    });
+
+    test('exempt sites are debited without a limit check', async () => {
+      process.env.SKIP_QUOTA_CHECK_SITE_IDS = 'internal-site';
+      const supabase = createSupabase(
+        { licenses: [license] },
+        { data: [{ ok: true, used_credits: 1, held_credits: 0, pack_credits: 0 }], error: null }
+      );
+      await debitCredits(supabase, { licenseKey: 'key', siteHash: 'internal-site', credits: 1 });
+      expect(supabase.rpc.mock.calls[0][1].p_enforce).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const { tenantFor, createResultCache } = require('../../lib/resultCache');
+
+describe('tenantFor', () => {
+  test('scopes by license, falling back to the site', () => {
+    expect(tenantFor({ licenseKey: 'a', siteKey: 'x' })).toBe(tenantFor({ licenseKey: 'a', siteKey: 'y' }));
+    expect(tenantFor({ licenseKey: 'a' })).not.toBe(tenantFor({ licenseKey: 'b' }));
+    expect(tenantFor({ siteKey: 'x' })).not.toBe(tenantFor({ licenseKey: 'x' }));
+  });
+});
+
+describe('createResultCache (memory)', () => {
+  test('evicts the least recently used entry', async () => {
+    const cache = createResultCache({ redis: null, maxEntries: 2 });
+    cache.set('a', { altText: 'a' }, { tenant: 't', site: 's', hash: 'h1' });
+    cache.set('b', { altText: 'b' }, { tenant: 't', site: 's', hash: 'h2' });
+    await cache.get('a');
+    cache.set('c', { altText: 'c' }, { tenant: 't', site: 's', hash: 'h3' });
+
+    expect(cache.size).toBe(2);
+    expect(await cache.get('a')).toEqual({ altText: 'a' });
+    expect(await cache.get('b')).toBeNull();
+  });
+
+  test('expires entries after the TTL', async () => {
+    const cache = createResultCache({ redis: null, ttlSeconds: 0 });
+    cache.set('a', { altText: 'a' }, { tenant: 't', site: 's', hash: 'h1' });
+    expect(await cache.get('a')).toBeNull();
+  });
+
+  test('purges by hash, by site, or the whole tenant', async () => {
+    const cache = createResultCache({ redis: null });
+    cache.set('1', {}, { tenant: 't', site: 'blog', hash: 'h1' });
+    cache.set('2', {}, { tenant: 't', site: 'blog', hash: 'h2' });
+    cache.set('3', {}, { tenant: 't', site: 'shop', hash: 'h1' });
+    cache.set('4', {}, { tenant: 'other', site: 'blog', hash: 'h1' });
+
+    expect(await cache.purge('t', { hash: 'h1' })).toBe(2);
+    expect(await cache.purge('t', { site: 'blog' })).toBe(1);
+    cache.set('5', {}, { tenant: 't', site: 'shop', hash: 'h5' });
+    expect(await cache.purge('t')).toBe(1);
+    expect(await cache.get('4')).toEqual({});
+  });
+
+  test('reports hits and misses per tenant', async () => {
+    const cache = createResultCache({ redis: null });
+    cache.recordLookup('t', 'exact');
+    cache.recordLookup('t', 'perceptual');
+    cache.recordLookup('t', 'miss');
+    cache.recordLookup('t', 'miss');
+
+    expect(await cache.stats('t')).toEqual({ hits: 2, misses: 2, exact_hits: 1, perceptual_hits: 1, hit_rate: 0.5 });
+    expect(await cache.stats('other')).toMatchObject({ hits: 0, misses: 0, hit_rate: 0 });
+  });
+});
+
+describe('createResultCache (redis)', () => {
+  function createRedisMock() {
+    const calls = [];
+    const chain = {
+      set: (...args) => { calls.push(['set', ...args]); return chain; },
+      sadd: (...args) => { calls.push(['sadd', ...args]); return chain; },
+      expire: () => chain,
+      exec: async () => []
+    };
+    return {
+      calls,
+      multi: () => chain,
+      smembers: jest.fn().mockResolvedValue(['k1', 'k2']),
+      sinter: jest.fn().mockResolvedValue(['k1']),
+      del: jest.fn(async (...keys) => keys.length),
+      hincrby: jest.fn().mockResolvedValue(1),
+      hgetall: jest.fn().mockResolvedValue({ exact: '3', miss: '1' })
+    };
+  }
+
+  test('indexes entries by tenant, site and hash', () => {
+    const redis = createRedisMock();
+    createResultCache({ redis, ttlSeconds: 60 }).set('t:v:h:en', { altText: 'x' }, { tenant: 't', site: 'blog', hash: 'h' });
+
+    expect(redis.calls[0]).toEqual(['set', 'alttext:cache:t:v:h:en', JSON.stringify({ altText: 'x' }), 'EX', 60]);
+    expect(redis.calls.filter(call => call[0] === 'sadd').map(call => call[1])).toEqual([
+      'alttext:cache:index:t',
+      'alttext:cache:index:t:site:blog',
+      'alttext:cache:index:t:hash:h'
+    ]);
+  });
+
+  test('purges through the indexes', async () => {
+    const redis = createRedisMock();
+    const cache = createResultCache({ redis });
+
+    expect(await cache.purge('t')).toBe(2);
+    expect(redis.smembers).toHaveBeenCalledWith('alttext:cache:index:t');
+    expect(await cache.purge('t', { site: 'blog', hash: 'h' })).toBe(1);
+    expect(redis.sinter).toHaveBeenCalledWith('alttext:cache:index:t:hash:h', 'alttext:cache:index:t:site:blog');
+    expect(redis.del).toHaveBeenLastCalledWith('alttext:cache:k1');
+  });
+
+  test('reads stats from a per-tenant hash', async () => {
+    const cache = createResultCache({ redis: createRedisMock() });
+    expect(await cache.stats('t')).toEqual({ hits: 3, misses: 1, exact_hits: 3, perceptual_hits: 0, hit_rate: 0.75 });
+  });
+});
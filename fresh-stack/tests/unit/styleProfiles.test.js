@@ -0,0 +1,57 @@
+const { getStyleProfile, updateStyleProfile, listStyleProfiles } = require('../../services/styleProfiles');
+
+const PROFILE_ID = '6f1c2a9e-4b7d-4c1e-9a3f-2d8e5b7c1a04';
+
+function createSupabaseMock(rows) {
+  const updates = [];
+  const query = (result) => {
+    const chain = {
+      select: () => chain,
+      eq: () => chain,
+      order: () => chain,
+      update: (values) => {
+        updates.push(values);
+        result = { ...result, ...values };
+        return chain;
+      },
+      maybeSingle: () => Promise.resolve({ data: result, error: null }),
+      single: () => Promise.resolve({ data: result, error: null }),
+      then: resolve => resolve({ data: rows, error: null })
+    };
+    return chain;
+  };
+  return { updates, from: () => query(rows[0] || null) };
+}
+
+describe('style profiles', () => {
+  test('hides profiles that belong to another site', async () => {
+    const supabase = createSupabaseMock([{ id: PROFILE_ID, license_key: 'key', site_hash: 'site-a' }]);
+    const own = await getStyleProfile(supabase, { licenseKey: 'key', siteHash: 'site-a', profileId: PROFILE_ID });
+    const other = await getStyleProfile(supabase, { licenseKey: 'key', siteHash: 'site-b', profileId: PROFILE_ID });
+    expect(own.profile.id).toBe(PROFILE_ID);
+    expect(other).toMatchObject({ error: 'STYLE_PROFILE_NOT_FOUND', status: 404 });
+  });
+
+  test('lists license-wide profiles alongside the site ones', async () => {
+    const supabase = createSupabaseMock([
+      { id: '1', site_hash: null },
+      { id: '2', site_hash: 'site-a' },
+      { id: '3', site_hash: 'site-b' }
+    ]);
+    const { profiles } = await listStyleProfiles(supabase, { licenseKey: 'key', siteHash: 'site-a' });
+    expect(profiles.map(p => p.id)).toEqual(['1', '2']);
+  });
+
+  test('treats malformed ids as not found', async () => {
+    const supabase = createSupabaseMock([]);
+    const result = await getStyleProfile(supabase, { licenseKey: 'key', siteHash: 'site', profileId: 'nope' });
+    expect(result.status).toBe(404);
+  });
+
+  test('rejects updates that cross the stored word bounds', async () => {
+    const supabase = createSupabaseMock([{ id: PROFILE_ID, license_key: 'key', site_hash: null, min_words: 5, max_words: 20 }]);
+    const result = await updateStyleProfile(supabase, { licenseKey: 'key', siteHash: 'site', profileId: PROFILE_ID, min_words: 25 });
+    expect(result).toMatchObject({ error: 'INVALID_REQUEST', status: 400 });
+    expect(supabase.updates).toHaveLength(0);
+  });
+});
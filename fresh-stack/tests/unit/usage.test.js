@@ -0,0 +1,48 @@
+const { recordUsage } = require('../../services/usage');
+
+describe('recordUsage', () => {
+  function createSupabase() {
+    const supabase = {
+      rpc: jest.fn().mockResolvedValue({ data: [{ ok: true, used_credits: 3, held_credits: 0, pack_credits: 0 }], error: null }),
+      from: (table) => {
+        const query = {
+          select: () => query,
+          eq: () => query,
+          insert: () => query,
+          single: () => Promise.resolve({ data: table === 'licenses' ? { plan: 'pro', billing_day_of_month: 1 } : null, error: null }),
+          then: resolve => resolve({ data: null, error: null })
+        };
+        return query;
+      }
+    };
+    return supabase;
+  }
+
+  test('adds credits to the period summary in one database call, without a limit check', async () => {
+    const supabase = createSupabase();
+    const result = await recordUsage(supabase, { licenseKey: 'license-key', siteHash: 'site', creditsUsed: 3 });
+
+    expect(result.billed).toBe(true);
+    expect(supabase.rpc).toHaveBeenCalledTimes(1);
+    expect(supabase.rpc).toHaveBeenCalledWith('debit_credits', expect.objectContaining({
+      p_license_key: 'license-key',
+      p_site_hash: 'site',
+      p_credits: 3,
+      p_enforce: false
+    }));
+  });
+
+  test('skips the summary for credits already debited and for unbilled requests', async () => {
+    const supabase = createSupabase();
+    await recordUsage(supabase, { licenseKey: 'license-key', siteHash: 'site', creditsUsed: 2, debited: true });
+    await recordUsage(supabase, { licenseKey: 'license-key', siteHash: 'site', creditsUsed: 0, status: 'error' });
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+
+  test('reports credits as unbilled when the debit fails', async () => {
+    const supabase = createSupabase();
+    supabase.rpc.mockResolvedValueOnce({ data: null, error: { message: 'connection reset' } });
+    const result = await recordUsage(supabase, { licenseKey: 'license-key', siteHash: 'site', creditsUsed: 1 });
+    expect(result).toMatchObject({ error: null, billed: false });
+  });
+});
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const axios = require('axios');
+const { createWebhookDispatcher, signWebhookPayload } = require('../../lib/webhooks');
+const { httpAgent, httpsAgent } = require('../../lib/imageFetch');
+const { validateWebhookUrl } = require('../../services/webhooks');
+
+// Enough of ioredis for the dispatcher: webhook configs, delivery logs and the retry ZSET.
+function createRedisMock() {
+  const strings = new Map();
+  const lists = new Map();
+  const zset = new Map();
+  return {
+    zset,
+    set: jest.fn(async (key, value) => strings.set(key, value)),
+    get: jest.fn(async key => strings.get(key) || null),
+    lrange: jest.fn(async key => lists.get(key) || []),
+    zadd: jest.fn(async (key, score, member) => zset.set(member, score)),
+    zrangebyscore: jest.fn(async (key, min, max) => [...zset].filter(([, score]) => score <= max).map(([member]) => member)),
+    zrem: jest.fn(async (key, member) => (zset.delete(member) ? 1 : 0)),
+    multi() {
+      const chain = {
+        lpush: (key, value) => {
+          lists.set(key, [value, ...(lists.get(key) || [])]);
+          return chain;
+        },
+        ltrim: () => chain,
+        expire: () => chain,
+        exec: async () => []
+      };
+      return chain;
+    }
+  };
+}
+
+describe('validateWebhookUrl', () => {
+  test('rejects loopback, private and metadata hosts', () => {
+    ['http://localhost:8080/hook', 'http://127.0.0.1/', 'http://10.0.0.5/', 'http://169.254.169.254/latest', 'http://[::1]/', 'http://2130706433/']
+      .forEach(url => expect(validateWebhookUrl(url)).toMatch(/private address/));
+    expect(validateWebhookUrl('https://hooks.example.com/alttext')).toBeNull();
+  });
+});
+
+describe('signWebhookPayload', () => {
+  test('signs timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('100.{"a":1}').digest('hex');
+    expect(signWebhookPayload('{"a":1}', 'secret', 100)).toBe(`t=100,v1=${expected}`);
+  });
+});
+
+describe('webhook dispatcher', () => {
+  beforeEach(() => axios.post.mockReset());
+
+  test('delivers completed jobs with a signature and logs the delivery', async () => {
+    axios.post.mockResolvedValue({ status: 200 });
+    const dispatcher = createWebhookDispatcher({ redis: null });
+    await dispatcher.register('job-1', { url: 'https://hooks.example.com', secret: 's3cret' });
+
+    await dispatcher.handleJobEvent('job-1', { type: 'item_completed', item: { id: 'a' } }, { status: 'running' });
+    await dispatcher.handleJobEvent('job-1', { type: 'completed' }, { status: 'completed' });
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    const [url, body, options] = axios.post.mock.calls[0];
+    expect(url).toBe('https://hooks.example.com');
+    expect(JSON.parse(body)).toMatchObject({ event: 'job.completed', jobId: 'job-1', job: { status: 'completed' } });
+    expect(options.headers['X-AltText-Signature']).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+    expect(options).toMatchObject({ maxRedirects: 0, proxy: false, httpAgent, httpsAgent });
+
+    const [delivery] = await dispatcher.getDeliveries('job-1');
+    expect(delivery).toMatchObject({ event: 'job.completed', status: 'delivered', http_status: 200, attempt: 1 });
+  });
+
+  test('retries server errors with backoff', async () => {
+    axios.post.mockResolvedValueOnce({ status: 503 }).mockResolvedValueOnce({ status: 204 });
+    const dispatcher = createWebhookDispatcher({ redis: null, retryBaseMs: 1 });
+    await dispatcher.register('job-1', { url: 'https://hooks.example.com', secret: 's', events: ['job.item'] });
+
+    await dispatcher.handleJobEvent('job-1', { type: 'item_failed', item: { id: 'a' } }, {});
+    await new Promise(r => setTimeout(r, 20));
+
+    const statuses = (await dispatcher.getDeliveries('job-1')).map(d => d.status);
+    expect(statuses).toEqual(['delivered', 'retrying']);
+  });
+
+  test('schedules retries in Redis so another process can send them', async () => {
+    axios.post.mockResolvedValueOnce({ status: 503 }).mockResolvedValueOnce({ status: 200 });
+    const redis = createRedisMock();
+    const first = createWebhookDispatcher({ redis, retryBaseMs: 1000 });
+    await first.register('job-1', { url: 'https://hooks.example.com', secret: 's' });
+    await first.handleJobEvent('job-1', { type: 'completed' }, { status: 'completed' });
+
+    expect(redis.zset.size).toBe(1);
+    expect(JSON.parse([...redis.zset.keys()][0])).toMatchObject({ jobId: 'job-1', attempt: 2 });
+
+    // A restarted instance picks the retry up once it is due.
+    const second = createWebhookDispatcher({ redis });
+    expect(await second.runDueRetries(Date.now())).toBe(0);
+    expect(await second.runDueRetries(Date.now() + 1000)).toBe(1);
+    expect(redis.zset.size).toBe(0);
+    expect(axios.post).toHaveBeenCalledTimes(2);
+    const statuses = (await second.getDeliveries('job-1')).map(d => d.status);
+    expect(statuses).toEqual(['delivered', 'retrying']);
+  });
+});